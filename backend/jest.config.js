@@ -7,6 +7,7 @@ module.exports = {
   ],
   coverageDirectory: 'coverage',
   coverageReporters: ['text', 'lcov', 'html'],
+  setupFiles: ['<rootDir>/src/__tests__/setup.js'],
   testMatch: [
     '**/__tests__/**/*.test.js',
   ],
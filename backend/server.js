@@ -1,20 +1,53 @@
 const express = require('express');
 const cors = require('cors');
 const itemsRoutes = require('./src/routes/items');
+const transferRoutes = require('./src/routes/transfer');
+const auditRoutes = require('./src/routes/audit');
+const eventsRoutes = require('./src/routes/events');
+const authRoutes = require('./src/routes/auth');
+const { authenticate, authorize } = require('./src/middleware/auth');
+const { rateLimit } = require('./src/middleware/rateLimit');
+const { startAuditLog } = require('./src/services/auditService');
+const { startEvents } = require('./src/services/eventsService');
+const { checkDataFile } = require('./src/services/itemsService');
+const { cacheStats } = require('./src/cache');
+const { TRUST_PROXY } = require('./src/config');
+
+// Record every change to the items in the audit log, and push it to
+// clients listening at /api/events
+startAuditLog();
+startEvents();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, take client addresses from X-Forwarded-For
+app.set('trust proxy', TRUST_PROXY);
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['ETag', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
+
+// Every API request is authenticated and rate limited per client; reads need
+// the viewer role and writes the editor role, with routes asking for more
+// where they need it
+app.use('/api', authenticate(), rateLimit(), authorize());
+
+// Bulk import parses its own bodies, so goes ahead of the JSON parser
+app.use('/api', transferRoutes);
+
 app.use(express.json());
 
 // Routes
 app.use('/api', itemsRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', eventsRoutes);
+app.use('/api', authRoutes);
 
-// Health check
+// Health check, with hit/miss counters for each cache namespace
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), cache: cacheStats() });
 });
 
 // Error handling middleware
@@ -22,13 +55,28 @@ app.use((err, req, res, next) => {
   console.error('Error:', err);
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error',
+    ...(err.details && { details: err.details }),
+    ...(err.current && { current: err.current }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+// Only bind the port when run directly, so tests can import the app
+if (require.main === module) {
+  // Report malformed records in the data file before accepting requests
+  checkDataFile()
+    .then(invalid => {
+      if (invalid.length > 0) {
+        console.warn(`${invalid.length} malformed item(s) found in the data file and excluded`);
+      }
+    })
+    .catch(error => console.error('Data file check failed:', error.message))
+    .finally(() => {
+      app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+      });
+    });
+}
 
 module.exports = app;
 
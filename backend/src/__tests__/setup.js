@@ -0,0 +1,23 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Jest setup
+ * Points the API at a throwaway copy of items.json (and a throwaway SQLite
+ * database and audit log) so write tests never touch the real data.
+ * Requests without credentials act as admin, so tests of other features
+ * needn't sign in; auth.test.js sets its own rules. Rate limiting is off
+ * except in rateLimit.test.js.
+ */
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'items-test-'));
+const dataFile = path.join(tmpDir, 'items.json');
+
+fs.copyFileSync(path.join(__dirname, '../../data/items.json'), dataFile);
+
+process.env.ITEMS_DATA_FILE = dataFile;
+process.env.ITEMS_SQLITE_FILE = path.join(tmpDir, 'items.db');
+process.env.AUDIT_FILE = path.join(tmpDir, 'audit.log');
+process.env.AUTH_ANONYMOUS_ROLE = 'admin';
+process.env.AUTH_JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT_ENABLED = 'false';
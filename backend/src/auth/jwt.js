@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+/**
+ * JSON Web Tokens signed with HMAC (HS256, HS384, HS512), verified locally
+ * against a shared secret
+ */
+
+const HASHES = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+
+class JwtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function decode(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JwtError('malformed');
+  }
+}
+
+function signature(input, secret, algorithm) {
+  return crypto.createHmac(HASHES[algorithm], secret).update(input).digest();
+}
+
+/**
+ * Sign a token
+ * @param {Object} payload - Claims, e.g. { sub, role, exp }
+ * @param {string} secret - Shared secret
+ * @param {Object} options - { algorithm: 'HS256' (default), 'HS384' or 'HS512' }
+ * @returns {string} The token
+ */
+function signJwt(payload, secret, { algorithm = 'HS256' } = {}) {
+  const input = `${encode({ alg: algorithm, typ: 'JWT' })}.${encode(payload)}`;
+  return `${input}.${signature(input, secret, algorithm).toString('base64url')}`;
+}
+
+/**
+ * Verify a token and return its claims
+ * The algorithm must be one of the HMAC ones (so never "none"), and exp and
+ * nbf are checked when present, allowing `leeway` seconds of clock skew.
+ * @param {string} token - The token
+ * @param {string} secret - Shared secret
+ * @param {Object} options - { issuer, audience } claims to require; leeway in
+ *   seconds; now in ms, for tests
+ * @returns {Object} The payload
+ * @throws {JwtError} Saying what was wrong with the token
+ */
+function verifyJwt(token, secret, { issuer, audience, leeway = 0, now = Date.now() } = {}) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new JwtError('malformed');
+  }
+
+  const [header, payload] = parts.slice(0, 2).map(decode);
+  if (!header || !HASHES[header.alg]) {
+    throw new JwtError('unsupported algorithm');
+  }
+
+  const expected = signature(`${parts[0]}.${parts[1]}`, secret, header.alg);
+  const given = Buffer.from(parts[2], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new JwtError('bad signature');
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    throw new JwtError('malformed');
+  }
+  const seconds = now / 1000;
+  if (payload.exp !== undefined && !(seconds < payload.exp + leeway)) {
+    throw new JwtError('expired');
+  }
+  if (payload.nbf !== undefined && !(seconds >= payload.nbf - leeway)) {
+    throw new JwtError('not yet valid');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new JwtError('wrong issuer');
+  }
+  const audiences = [].concat(payload.aud === undefined ? [] : payload.aud);
+  if (audience && !audiences.includes(audience)) {
+    throw new JwtError('wrong audience');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  JwtError,
+  signJwt,
+  verifyJwt
+};
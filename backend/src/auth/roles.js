@@ -0,0 +1,20 @@
+// Roles in increasing order of what they may do; each may do everything the
+// ones before it can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const isRole = role => ROLES.includes(role);
+
+/**
+ * Whether an actor has a role, or one above it
+ * @param {Object} actor - req.actor; role may be null for anonymous requests
+ * @param {string} required - One of ROLES
+ */
+function hasRole(actor, required) {
+  return Boolean(actor && isRole(actor.role)) && ROLES.indexOf(actor.role) >= ROLES.indexOf(required);
+}
+
+module.exports = {
+  ROLES,
+  isRole,
+  hasRole
+};
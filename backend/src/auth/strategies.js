@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { HttpError } = require('../errors');
+const { verifyJwt } = require('./jwt');
+const { isRole } = require('./roles');
+
+/**
+ * Authentication strategies
+ * A strategy looks at a request for one kind of credentials:
+ *   authenticate(req) -> { id, role } for valid credentials, undefined when
+ *   the request carries none of its kind; throws a 401 HttpError for bad ones
+ */
+
+const digest = text => crypto.createHash('sha256').update(text).digest();
+
+/**
+ * Parse API keys from a "name:role:key" list, comma-separated
+ * @returns {Array<{ name, role, key }>}
+ * @throws {Error} On an entry without all three parts or with an unknown role
+ */
+function parseApiKeys(spec) {
+  return String(spec || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, ...rest] = entry.split(':');
+      const key = rest.join(':');
+      if (!name || !key || !isRole(role)) {
+        throw new Error(`Bad API key entry "${name}": expected name:role:key with a known role`);
+      }
+      return { name, role, key };
+    });
+}
+
+/**
+ * API keys, sent in an X-API-Key header
+ * @param {Array<{ name, role, key }>} keys - The actor id is the key's name
+ */
+function apiKeyStrategy(keys) {
+  // Compare digests, so the comparison takes the same time for any key
+  const known = keys.map(entry => ({ ...entry, digest: digest(entry.key) }));
+
+  return {
+    name: 'api-key',
+    authenticate(req) {
+      const given = req.get('X-API-Key');
+      if (given === undefined) {
+        return undefined;
+      }
+
+      const hash = digest(given);
+      const match = known.find(entry => crypto.timingSafeEqual(entry.digest, hash));
+      if (!match) {
+        throw new HttpError(401, 'Invalid API key');
+      }
+      return { id: match.name, role: match.role };
+    }
+  };
+}
+
+/**
+ * HMAC-signed JWTs, sent as "Authorization: Bearer <token>"
+ * The actor id is the `sub` claim and the role the `role` claim.
+ * @param {Object} options - { secret, issuer, audience, leeway } (see jwt.verifyJwt)
+ */
+function jwtStrategy({ secret, ...options }) {
+  return {
+    name: 'jwt',
+    authenticate(req) {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+      if (!match) {
+        return undefined;
+      }
+
+      let claims;
+      try {
+        claims = verifyJwt(match[1], secret, options);
+      } catch (error) {
+        throw new HttpError(401, `Invalid token: ${error.message}`);
+      }
+      if (!claims.sub || !isRole(claims.role)) {
+        throw new HttpError(401, 'Invalid token: sub and a known role are required');
+      }
+      return { id: String(claims.sub), role: claims.role };
+    }
+  };
+}
+
+module.exports = {
+  parseApiKeys,
+  apiKeyStrategy,
+  jwtStrategy
+};
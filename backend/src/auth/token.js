@@ -0,0 +1,53 @@
+const { AUTH } = require('../config');
+const { signJwt } = require('./jwt');
+const { isRole } = require('./roles');
+
+/**
+ * Sign a token the server will accept, with the configured secret, issuer
+ * and audience
+ * @param {Object} options - { sub, role, expiresIn: seconds (default: a day) }
+ * @returns {string} The token
+ */
+function issueToken({ sub, role, expiresIn = 24 * 60 * 60 }, auth = AUTH) {
+  if (!auth.jwtSecret) {
+    throw new Error('AUTH_JWT_SECRET is not set');
+  }
+  if (!sub || !isRole(role)) {
+    throw new Error('A subject and a role (viewer, editor or admin) are required');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({
+    sub,
+    role,
+    iat: now,
+    exp: now + expiresIn,
+    ...(auth.jwtIssuer && { iss: auth.jwtIssuer }),
+    ...(auth.jwtAudience && { aud: auth.jwtAudience })
+  }, auth.jwtSecret);
+}
+
+// npm run token -- --sub alice --role editor [--expires 3600]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  try {
+    const expires = option('expires');
+    console.log(issueToken({
+      sub: option('sub'),
+      role: option('role'),
+      ...(expires && { expiresIn: Number(expires) })
+    }));
+  } catch (error) {
+    console.error('Could not sign a token:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  issueToken
+};
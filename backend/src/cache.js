@@ -0,0 +1,171 @@
+const { CACHE } = require('./config');
+
+/**
+ * Shared in-memory cache
+ * Values live in named namespaces, each with its own lifetimes (see
+ * config.CACHE). Within a namespace, entries are keyed by data source (e.g.
+ * the data file path), so one invalidate(source) reaches every cache built
+ * from that source.
+ *
+ * - Entries are fresh for `ttl` ms, then served stale for up to
+ *   `staleWhileRevalidate` ms more while a reload runs in the background
+ * - Concurrent misses for the same key share a single load
+ * - A load that started before an invalidation is returned to its callers
+ *   but not stored
+ * - Each namespace counts hits, stale hits, misses, loads and errors
+ */
+
+// Namespaces by name
+const namespaces = new Map();
+
+function createNamespace(name, { ttl = 0, staleWhileRevalidate = 0, onChange } = {}) {
+  // key -> { value, storedAt }
+  const entries = new Map();
+
+  // key -> { promise, generation } for loads in flight
+  const pending = new Map();
+
+  // key -> number, bumped on every invalidation
+  const generations = new Map();
+
+  const counters = { hits: 0, staleHits: 0, misses: 0, loads: 0, errors: 0, invalidations: 0 };
+
+  const generationOf = key => generations.get(key) || 0;
+
+  /**
+   * Load a value, or join the load already running for the key
+   */
+  function load(key, loader) {
+    const generation = generationOf(key);
+    const inFlight = pending.get(key);
+    if (inFlight && inFlight.generation === generation) {
+      return inFlight.promise;
+    }
+
+    counters.loads += 1;
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        if (generationOf(key) === generation) {
+          entries.set(key, { value, storedAt: Date.now() });
+        }
+        return value;
+      }, error => {
+        counters.errors += 1;
+        throw error;
+      })
+      .finally(() => {
+        if (pending.get(key) && pending.get(key).promise === promise) {
+          pending.delete(key);
+        }
+      });
+
+    pending.set(key, { promise, generation });
+    return promise;
+  }
+
+  return {
+    name,
+
+    /**
+     * Get a value, loading it on a miss
+     * @param {string} key - Data source the value is built from
+     * @param {Function} loader - Produces the value (may return a promise)
+     * @returns {Promise} The cached or loaded value
+     */
+    async get(key, loader) {
+      const entry = entries.get(key);
+      const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+      if (age < ttl) {
+        counters.hits += 1;
+        return entry.value;
+      }
+      if (age < ttl + staleWhileRevalidate) {
+        counters.staleHits += 1;
+        // Failures are counted; the stale value is served until a load succeeds
+        load(key, loader).catch(() => {});
+        return entry.value;
+      }
+
+      counters.misses += 1;
+      return load(key, loader);
+    },
+
+    /**
+     * Current value for a key, fresh or stale, without loading or counting
+     */
+    peek(key) {
+      const entry = entries.get(key);
+      return entry ? entry.value : undefined;
+    },
+
+    /**
+     * Drop a key, or update it in place when the namespace knows how
+     * @param {string} key - Data source that changed
+     * @param {Object} event - Repository change event; a { type: 'change' }
+     *   event is offered to the namespace's onChange(value, changes), which
+     *   returns the updated value or undefined to drop it
+     */
+    invalidate(key, event) {
+      generations.set(key, generationOf(key) + 1);
+      counters.invalidations += 1;
+
+      const entry = entries.get(key);
+      if (entry && onChange && event && event.type === 'change') {
+        const updated = onChange(entry.value, event.changes);
+        if (updated !== undefined) {
+          entry.value = updated;
+          return;
+        }
+      }
+      entries.delete(key);
+    },
+
+    stats() {
+      return { ...counters, size: entries.size };
+    }
+  };
+}
+
+/**
+ * Get a namespace, creating it on first use
+ * @param {string} name - Namespace name; lifetimes default to config.CACHE[name]
+ * @param {Object} options - { ttl, staleWhileRevalidate, onChange(value, changes) }
+ * @returns {Object} Namespace with get, peek, invalidate and stats
+ */
+function namespace(name, options = {}) {
+  if (!namespaces.has(name)) {
+    namespaces.set(name, createNamespace(name, { ...CACHE[name], ...options }));
+  }
+  return namespaces.get(name);
+}
+
+/**
+ * Tell every namespace that a data source changed
+ * This is the one invalidation path: storage calls it for file changes made
+ * elsewhere as well as for its own writes.
+ * @param {string} key - Data source that changed
+ * @param {Object} event - Repository change event (see namespace invalidate)
+ */
+function invalidate(key, event) {
+  namespaces.forEach(ns => ns.invalidate(key, event));
+}
+
+/**
+ * Counters for every namespace
+ * @returns {Object} name -> { hits, staleHits, misses, loads, errors, invalidations, size }
+ */
+function cacheStats() {
+  const stats = {};
+  namespaces.forEach((ns, name) => {
+    stats[name] = ns.stats();
+  });
+  return stats;
+}
+
+module.exports = {
+  namespace,
+  invalidate,
+  cacheStats
+};
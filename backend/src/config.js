@@ -0,0 +1,122 @@
+const path = require('path');
+
+/**
+ * Read a number from the environment
+ */
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && !isNaN(value) ? value : fallback;
+}
+
+/**
+ * Read a rate limit budget from the environment: RATE_LIMIT_<NAME>_BURST
+ * requests at once, refilled at RATE_LIMIT_<NAME>_PER_MINUTE
+ */
+function envBudget(name, burst, perMinute) {
+  return {
+    capacity: envNumber(`RATE_LIMIT_${name}_BURST`, burst),
+    refillPerSecond: envNumber(`RATE_LIMIT_${name}_PER_MINUTE`, perMinute) / 60
+  };
+}
+
+/**
+ * Read Express's `trust proxy` setting from the environment: "true" or
+ * "false", a number of proxies in front of the server, or the addresses and
+ * subnets of trusted proxies, e.g. "loopback, 10.0.0.0/8"
+ */
+function envTrustProxy(name) {
+  const value = (process.env[name] || '').trim();
+  if (value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Central configuration
+ * Values can be overridden through environment variables
+ */
+module.exports = {
+  // Storage backend for items: "json" (the data file) or "sqlite"
+  STORAGE: process.env.ITEMS_STORAGE || 'json',
+
+  // Location of the items data file
+  DATA_FILE: process.env.ITEMS_DATA_FILE || path.join(__dirname, '../data/items.json'),
+
+  // Location of the SQLite database, when STORAGE is "sqlite"
+  SQLITE_FILE: process.env.ITEMS_SQLITE_FILE || path.join(__dirname, '../data/items.db'),
+
+  // Authentication (see middleware/auth.js)
+  AUTH: {
+    // API keys, as "name:role:key" entries separated by commas
+    apiKeys: process.env.AUTH_API_KEYS || '',
+    // Shared secret for HMAC-signed JWTs; without one, JWTs aren't accepted
+    jwtSecret: process.env.AUTH_JWT_SECRET || '',
+    // `iss` and `aud` claims JWTs must carry, when set
+    jwtIssuer: process.env.AUTH_JWT_ISSUER,
+    jwtAudience: process.env.AUTH_JWT_AUDIENCE,
+    // Clock skew allowed when checking a JWT's exp and nbf, in seconds
+    jwtLeeway: Number(process.env.AUTH_JWT_LEEWAY) || 30,
+    // How long a token from POST /api/auth/token lasts, in seconds
+    sessionTtl: envNumber('AUTH_SESSION_TTL', 8 * 60 * 60),
+    // Role of requests without credentials: viewer, editor, admin, or "none"
+    // to refuse them
+    anonymousRole: process.env.AUTH_ANONYMOUS_ROLE || 'viewer'
+  },
+
+  // Proxies whose X-Forwarded-For is believed, so req.ip - which rate
+  // limits count anonymous clients by - is the client's address rather
+  // than the proxy's. Off by default: only set it behind a proxy that
+  // overwrites the header, or clients can claim any address.
+  TRUST_PROXY: envTrustProxy('TRUST_PROXY'),
+
+  // Token bucket rate limits per client (see middleware/rateLimit.js)
+  RATE_LIMIT: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    budgets: {
+      read: envBudget('READ', 120, 300),
+      // Reads with a text query
+      search: envBudget('SEARCH', 30, 60),
+      write: envBudget('WRITE', 30, 60)
+    }
+  },
+
+  // Server-Sent Events at GET /api/events (see services/eventsService.js)
+  EVENTS: {
+    // Recent events kept for clients reconnecting with Last-Event-ID
+    bufferSize: envNumber('EVENTS_BUFFER_SIZE', 1000),
+    // How often an idle stream gets a comment line, in ms
+    heartbeatMs: envNumber('EVENTS_HEARTBEAT_MS', 25000),
+    // How long browsers wait before reconnecting, in ms
+    retryMs: envNumber('EVENTS_RETRY_MS', 3000)
+  },
+
+  // Append-only audit log of every change to the items (one JSON entry per line)
+  AUDIT_FILE: process.env.AUDIT_FILE || path.join(__dirname, '../data/audit.log'),
+
+  // Days a deleted item stays in the trash before POST /api/items/purge removes it
+  TRASH_RETENTION_DAYS: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+
+  // Largest body POST /api/items/import accepts (bytes, or a size like "10mb")
+  IMPORT_LIMIT: process.env.IMPORT_LIMIT || '10mb',
+
+  // Cache lifetimes per namespace, in ms (see cache.js). Changes made through
+  // the API or to the data file invalidate entries straight away; the TTLs
+  // only bound how long anything missed could be served.
+  CACHE: {
+    // Parsed items with their search index and completion trie (JSON storage)
+    items: {
+      ttl: envNumber('CACHE_ITEMS_TTL', 30000),
+      staleWhileRevalidate: envNumber('CACHE_ITEMS_SWR', 30000)
+    },
+    // Running stats aggregates (JSON storage)
+    stats: {
+      ttl: envNumber('CACHE_STATS_TTL', 60000),
+      staleWhileRevalidate: envNumber('CACHE_STATS_SWR', 60000)
+    },
+    // Full-text vocabulary for fuzzy search and "did you mean" (SQLite storage)
+    vocabulary: {
+      ttl: envNumber('CACHE_VOCABULARY_TTL', 60000),
+      staleWhileRevalidate: envNumber('CACHE_VOCABULARY_SWR', 60000)
+    }
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Error carrying an HTTP status code
+ * Picked up by the error handling middleware in server.js
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+/**
+ * 400 error listing field-level validation problems
+ * @param {Array<{field: string, message: string}>} details
+ */
+class ValidationError extends HttpError {
+  constructor(details, message = 'Validation failed') {
+    super(400, message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * 409 error for a write based on an out-of-date version of an item
+ * Carries the server's current copy, sent back so the client can resolve
+ * the conflict
+ * @param {Object} current - The item as stored now
+ */
+class VersionConflictError extends HttpError {
+  constructor(current, message = 'Item has been changed since the version given') {
+    super(409, message);
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  VersionConflictError
+};
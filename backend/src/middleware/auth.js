@@ -0,0 +1,113 @@
+const { AUTH } = require('../config');
+const { HttpError } = require('../errors');
+const { hasRole } = require('../auth/roles');
+const { parseApiKeys, apiKeyStrategy, jwtStrategy } = require('../auth/strategies');
+
+// Methods that only read, and so only need the viewer role
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * The strategies the configuration turns on: API keys when any are set,
+ * JWTs when there is a secret
+ */
+function configuredStrategies(auth = AUTH) {
+  const strategies = [];
+  const keys = parseApiKeys(auth.apiKeys);
+  if (keys.length > 0) {
+    strategies.push(apiKeyStrategy(keys));
+  }
+  if (auth.jwtSecret) {
+    strategies.push(jwtStrategy({
+      secret: auth.jwtSecret,
+      issuer: auth.jwtIssuer,
+      audience: auth.jwtAudience,
+      leeway: auth.jwtLeeway
+    }));
+  }
+  return strategies;
+}
+
+/**
+ * 401 asking for credentials
+ */
+function unauthorized(res, message) {
+  res.set('WWW-Authenticate', 'Bearer realm="api"');
+  return new HttpError(401, message);
+}
+
+/**
+ * Work out who is making the request, into req.actor = { id, role, via }
+ * The first strategy that finds credentials of its kind decides; bad
+ * credentials get a 401. Requests without any are "anonymous", with the
+ * configured anonymous role (null for "none").
+ * @param {Object} options - { strategies, anonymousRole } overriding the configuration
+ */
+function authenticate({ strategies = configuredStrategies(), anonymousRole = AUTH.anonymousRole } = {}) {
+  return (req, res, next) => {
+    try {
+      for (const strategy of strategies) {
+        const actor = strategy.authenticate(req);
+        if (actor) {
+          req.actor = { ...actor, via: strategy.name };
+          return next();
+        }
+      }
+    } catch (error) {
+      return next(error.status === 401 ? unauthorized(res, error.message) : error);
+    }
+
+    req.actor = { id: 'anonymous', role: anonymousRole === 'none' ? null : anonymousRole, via: 'anonymous' };
+    next();
+  };
+}
+
+/**
+ * Error for a request whose actor lacks a role, or undefined if it has it
+ * Anonymous requests get a 401, so they know credentials would help.
+ */
+function roleError(req, res, role) {
+  if (hasRole(req.actor, role)) {
+    return undefined;
+  }
+  return req.actor && req.actor.via !== 'anonymous'
+    ? new HttpError(403, `Requires the ${role} role`)
+    : unauthorized(res, `Authentication required: requires the ${role} role`);
+}
+
+/**
+ * Default access by method: reads need the viewer role, writes the editor role
+ * Routes needing more add requireRole.
+ */
+function authorize() {
+  return (req, res, next) => {
+    next(roleError(req, res, SAFE_METHODS.has(req.method) ? 'viewer' : 'editor'));
+  };
+}
+
+/**
+ * Require a role for a route
+ * @param {string} role - viewer, editor or admin
+ * @param {Object} options - { when(req) } to require it only for some requests
+ */
+function requireRole(role, { when } = {}) {
+  return (req, res, next) => {
+    next(!when || when(req) ? roleError(req, res, role) : undefined);
+  };
+}
+
+/**
+ * Change metadata for a write made by this request (see storage/index.js)
+ * @param {string} source - What kind of request made it: item, batch, import,
+ *   restore or purge
+ */
+function changeMeta(req, source) {
+  return { actor: req.actor.id, source };
+}
+
+module.exports = {
+  configuredStrategies,
+  authenticate,
+  authorize,
+  requireRole,
+  changeMeta
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { getDataVersion, getItemById } = require('../services/itemsService');
+const { itemTag } = require('./precondition');
+
+/**
+ * Validators for a response built from the whole data set: an ETag hashed
+ * from the data version plus the request, and the data version's time
+ */
+async function dataValidators(req) {
+  const { tag, modifiedAt } = await getDataVersion();
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${tag}:${req.baseUrl}${req.path}:${JSON.stringify(req.query)}`)
+    .digest('base64url');
+  return { etag: `"${hash}"`, modifiedAt };
+}
+
+/**
+ * Validators for a single item (req.params.id): its version and updatedAt
+ * The ETag is the one writes send back in If-Match. Deleted items count
+ * when the validated query asks for them.
+ */
+async function itemValidators(req) {
+  const deleted = req.query.includeDeleted ? 'include' : 'exclude';
+  const item = await getItemById(parseInt(req.params.id), { deleted });
+  return item && {
+    etag: itemTag(item),
+    modifiedAt: item.updatedAt && new Date(item.updatedAt)
+  };
+}
+
+/**
+ * Conditional GET support for responses built from the stored items
+ * Tags the response with an ETag and Last-Modified, and when the client's
+ * If-None-Match / If-Modified-Since show its copy is still current, answers
+ * 304 without running the handler.
+ * Place it after validateQuery, so equivalent queries share a tag.
+ * @param {Object} options - { validators(req) } giving { etag, modifiedAt },
+ *   or null to skip (defaults to dataValidators); { cacheControl } overriding
+ *   the Cache-Control header, whose default has clients revalidate on every use
+ */
+function conditionalGet({ validators = dataValidators, cacheControl = 'no-cache' } = {}) {
+  return async (req, res, next) => {
+    try {
+      const found = await validators(req);
+      if (!found) {
+        return next();
+      }
+
+      res.set({
+        ETag: found.etag,
+        'Cache-Control': cacheControl,
+        ...(found.modifiedAt && { 'Last-Modified': found.modifiedAt.toUTCString() })
+      });
+
+      // req.fresh compares the request's validators with the ones just set
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  conditionalGet,
+  dataValidators,
+  itemValidators
+};
@@ -0,0 +1,68 @@
+const { HttpError, ValidationError, VersionConflictError } = require('../errors');
+const { versionOf } = require('../storage/versioning');
+
+/**
+ * Strong ETag for an item's version
+ */
+const itemTag = item => `"v${versionOf(item)}"`;
+
+/**
+ * Versions named by an If-Match header, or undefined for "*"
+ * Weak tags never match, as If-Match uses strong comparison.
+ */
+function parseIfMatch(header) {
+  if (header.trim() === '*') {
+    return undefined;
+  }
+  return header
+    .split(',')
+    .map(tag => /^"v(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+}
+
+/**
+ * Require writes to an item to say which version they are based on
+ * Reads an If-Match header carrying the item's ETag (or "*"), or failing
+ * that a `version` field in the body, into req.precondition:
+ * { ifVersion, status } where status is what a mismatch is reported as -
+ * 412 for If-Match, 409 for a body version. Responds 428 when neither is sent,
+ * unless `required` is false, in which case any version goes.
+ */
+function requireVersion({ required = true } = {}) {
+  return (req, res, next) => {
+    const ifMatch = req.get('If-Match');
+    const version = req.body && req.body.version;
+
+    if (ifMatch !== undefined) {
+      req.precondition = { ifVersion: parseIfMatch(ifMatch), status: 412 };
+    } else if (version !== undefined) {
+      if (!Number.isInteger(version) || version < 0) {
+        return next(new ValidationError([{ field: 'version', message: 'must be an integer of at least 0' }], 'Invalid request body'));
+      }
+      req.precondition = { ifVersion: [version], status: 409 };
+    } else if (!required) {
+      req.precondition = { ifVersion: undefined, status: 409 };
+    } else {
+      return next(new HttpError(428, 'Send the item version in an If-Match header or a version field'));
+    }
+    next();
+  };
+}
+
+/**
+ * Give a version conflict the status that fits how the version was sent
+ */
+function preconditionError(req, error) {
+  if (error instanceof VersionConflictError && req.precondition) {
+    error.status = req.precondition.status;
+  }
+  return error;
+}
+
+module.exports = {
+  itemTag,
+  parseIfMatch,
+  requireVersion,
+  preconditionError
+};
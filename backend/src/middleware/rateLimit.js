@@ -0,0 +1,76 @@
+const { RATE_LIMIT } = require('../config');
+const { HttpError } = require('../errors');
+const { createMemoryStore } = require('../rateLimit/memoryStore');
+
+// Methods that only read
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Which budget a request spends: "search" for reads with a text query,
+ * which cost the most to answer, "read" for other reads and "write" for
+ * everything else
+ */
+function budgetFor(req) {
+  if (!SAFE_METHODS.has(req.method)) {
+    return 'write';
+  }
+  const { q } = req.query;
+  return typeof q === 'string' && q.trim() && req.path !== '/items/suggest' ? 'search' : 'read';
+}
+
+/**
+ * Who a request is counted against: its credentials when it has any (see
+ * middleware/auth.js), its IP address otherwise (the client's, behind
+ * proxies TRUST_PROXY names)
+ */
+function clientKey(req) {
+  const { actor } = req;
+  return actor && actor.via !== 'anonymous' ? `${actor.via}:${actor.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Rate limit requests with a token bucket per client and budget
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy headers; requests over the limit get a 429 with
+ * Retry-After. If the store fails, requests are let through.
+ * Goes after authenticate(), so clients with credentials get their own buckets.
+ * @param {Object} options - { enabled, budgets: { read, search, write } as
+ *   { capacity, refillPerSecond }, store } overriding the configuration
+ */
+function rateLimit({ enabled = RATE_LIMIT.enabled, budgets = RATE_LIMIT.budgets, store = createMemoryStore() } = {}) {
+  return async (req, res, next) => {
+    if (!enabled) {
+      return next();
+    }
+
+    const budget = budgetFor(req);
+    const policy = budgets[budget];
+    let result;
+    try {
+      result = await store.take(`${budget}:${clientKey(req)}`, policy);
+    } catch (error) {
+      console.error('Rate limit store failed:', error.message);
+      return next();
+    }
+
+    const window = Math.ceil(policy.capacity / policy.refillPerSecond);
+    res.set({
+      'RateLimit-Limit': String(policy.capacity),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      'RateLimit-Policy': `${policy.capacity};w=${window};name="${budget}"`
+    });
+
+    if (!result.allowed) {
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return next(new HttpError(429, `Too many ${budget} requests: retry in ${retryAfter}s`));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  budgetFor,
+  rateLimit
+};
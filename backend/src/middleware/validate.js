@@ -0,0 +1,43 @@
+const { validate } = require('../validation/schema');
+const { ValidationError } = require('../errors');
+
+/**
+ * Validate and coerce req.query against a schema
+ * Replaces req.query with the typed, defaulted values
+ * @param {Function} check - Optional cross-field check run on the typed values,
+ *   returning a list of errors
+ */
+function validateQuery(schema, check) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.query, { coerce: true });
+    if (errors.length === 0 && check) {
+      errors.push(...check(value));
+    }
+    if (errors.length > 0) {
+      return next(new ValidationError(errors, 'Invalid query parameters'));
+    }
+    req.query = value;
+    next();
+  };
+}
+
+/**
+ * Validate req.body against a schema
+ * Replaces req.body with the cleaned values (unknown fields dropped)
+ * @param {Object} options - { partial: true } for PATCH-style payloads
+ */
+function validateBody(schema, { partial = false } = {}) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, { partial });
+    if (errors.length > 0) {
+      return next(new ValidationError(errors, 'Invalid request body'));
+    }
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = {
+  validateQuery,
+  validateBody
+};
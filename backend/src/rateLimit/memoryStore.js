@@ -0,0 +1,59 @@
+const { takeTokens, isFull } = require('./tokenBucket');
+
+/**
+ * In-memory rate limit store
+ * Buckets live in this process, so each server instance counts on its own.
+ *
+ * A store implements:
+ *   take(key, policy, cost)   Take tokens from the key's bucket (see
+ *                             tokenBucket.takeTokens): a promise of
+ *                             { allowed, remaining, resetMs, retryAfterMs }
+ *   close()                   Release connections and timers
+ * A store shared between instances (e.g. Redis) has to apply the take
+ * atomically. This one also has size(), the number of buckets held.
+ *
+ * @param {Object} options - { now: clock in ms, sweepMs: how often full
+ *   buckets are dropped }
+ */
+function createMemoryStore({ now = Date.now, sweepMs = 60000 } = {}) {
+  // key -> { bucket, policy }
+  const buckets = new Map();
+  let sweptAt = now();
+
+  // Full buckets are the same as missing ones, so drop them to bound memory
+  function sweep(time) {
+    if (time - sweptAt < sweepMs) {
+      return;
+    }
+    sweptAt = time;
+    for (const [key, { bucket, policy }] of buckets) {
+      if (isFull(bucket, policy, time)) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  return {
+    async take(key, policy, cost = 1) {
+      const time = now();
+      sweep(time);
+
+      const entry = buckets.get(key);
+      const { bucket, ...result } = takeTokens(entry && entry.bucket, policy, time, cost);
+      buckets.set(key, { bucket, policy });
+      return result;
+    },
+
+    size() {
+      return buckets.size;
+    },
+
+    async close() {
+      buckets.clear();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,56 @@
+/**
+ * Token bucket arithmetic
+ * A bucket holds up to `capacity` tokens and gains `refillPerSecond` of them
+ * back over time; each request takes one. Kept apart from any store so every
+ * store counts the same way.
+ *
+ * A bucket is stored as { tokens, updatedAt }; a missing bucket is full.
+ */
+
+/**
+ * Tokens in a bucket at a time
+ */
+function tokensAt(bucket, { capacity, refillPerSecond }, now) {
+  if (!bucket) {
+    return capacity;
+  }
+  const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+  return Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+}
+
+/**
+ * Take tokens from a bucket, if it has enough
+ * @param {Object|undefined} bucket - { tokens, updatedAt }
+ * @param {Object} policy - { capacity, refillPerSecond }
+ * @param {number} now - Time in ms
+ * @param {number} cost - Tokens the request takes
+ * @returns {Object} { bucket: the bucket to store, allowed, remaining,
+ *   resetMs: until the bucket is full again, retryAfterMs: until the request
+ *   would be allowed (0 when it is) }
+ */
+function takeTokens(bucket, policy, now, cost = 1) {
+  const available = tokensAt(bucket, policy, now);
+  const allowed = available >= cost;
+  const tokens = allowed ? available - cost : available;
+  const msFor = count => Math.ceil((count / policy.refillPerSecond) * 1000);
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: msFor(policy.capacity - tokens),
+    retryAfterMs: allowed ? 0 : msFor(cost - tokens)
+  };
+}
+
+/**
+ * Whether a bucket has refilled completely, and so can be forgotten
+ */
+function isFull(bucket, policy, now) {
+  return tokensAt(bucket, policy, now) >= policy.capacity;
+}
+
+module.exports = {
+  takeTokens,
+  isFull
+};
@@ -0,0 +1,203 @@
+const path = require('path');
+const request = require('supertest');
+const app = require('../../../server');
+const { AUTH, AUDIT_FILE } = require('../../config');
+const { signJwt } = require('../../auth/jwt');
+const { createAuditLog } = require('../../storage/auditLog');
+
+// Authorization header for a signed-in editor
+const as = sub => `Bearer ${signJwt({ sub, role: 'editor' }, AUTH.jwtSecret)}`;
+
+describe('Audit log', () => {
+  const getItem = async id => (await request(app).get(`/api/items/${id}`)).body;
+  const history = async id => (await request(app).get(`/api/items/${id}/history`).expect(200)).body;
+
+  it('should record each change with its actor and a diff', async () => {
+    const created = await request(app)
+      .post('/api/items')
+      .set('Authorization', as('alice'))
+      .send({ name: 'Audited Lamp', price: 40, category: 'Furniture' })
+      .expect(201);
+    const id = created.body.id;
+
+    const updated = await request(app)
+      .patch(`/api/items/${id}`)
+      .set('Authorization', as('bob'))
+      .set('If-Match', created.headers.etag)
+      .send({ price: 45 })
+      .expect(200);
+
+    await request(app).delete(`/api/items/${id}`).set('If-Match', updated.headers.etag).expect(204);
+
+    const { entries, pagination } = await history(id);
+    expect(pagination.totalItems).toBe(3);
+    expect(entries.map(entry => entry.operation)).toEqual(['delete', 'update', 'create']);
+
+    const [deleted, patched, first] = entries;
+    expect(first).toMatchObject({ actor: 'alice', source: 'item', itemId: id, version: 1, before: null, after: created.body });
+    expect(first.changes.name).toEqual({ to: 'Audited Lamp' });
+    expect(patched).toMatchObject({ actor: 'bob', version: 2, changes: { price: { from: 40, to: 45 } } });
+    expect(Object.keys(patched.changes)).toEqual(['price']);
+    expect(deleted).toMatchObject({ actor: 'anonymous', before: updated.body, changes: { deletedAt: {} } });
+    expect(deleted.after.deletedAt).toBe(deleted.after.updatedAt);
+    expect(patched.seq).toBeGreaterThan(first.seq);
+    expect(Date.parse(deleted.timestamp)).not.toBeNaN();
+  });
+
+  it('should record batch and import writes item by item', async () => {
+    await request(app)
+      .post('/api/items/batch')
+      .set('Authorization', as('carol'))
+      .send({ operations: [{ op: 'update', id: 7, fields: { price: 70 } }, { op: 'update', id: 8, fields: { price: 80 } }] })
+      .expect(200);
+
+    await request(app)
+      .post('/api/items/import?format=json')
+      .set('Authorization', as('carol'))
+      .send(JSON.stringify([{ ...(await getItem(9)), price: 90 }]))
+      .expect(200);
+
+    const response = await request(app).get('/api/audit?actor=carol').expect(200);
+    expect(response.body.entries.map(entry => [entry.source, entry.itemId])).toEqual([
+      ['import', 9], ['batch', 8], ['batch', 7]
+    ]);
+  });
+
+  it('should filter and page the global log', async () => {
+    const all = (await request(app).get('/api/audit?limit=100').expect(200)).body;
+    const seqs = all.entries.map(entry => entry.seq);
+    expect(seqs).toEqual(seqs.slice().sort((a, b) => b - a));
+
+    const page = await request(app).get('/api/audit?limit=2&page=2').expect(200);
+    expect(page.body.entries).toEqual(all.entries.slice(2, 4));
+    expect(page.body.pagination).toMatchObject({ currentPage: 2, itemsPerPage: 2, totalItems: all.pagination.totalItems });
+
+    const deletes = await request(app).get('/api/audit?operation=delete').expect(200);
+    expect(deletes.body.entries.length).toBeGreaterThan(0);
+    expect(deletes.body.entries.every(entry => entry.operation === 'delete')).toBe(true);
+
+    const future = await request(app).get('/api/audit?since=2999-01-01').expect(200);
+    expect(future.body.entries).toEqual([]);
+  });
+
+  it('should reject bad filters', async () => {
+    const response = await request(app).get('/api/audit?operation=rename').expect(400);
+    expect(response.body.details[0].field).toBe('operation');
+
+    const date = await request(app).get('/api/audit?since=yesterday').expect(400);
+    expect(date.body.details[0].field).toBe('since');
+
+    await request(app).get('/api/audit?since=2026-02-01&until=2026-01-01').expect(400);
+  });
+
+  it('should 404 history for items that never existed', async () => {
+    await request(app).get('/api/items/999999/history').expect(404);
+    expect((await history(1)).entries).toEqual([]);
+  });
+
+  it('should restore an earlier revision as a new change', async () => {
+    const original = await getItem(10);
+    const first = await request(app)
+      .put('/api/items/10')
+      .send({ name: 'First draft', price: 1, category: 'Accessories', version: original.version })
+      .expect(200);
+    const second = await request(app)
+      .patch('/api/items/10')
+      .send({ name: 'Second draft', version: first.body.version })
+      .expect(200);
+
+    const [, revision] = (await history(10)).entries;
+    expect(revision.after).toEqual(first.body);
+
+    const restored = await request(app)
+      .post('/api/items/10/restore')
+      .set('Authorization', as('dave'))
+      .send({ revision: revision.seq, version: second.body.version })
+      .expect(200);
+    expect(restored.body).toMatchObject({ name: 'First draft', price: 1, version: second.body.version + 1 });
+    expect(restored.headers.etag).toBe(`"v${second.body.version + 1}"`);
+
+    const [latest] = (await history(10)).entries;
+    expect(latest).toMatchObject({
+      source: 'restore',
+      actor: 'dave',
+      operation: 'update',
+      restoredFrom: revision.seq,
+      changes: { name: { from: 'Second draft', to: 'First draft' } }
+    });
+
+    // A restore based on an old version is refused
+    await request(app)
+      .post('/api/items/10/restore')
+      .set('If-Match', second.headers.etag)
+      .send({ revision: revision.seq })
+      .expect(412);
+  });
+
+  it('should bring back a deleted item', async () => {
+    const item = await getItem(11);
+    const renamed = await request(app).patch('/api/items/11').send({ name: 'Before deletion', version: item.version }).expect(200);
+    await request(app).delete('/api/items/11').set('If-Match', renamed.headers.etag).expect(204);
+
+    const [deletion, rename] = (await history(11)).entries;
+    const refused = await request(app).post('/api/items/11/restore').send({ revision: deletion.seq }).expect(400);
+    expect(refused.body.error).toMatch(/deleted/);
+
+    const restored = await request(app).post('/api/items/11/restore').send({ revision: rename.seq }).expect(200);
+    expect(restored.body).toMatchObject({ id: 11, name: 'Before deletion', price: item.price });
+    expect(await getItem(11)).toEqual(restored.body);
+    expect((await history(11)).entries[0]).toMatchObject({ operation: 'undelete', restoredFrom: rename.seq });
+  });
+
+  it('should check the version when bringing back a deleted or purged item', async () => {
+    const item = await getItem(13);
+    const renamed = await request(app).patch('/api/items/13').send({ name: 'Guarded', version: item.version }).expect(200);
+    await request(app).delete('/api/items/13').set('If-Match', renamed.headers.etag).expect(204);
+    const [, rename] = (await history(13)).entries;
+
+    await request(app)
+      .post('/api/items/13/restore')
+      .set('If-Match', renamed.headers.etag)
+      .send({ revision: rename.seq })
+      .expect(412);
+    await request(app).get('/api/items/13').expect(404);
+
+    const restored = await request(app)
+      .post('/api/items/13/restore')
+      .send({ revision: rename.seq, version: renamed.body.version + 1 })
+      .expect(200);
+    expect(restored.body).toMatchObject({ name: 'Guarded', version: renamed.body.version + 2 });
+
+    await request(app).delete('/api/items/13').set('If-Match', restored.headers.etag).expect(204);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await request(app).post('/api/items/purge').send({ olderThanDays: 0 }).expect(200);
+
+    await request(app)
+      .post('/api/items/13/restore')
+      .set('If-Match', `"v${restored.body.version + 1}"`)
+      .send({ revision: rename.seq })
+      .expect(412);
+    await request(app).post('/api/items/13/restore').send({ revision: rename.seq }).expect(200);
+  });
+
+  it('should read a log back from its file and carry on numbering', async () => {
+    const file = path.join(path.dirname(AUDIT_FILE), 'reopened.log');
+    const first = createAuditLog(file);
+    await first.append([{ itemId: 1, operation: 'create' }, { itemId: 2, operation: 'create' }]);
+
+    const reopened = createAuditLog(file);
+    const [written] = await reopened.append([{ itemId: 1, operation: 'update' }]);
+    expect(written.seq).toBe(3);
+    expect((await reopened.entries()).map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect((await reopened.entries({ itemId: 1 })).map(entry => entry.operation)).toEqual(['create', 'update']);
+    expect(await reopened.find(2)).toEqual({ seq: 2, itemId: 2, operation: 'create' });
+    expect(await reopened.find(4)).toBeUndefined();
+  });
+
+  it('should 404 a revision that belongs to another item', async () => {
+    const [entry] = (await history(10)).entries;
+    await request(app).post('/api/items/12/restore').send({ revision: entry.seq }).expect(404);
+    await request(app).post('/api/items/12/restore').send({ revision: 99999999 }).expect(404);
+    await request(app).post('/api/items/12/restore').send({ revision: 0 }).expect(400);
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+
+// Reads are open and writes need credentials, as out of the box
+process.env.AUTH_ANONYMOUS_ROLE = 'viewer';
+process.env.AUTH_API_KEYS = 'reader:viewer:view-key,writer:editor:edit-key,root:admin:admin-key';
+
+const app = require('../../../server');
+const { AUTH } = require('../../config');
+const { signJwt, verifyJwt } = require('../../auth/jwt');
+const { parseApiKeys } = require('../../auth/strategies');
+
+describe('Authentication and roles', () => {
+  const now = () => Math.floor(Date.now() / 1000);
+  const token = (claims, secret = AUTH.jwtSecret) => `Bearer ${signJwt({ exp: now() + 60, ...claims }, secret)}`;
+  const newItem = { name: 'Guarded Lamp', price: 10, category: 'Furniture' };
+
+  it('should let anonymous requests read but not write', async () => {
+    await request(app).get('/api/items').expect(200);
+    await request(app).get('/api/items/1').expect(200);
+
+    const response = await request(app).post('/api/items').send(newItem).expect(401);
+    expect(response.body).toEqual({ error: 'Authentication required: requires the editor role' });
+    expect(response.headers['www-authenticate']).toMatch(/^Bearer/);
+  });
+
+  it('should accept API keys with their role', async () => {
+    await request(app).post('/api/items').set('X-API-Key', 'edit-key').send(newItem).expect(201);
+
+    const refused = await request(app).post('/api/items').set('X-API-Key', 'view-key').send(newItem).expect(403);
+    expect(refused.body).toEqual({ error: 'Requires the editor role' });
+
+    const invalid = await request(app).get('/api/items').set('X-API-Key', 'nope').expect(401);
+    expect(invalid.body).toEqual({ error: 'Invalid API key' });
+  });
+
+  it('should accept HMAC-signed JWTs and refuse bad ones', async () => {
+    await request(app).post('/api/items').set('Authorization', token({ sub: 'erin', role: 'editor' })).send(newItem).expect(201);
+
+    const cases = [
+      [token({ sub: 'erin', role: 'editor', exp: now() - 120 }), 'Invalid token: expired'],
+      [token({ sub: 'erin', role: 'editor' }, 'other-secret'), 'Invalid token: bad signature'],
+      [token({ sub: 'erin', role: 'owner' }), 'Invalid token: sub and a known role are required'],
+      ['Bearer not-a-token', 'Invalid token: malformed']
+    ];
+    for (const [authorization, error] of cases) {
+      const response = await request(app).get('/api/items').set('Authorization', authorization).expect(401);
+      expect(response.body).toEqual({ error });
+    }
+
+    // An unsigned token must not get in
+    const [header, payload] = signJwt({ sub: 'mallory', role: 'admin' }, 'x').split('.');
+    const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${payload}.`;
+    expect(header).toBeDefined();
+    const response = await request(app).get('/api/items').set('Authorization', `Bearer ${unsigned}`).expect(401);
+    expect(response.body).toEqual({ error: 'Invalid token: unsupported algorithm' });
+  });
+
+  it('should keep admin routes to admins', async () => {
+    const editor = token({ sub: 'erin', role: 'editor' });
+    const admin = token({ sub: 'root', role: 'admin' });
+    const routes = [
+      req => req.get('/api/items?includeDeleted=true'),
+      req => req.get('/api/items/1?includeDeleted=true'),
+      req => req.get('/api/items/trash'),
+      req => req.get('/api/audit'),
+      req => req.get('/api/stats/verify'),
+      req => req.post('/api/items/purge').send({})
+    ];
+
+    for (const route of routes) {
+      await route(request(app)).set('Authorization', editor).expect(403);
+      await route(request(app)).set('Authorization', admin).expect(200);
+    }
+
+    await request(app)
+      .post('/api/items/import?format=json&mode=replace&dryRun=true')
+      .set('X-API-Key', 'edit-key')
+      .send('[]')
+      .expect(403);
+  });
+
+  it('should record the authenticated actor in the audit log', async () => {
+    const created = await request(app)
+      .post('/api/items')
+      .set('X-API-Key', 'edit-key')
+      .set('X-Actor', 'someone-else')
+      .send(newItem)
+      .expect(201);
+
+    const history = await request(app).get(`/api/items/${created.body.id}/history`).expect(200);
+    expect(history.body.entries[0].actor).toBe('writer');
+  });
+
+  it('should keep the history of deleted items to admins', async () => {
+    const created = await request(app).post('/api/items').set('X-API-Key', 'edit-key').send(newItem).expect(201);
+    const { id } = created.body;
+
+    await request(app).get(`/api/items/${id}/history`).set('X-API-Key', 'view-key').expect(200);
+
+    await request(app)
+      .delete(`/api/items/${id}`)
+      .set('X-API-Key', 'edit-key')
+      .set('If-Match', created.headers.etag)
+      .expect(204);
+
+    const refused = await request(app).get(`/api/items/${id}/history`).set('X-API-Key', 'view-key').expect(404);
+    expect(refused.body).toEqual({ error: 'Item not found' });
+    await request(app).get(`/api/items/${id}/history`).expect(404);
+    await request(app).get(`/api/items/${id}/history`).set('X-API-Key', 'edit-key').expect(404);
+
+    const history = await request(app).get(`/api/items/${id}/history`).set('X-API-Key', 'admin-key').expect(200);
+    expect(history.body.entries.map(entry => entry.operation)).toEqual(['delete', 'create']);
+  });
+
+  it('should exchange an editor key for a token that stands in for it', async () => {
+    const response = await request(app).post('/api/auth/token').set('X-API-Key', 'edit-key').expect(200);
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.body).toEqual({ token: expect.any(String), expiresAt: expect.any(String), actor: { id: 'writer', role: 'editor' } });
+
+    const claims = verifyJwt(response.body.token, AUTH.jwtSecret);
+    expect(claims).toMatchObject({ sub: 'writer', role: 'editor' });
+    expect(claims.exp - claims.iat).toBe(AUTH.sessionTtl);
+    expect(Date.parse(response.body.expiresAt)).toBeGreaterThan(Date.now());
+
+    const created = await request(app)
+      .post('/api/items')
+      .set('Authorization', `Bearer ${response.body.token}`)
+      .send(newItem)
+      .expect(201);
+    const history = await request(app).get(`/api/items/${created.body.id}/history`).expect(200);
+    expect(history.body.entries[0].actor).toBe('writer');
+  });
+
+  it('should only exchange editor keys', async () => {
+    await request(app).post('/api/auth/token').expect(401);
+    await request(app).post('/api/auth/token').set('X-API-Key', 'nope').expect(401);
+    await request(app).post('/api/auth/token').set('X-API-Key', 'view-key').expect(403);
+
+    const renewed = await request(app)
+      .post('/api/auth/token')
+      .set('Authorization', token({ sub: 'erin', role: 'editor' }))
+      .expect(401);
+    expect(renewed.body).toEqual({ error: 'Sign in with an API key in X-API-Key' });
+  });
+
+  it('should leave the health check open', async () => {
+    await request(app).get('/health').set('X-API-Key', 'nope').expect(200);
+  });
+});
+
+describe('JWT verification', () => {
+  it('should check expiry with leeway, issuer and audience', () => {
+    const exp = 1000;
+    const jwt = signJwt({ sub: 'a', exp, iss: 'items', aud: ['web', 'cli'] }, 's', { algorithm: 'HS512' });
+
+    expect(verifyJwt(jwt, 's', { now: 999000 }).sub).toBe('a');
+    expect(() => verifyJwt(jwt, 's', { now: 1000000 })).toThrow('expired');
+    expect(verifyJwt(jwt, 's', { now: 1010000, leeway: 30 }).sub).toBe('a');
+    expect(() => verifyJwt(jwt, 's', { now: 0, issuer: 'other' })).toThrow('wrong issuer');
+    expect(verifyJwt(jwt, 's', { now: 0, issuer: 'items', audience: 'cli' }).sub).toBe('a');
+    expect(() => verifyJwt(jwt, 's', { now: 0, audience: 'mobile' })).toThrow('wrong audience');
+  });
+
+  it('should reject API key entries it cannot use', () => {
+    expect(parseApiKeys('ci:editor:abc:def')).toEqual([{ name: 'ci', role: 'editor', key: 'abc:def' }]);
+    expect(() => parseApiKeys('ci:owner:abc')).toThrow('ci');
+    expect(() => parseApiKeys('ci:editor')).toThrow('ci');
+  });
+});
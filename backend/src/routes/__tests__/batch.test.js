@@ -0,0 +1,159 @@
+const request = require('supertest');
+const app = require('../../../server');
+const cache = require('../../cache');
+
+describe('POST /api/items/batch', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const getItem = async id => (await request(app).get(`/api/items/${id}`)).body;
+  const allItems = async () => (await request(app).get('/api/items?limit=100&sort=id')).body.items;
+
+  it('should run creates, updates and deletes in order', async () => {
+    const target = await getItem(5);
+
+    const response = await request(app)
+      .post('/api/items/batch')
+      .send({
+        operations: [
+          { op: 'create', item: { name: 'Batch Shelf', price: 60, category: 'Furniture' } },
+          { op: 'update', id: 5, fields: { price: 10 }, version: target.version },
+          { op: 'update', id: 5, fields: { name: 'Renamed in batch' } },
+          { op: 'delete', id: 6 }
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.committed).toBe(true);
+    const [created, first, second, deleted] = response.body.results;
+    expect(created).toMatchObject({ op: 'create', status: 201, item: { name: 'Batch Shelf', version: 1 } });
+    expect(first).toMatchObject({ op: 'update', id: 5, status: 200, item: { price: 10, version: target.version + 1 } });
+    expect(second.item).toMatchObject({ name: 'Renamed in batch', price: 10, version: target.version + 2 });
+    expect(deleted).toEqual({ op: 'delete', id: 6, status: 204 });
+
+    expect(await getItem(5)).toEqual(second.item);
+    expect(await getItem(created.item.id)).toEqual(created.item);
+    await request(app).get('/api/items/6').expect(404);
+  });
+
+  it('should write nothing when any operation fails', async () => {
+    const before = await allItems();
+    const stats = (await request(app).get('/api/stats')).body;
+
+    const response = await request(app)
+      .post('/api/items/batch')
+      .send({
+        operations: [
+          { op: 'create', item: { name: 'Never Stored', price: 1, category: 'Accessories' } },
+          { op: 'update', id: 1, fields: { price: 1 } },
+          { op: 'delete', id: 999999 },
+          { op: 'update', id: 2, fields: { price: 1 }, version: 0 }
+        ]
+      })
+      .expect(404);
+
+    expect(response.body.committed).toBe(false);
+    expect(response.body.results.map(result => result.status)).toEqual([201, 200, 404, 409]);
+    expect(response.body.results[3].current).toEqual(before.find(item => item.id === 2));
+
+    expect(await allItems()).toEqual(before);
+    expect((await request(app).get('/api/stats')).body).toEqual(stats);
+  });
+
+  it('should patch every item matching a filter', async () => {
+    const before = await allItems();
+    const electronics = before.filter(item => item.category === 'Electronics');
+
+    const response = await request(app)
+      .post('/api/items/batch')
+      .send({ filter: { category: 'Electronics' }, patch: { price: { multiply: 0.9 } } })
+      .expect(200);
+
+    expect(response.body.results.map(result => result.id)).toEqual(electronics.map(item => item.id));
+
+    const after = await allItems();
+    after.forEach(item => {
+      const old = before.find(b => b.id === item.id);
+      if (item.category === 'Electronics') {
+        expect(item.price).toBe(parseFloat((old.price * 0.9).toFixed(2)));
+        expect(item.version).toBe(old.version + 1);
+      } else {
+        expect(item).toEqual(old);
+      }
+    });
+
+    const verify = await request(app).get('/api/stats/verify').expect(200);
+    expect(verify.body.consistent).toBe(true);
+  });
+
+  it('should move items between categories with a patch', async () => {
+    const response = await request(app)
+      .post('/api/items/batch')
+      .send({ filter: { q: 'desk', category: ['Furniture'] }, patch: { category: 'Office Equipment' } })
+      .expect(200);
+
+    expect(response.body.results.length).toBeGreaterThan(0);
+    const moved = await request(app).get('/api/items?q=desk&category=Furniture').expect(200);
+    expect(moved.body.items).toEqual([]);
+  });
+
+  it('should update the caches once for the whole batch', async () => {
+    await allItems();
+    const invalidate = jest.spyOn(cache, 'invalidate');
+
+    await request(app)
+      .post('/api/items/batch')
+      .send({ filter: {}, patch: { price: { add: 1 } } })
+      .expect(200);
+
+    expect(invalidate).toHaveBeenCalledTimes(1);
+    const [, event] = invalidate.mock.calls[0];
+    expect(event.type).toBe('change');
+    expect(event.changes.length).toBe((await allItems()).length);
+  });
+
+  it('should fail the batch when a patch would make an item invalid', async () => {
+    const before = await allItems();
+
+    const response = await request(app)
+      .post('/api/items/batch')
+      .send({ filter: { maxPrice: 50 }, patch: { price: { add: -40 } } })
+      .expect(400);
+
+    const failed = response.body.results.filter(result => result.status === 400);
+    expect(failed.length).toBeGreaterThan(0);
+    expect(failed[0].details).toEqual([{ field: 'price', message: 'must be at least 0' }]);
+    expect(await allItems()).toEqual(before);
+  });
+
+  it('should reject malformed batches', async () => {
+    const response = await request(app)
+      .post('/api/items/batch')
+      .send({ operations: [{ op: 'update', fields: { price: 'free' } }, { op: 'create', item: { name: 'No price' } }] })
+      .expect(400);
+
+    expect(response.body.details).toEqual([
+      { field: 'operations[0].id', message: 'is required' },
+      { field: 'operations[0].fields.price', message: 'must be a number' },
+      { field: 'operations[1].item.price', message: 'is required' },
+      { field: 'operations[1].item.category', message: 'is required' }
+    ]);
+
+    await request(app).post('/api/items/batch').send({}).expect(400);
+    await request(app).post('/api/items/batch').send({ patch: { price: 1 } }).expect(400);
+    await request(app).post('/api/items/batch').send({ filter: {}, patch: { price: { multiply: 2, add: 1 } } }).expect(400);
+  });
+
+  it('should refuse filters GET /api/items refuses', async () => {
+    const before = (await request(app).get('/api/items?limit=100&sort=id')).body.items;
+
+    const response = await request(app)
+      .post('/api/items/batch')
+      .send({ filter: { minPrice: 50, maxPrice: 10 }, patch: { price: { add: 1 } } })
+      .expect(400);
+
+    expect(response.body.details).toEqual([{ field: 'filter.minPrice', message: 'must not be greater than maxPrice' }]);
+    expect((await request(app).get('/api/items?minPrice=50&maxPrice=10').expect(400)).body.details)
+      .toEqual([{ field: 'minPrice', message: 'must not be greater than maxPrice' }]);
+    expect((await request(app).get('/api/items?limit=100&sort=id')).body.items).toEqual(before);
+  });
+});
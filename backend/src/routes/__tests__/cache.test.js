@@ -0,0 +1,90 @@
+const request = require('supertest');
+const app = require('../../../server');
+const cache = require('../../cache');
+const { DATA_FILE } = require('../../config');
+
+describe('Cache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  // Let background loads settle
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  it('should share one load between concurrent misses', async () => {
+    const ns = cache.namespace('test-coalescing', { ttl: 1000 });
+    const loader = jest.fn(async () => 'value');
+
+    const values = await Promise.all([1, 2, 3].map(() => ns.get('source', loader)));
+
+    expect(values).toEqual(['value', 'value', 'value']);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(ns.stats()).toMatchObject({ misses: 3, loads: 1, hits: 0 });
+
+    await ns.get('source', loader);
+    expect(ns.stats().hits).toBe(1);
+  });
+
+  it('should serve stale values while revalidating, then expire them', async () => {
+    const ns = cache.namespace('test-stale', { ttl: 1000, staleWhileRevalidate: 1000 });
+    let version = 1;
+    const loader = jest.fn(async () => version);
+
+    await ns.get('source', loader);
+    version = 2;
+    now += 1500;
+
+    // Stale: the old value comes back at once and a reload starts
+    expect(await ns.get('source', loader)).toBe(1);
+    await flush();
+    expect(await ns.get('source', loader)).toBe(2);
+    expect(ns.stats()).toMatchObject({ staleHits: 1, loads: 2 });
+
+    // Past the stale window: a plain miss
+    version = 3;
+    now += 2500;
+    expect(await ns.get('source', loader)).toBe(3);
+  });
+
+  it('should not store a load that an invalidation overtook', async () => {
+    const ns = cache.namespace('test-overtaken', { ttl: 1000 });
+    let resolveLoad;
+    const pending = ns.get('source', () => new Promise(resolve => { resolveLoad = resolve; }));
+    await flush();
+
+    ns.invalidate('source');
+    resolveLoad('old');
+
+    expect(await pending).toBe('old');
+    expect(ns.peek('source')).toBeUndefined();
+  });
+
+  it('should update entries in place on change events and drop them otherwise', async () => {
+    const ns = cache.namespace('test-change', {
+      ttl: 1000,
+      onChange: (list, changes) => [...list, ...changes.map(change => change.after)]
+    });
+
+    await ns.get('source', async () => ['a']);
+    cache.invalidate('source', { type: 'change', changes: [{ before: null, after: 'b' }] });
+    expect(ns.peek('source')).toEqual(['a', 'b']);
+
+    cache.invalidate('source', { type: 'reset' });
+    expect(ns.peek('source')).toBeUndefined();
+  });
+
+  it('should read the data file once for concurrent requests and report counters', async () => {
+    await request(app).get('/api/items').expect(200);
+    cache.invalidate(DATA_FILE);
+    const before = (await request(app).get('/health')).body.cache.items;
+
+    await Promise.all([1, 2, 3, 4].map(() => request(app).get('/api/items').expect(200)));
+
+    const after = (await request(app).get('/health')).body.cache.items;
+    expect(after.loads - before.loads).toBe(1);
+    expect(after.misses + after.hits - before.misses - before.hits).toBeGreaterThanOrEqual(4);
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../../../server');
+
+describe('Optimistic concurrency', () => {
+  let item;
+
+  beforeEach(async () => {
+    const created = await request(app)
+      .post('/api/items')
+      .send({ name: 'Shared Whiteboard', price: 80, category: 'Office Equipment' })
+      .expect(201);
+    item = created.body;
+  });
+
+  it('should stamp items with a version and updatedAt and tag them with it', async () => {
+    expect(item.version).toBe(1);
+    expect(new Date(item.updatedAt).getTime()).not.toBeNaN();
+
+    const fetched = await request(app).get(`/api/items/${item.id}`).expect(200);
+    expect(fetched.headers.etag).toBe('"v1"');
+    expect(fetched.headers['last-modified']).toBe(new Date(item.updatedAt).toUTCString());
+
+    const updated = await request(app)
+      .patch(`/api/items/${item.id}`)
+      .set('If-Match', fetched.headers.etag)
+      .send({ price: 85 })
+      .expect(200);
+    expect(updated.body.version).toBe(2);
+    expect(updated.headers.etag).toBe('"v2"');
+  });
+
+  it('should require a version on PUT, PATCH and DELETE', async () => {
+    await request(app).patch(`/api/items/${item.id}`).send({ price: 1 }).expect(428);
+    await request(app)
+      .put(`/api/items/${item.id}`)
+      .send({ name: 'Whiteboard', price: 1, category: 'Office Equipment' })
+      .expect(428);
+    await request(app).delete(`/api/items/${item.id}`).expect(428);
+
+    const unchanged = await request(app).get(`/api/items/${item.id}`).expect(200);
+    expect(unchanged.body).toEqual(item);
+  });
+
+  it('should reject a stale If-Match with 412 and the current item', async () => {
+    await request(app).patch(`/api/items/${item.id}`).set('If-Match', '"v1"').send({ price: 90 }).expect(200);
+
+    const stale = await request(app)
+      .put(`/api/items/${item.id}`)
+      .set('If-Match', '"v1"')
+      .send({ name: 'Whiteboard', price: 70, category: 'Office Equipment' })
+      .expect(412);
+
+    expect(stale.body.current).toMatchObject({ id: item.id, price: 90, version: 2 });
+
+    await request(app).delete(`/api/items/${item.id}`).set('If-Match', '"v1"').expect(412);
+    await request(app).get(`/api/items/${item.id}`).expect(200);
+  });
+
+  it('should report a lost update between two editors as a 409', async () => {
+    // Both start from version 1
+    await request(app)
+      .patch(`/api/items/${item.id}`)
+      .send({ name: 'Whiteboard (A)', version: item.version })
+      .expect(200);
+
+    const second = await request(app)
+      .patch(`/api/items/${item.id}`)
+      .send({ description: 'Edited by B', version: item.version })
+      .expect(409);
+
+    expect(second.body.error).toBeDefined();
+    expect(second.body.current).toMatchObject({ name: 'Whiteboard (A)', version: 2 });
+
+    // Retrying against the current copy goes through
+    const retried = await request(app)
+      .patch(`/api/items/${item.id}`)
+      .send({ description: 'Edited by B', version: second.body.current.version })
+      .expect(200);
+    expect(retried.body).toMatchObject({ name: 'Whiteboard (A)', description: 'Edited by B', version: 3 });
+  });
+
+  it('should match If-Match strongly, against any listed tag, or * for any version', async () => {
+    await request(app).patch(`/api/items/${item.id}`).set('If-Match', 'W/"v1"').send({ price: 1 }).expect(412);
+    await request(app).patch(`/api/items/${item.id}`).set('If-Match', '"v7", "v1"').send({ price: 2 }).expect(200);
+    await request(app).delete(`/api/items/${item.id}`).set('If-Match', '*').expect(204);
+  });
+
+  it('should ignore version and updatedAt as item fields', async () => {
+    const response = await request(app)
+      .put(`/api/items/${item.id}`)
+      .set('If-Match', '"v1"')
+      .send({ name: 'Whiteboard', price: 75, category: 'Office Equipment', updatedAt: '2000-01-01T00:00:00.000Z' })
+      .expect(200);
+
+    expect(response.body.version).toBe(2);
+    expect(response.body.updatedAt).not.toBe('2000-01-01T00:00:00.000Z');
+  });
+
+  it('should validate a version sent in the body', async () => {
+    await request(app).patch(`/api/items/${item.id}`).send({ version: 'latest' }).expect(400);
+    await request(app).delete(`/api/items/${item.id}`).send({ version: -1 }).expect(400);
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../../../server');
+const { getRepository } = require('../../storage');
+
+describe('Conditional requests', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should send validators and Cache-Control on items, item and stats responses', async () => {
+    for (const url of ['/api/items', '/api/items/1', '/api/stats']) {
+      const response = await request(app).get(url).expect(200);
+
+      expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+      expect(new Date(response.headers['last-modified']).getTime()).not.toBeNaN();
+      expect(response.headers['cache-control']).toBe('no-cache');
+    }
+  });
+
+  it('should answer 304 to a matching If-None-Match without running the query', async () => {
+    const first = await request(app).get('/api/items?category=Electronics').expect(200);
+    const query = jest.spyOn(getRepository(), 'query');
+
+    const response = await request(app)
+      .get('/api/items?category=Electronics')
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+
+    expect(response.text).toBe('');
+    expect(response.headers.etag).toBe(first.headers.etag);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('should tag each query separately, and equivalent queries alike', async () => {
+    const plain = await request(app).get('/api/items').expect(200);
+    const defaults = await request(app).get('/api/items?page=1&limit=10').expect(200);
+    const other = await request(app).get('/api/items?page=2').expect(200);
+
+    expect(defaults.headers.etag).toBe(plain.headers.etag);
+    expect(other.headers.etag).not.toBe(plain.headers.etag);
+
+    await request(app).get('/api/items?page=2').set('If-None-Match', plain.headers.etag).expect(200);
+  });
+
+  it('should honour If-Modified-Since when no ETag is sent', async () => {
+    const first = await request(app).get('/api/stats').expect(200);
+    const modified = new Date(first.headers['last-modified']);
+
+    await request(app)
+      .get('/api/stats')
+      .set('If-Modified-Since', modified.toUTCString())
+      .expect(304);
+
+    await request(app)
+      .get('/api/stats')
+      .set('If-Modified-Since', new Date(modified.getTime() - 1000).toUTCString())
+      .expect(200);
+  });
+
+  it('should let If-None-Match win over If-Modified-Since', async () => {
+    const first = await request(app).get('/api/items/1').expect(200);
+
+    await request(app)
+      .get('/api/items/1')
+      .set('If-None-Match', '"something-else"')
+      .set('If-Modified-Since', new Date(Date.now() + 60000).toUTCString())
+      .expect(200);
+
+    await request(app)
+      .get('/api/items/1')
+      .set('If-None-Match', `"something-else", ${first.headers.etag}`)
+      .expect(304);
+  });
+
+  it('should change the validators when the items change', async () => {
+    const items = await request(app).get('/api/items').expect(200);
+    const stats = await request(app).get('/api/stats').expect(200);
+
+    const created = await request(app)
+      .post('/api/items')
+      .send({ name: 'Conditional Lamp', category: 'Furniture', price: 42 })
+      .expect(201);
+
+    const fresh = await request(app)
+      .get('/api/items')
+      .set('If-None-Match', items.headers.etag)
+      .expect(200);
+    expect(fresh.headers.etag).not.toBe(items.headers.etag);
+
+    const freshStats = await request(app)
+      .get('/api/stats')
+      .set('If-None-Match', stats.headers.etag)
+      .expect(200);
+    expect(freshStats.body.totalItems).toBe(stats.body.totalItems + 1);
+
+    await request(app).delete(`/api/items/${created.body.id}`).set('If-Match', created.headers.etag).expect(204);
+    await request(app).get('/api/items').set('If-None-Match', fresh.headers.etag).expect(200);
+  });
+
+  it('should not apply to invalid queries', async () => {
+    const response = await request(app).get('/api/items?limit=abc').expect(400);
+    expect(response.headers['last-modified']).toBeUndefined();
+    expect(response.headers['cache-control']).toBeUndefined();
+  });
+});
@@ -0,0 +1,139 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../../../server');
+const { createEventStream } = require('../../services/eventsService');
+
+/**
+ * Open the event stream on a running server and collect what it sends
+ * @returns {Object} { next(type) resolving with the next event of that type, close() }
+ */
+function openStream(server, headers = {}) {
+  const { port } = server.address();
+  const received = [];
+  const waiting = [];
+  let buffer = '';
+
+  const deliver = () => {
+    waiting.slice().forEach(waiter => {
+      const index = received.findIndex(event => event.type === waiter.type);
+      if (index !== -1) {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        waiter.resolve(received.splice(index, 1)[0]);
+      }
+    });
+  };
+
+  const req = http.get({ port, path: '/api/events', headers }, res => {
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(block => {
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) {
+          received.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+        }
+      });
+      deliver();
+    });
+  });
+  req.on('error', () => {});
+
+  return {
+    next: type => new Promise(resolve => {
+      waiting.push({ type, resolve });
+      deliver();
+    }),
+    close: () => req.destroy()
+  };
+}
+
+describe('GET /api/events', () => {
+  let server;
+  const streams = [];
+  const listen = headers => {
+    const stream = openStream(server, headers);
+    streams.push(stream);
+    return stream;
+  };
+
+  beforeAll(done => {
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    streams.forEach(stream => stream.close());
+    server.close(done);
+  });
+
+  it('should stream item and stats events as items change', async () => {
+    const events = listen();
+    // Let the stream connect before writing
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const created = await request(app)
+      .post('/api/items')
+      .send({ name: 'Streamed Lamp', price: 25, category: 'Furniture' })
+      .expect(201);
+
+    const createdEvent = await events.next('item.created');
+    expect(createdEvent.data.item).toMatchObject({ id: created.body.id, name: 'Streamed Lamp' });
+    const statsEvent = await events.next('stats.changed');
+    expect(statsEvent.data.stats.totalItems).toEqual(expect.any(Number));
+
+    await request(app)
+      .patch(`/api/items/${created.body.id}`)
+      .send({ price: 30, version: created.body.version })
+      .expect(200);
+    expect((await events.next('item.updated')).data.item).toMatchObject({ id: created.body.id, price: 30 });
+
+    await request(app).delete(`/api/items/${created.body.id}`).set('If-Match', '*').expect(204);
+    expect((await events.next('item.deleted')).data).toEqual({ id: created.body.id });
+  });
+
+  it('should replay missed events after Last-Event-ID', async () => {
+    const first = listen();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const created = await request(app)
+      .post('/api/items')
+      .send({ name: 'Missed Lamp', price: 25, category: 'Furniture' })
+      .expect(201);
+    const { id } = await first.next('item.created');
+
+    await request(app)
+      .patch(`/api/items/${created.body.id}`)
+      .send({ name: 'Missed Lamp II', version: created.body.version })
+      .expect(200);
+
+    const resumed = listen({ 'Last-Event-ID': id });
+    expect((await resumed.next('item.updated')).data.item.name).toBe('Missed Lamp II');
+  });
+
+  it('should tell clients with an unknown Last-Event-ID to start over', async () => {
+    const events = listen({ 'Last-Event-ID': 'old-12' });
+    const reset = await events.next('items.reset');
+    expect(reset.id).toMatch(/^\w+-\d+$/);
+  });
+});
+
+describe('Event streams', () => {
+  it('should replay only what is still buffered', () => {
+    const stream = createEventStream({ bufferSize: 2 });
+    const first = stream.publish('item.deleted', { id: 1 });
+    const second = stream.publish('item.deleted', { id: 2 });
+    stream.publish('item.deleted', { id: 3 });
+    stream.publish('item.deleted', { id: 4 });
+
+    const replayed = [];
+    stream.subscribe(event => replayed.push(event.data.id), second.id);
+    expect(replayed).toEqual([3, 4]);
+
+    const stale = [];
+    stream.subscribe(event => stale.push(event.type), first.id);
+    expect(stale).toEqual(['items.reset']);
+  });
+});
@@ -0,0 +1,64 @@
+const request = require('supertest');
+const app = require('../../../server');
+const { PRICE_BANDS, bandOf } = require('../../services/facets');
+
+describe('Facets', () => {
+  const list = async (query) => (await request(app).get(`/api/items?limit=100&${query}`).expect(200)).body.items;
+
+  const countBy = (items, key) => items.reduce((counts, item) => {
+    const value = key(item);
+    counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+
+  it('should only add facets when asked for', async () => {
+    const response = await request(app).get('/api/items').expect(200);
+    expect(response.body.facets).toBeUndefined();
+  });
+
+  it('should count each facet with every filter but its own', async () => {
+    const response = await request(app)
+      .get('/api/items?q=desk&category=Accessories&minPrice=20&facets=true')
+      .expect(200);
+    const { category, price } = response.body.facets;
+
+    // Categories count over the search and price filter, whatever is checked
+    const byCategory = countBy(await list('q=desk&minPrice=20'), item => item.category);
+    expect(category.map(facet => facet.value)).toEqual(['Electronics', 'Furniture', 'Accessories', 'Office Equipment']);
+    category.forEach(({ value, count }) => {
+      expect(count).toBe(byCategory[value] || 0);
+    });
+
+    // Prices count over the search and category filter, whatever range is set
+    const priced = await list('q=desk&category=Accessories');
+    const prices = priced.map(item => item.price);
+    expect(price.min).toBe(Math.min(...prices));
+    expect(price.max).toBe(Math.max(...prices));
+    expect(price.bands.map(band => band.min)).toEqual(PRICE_BANDS);
+    expect(price.bands[price.bands.length - 1].max).toBeNull();
+    const byBand = countBy(priced, item => bandOf(item.price));
+    price.bands.forEach(({ count }, i) => {
+      expect(count).toBe(byBand[i] || 0);
+    });
+
+    // The list itself is filtered as usual
+    expect(response.body.pagination.totalItems).toBe((await list('q=desk&category=Accessories&minPrice=20')).length);
+  });
+
+  it('should return zero counts when nothing matches', async () => {
+    const response = await request(app).get('/api/items?q=zzzzqqq&facets=true').expect(200);
+    const { category, price } = response.body.facets;
+
+    expect(category.every(facet => facet.count === 0)).toBe(true);
+    expect(price.min).toBeNull();
+    expect(price.max).toBeNull();
+    expect(price.bands.every(band => band.count === 0)).toBe(true);
+  });
+
+  it('should put band edges in the band above', () => {
+    expect(bandOf(0)).toBe(0);
+    expect(bandOf(24.99)).toBe(0);
+    expect(bandOf(25)).toBe(1);
+    expect(bandOf(5000)).toBe(PRICE_BANDS.length - 1);
+  });
+});
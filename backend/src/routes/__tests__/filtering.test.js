@@ -0,0 +1,75 @@
+const request = require('supertest');
+const app = require('../../../server');
+const { applyFilters, sortItems } = require('../../services/searchService');
+
+describe('Filtering and sorting', () => {
+  describe('GET /api/items', () => {
+    it('should filter by one or more categories', async () => {
+      const response = await request(app)
+        .get('/api/items?category=Furniture&category=Accessories&limit=100')
+        .expect(200);
+
+      expect(response.body.items.length).toBeGreaterThan(0);
+      response.body.items.forEach(item => {
+        expect(['Furniture', 'Accessories']).toContain(item.category);
+      });
+      expect(response.body.filters).toEqual({ category: ['Furniture', 'Accessories'] });
+    });
+
+    it('should filter by price range and sort descending by price', async () => {
+      const response = await request(app)
+        .get('/api/items?minPrice=50&maxPrice=300&sort=-price&limit=100')
+        .expect(200);
+
+      const prices = response.body.items.map(item => item.price);
+      expect(prices.length).toBeGreaterThan(0);
+      prices.forEach(price => {
+        expect(price).toBeGreaterThanOrEqual(50);
+        expect(price).toBeLessThanOrEqual(300);
+      });
+      expect(prices).toEqual([...prices].sort((a, b) => b - a));
+      expect(response.body.filters).toEqual({ minPrice: 50, maxPrice: 300, sort: ['-price'] });
+    });
+
+    it('should combine text search with filters', async () => {
+      const response = await request(app)
+        .get('/api/items?q=desk&category=Accessories&sort=name')
+        .expect(200);
+
+      const names = response.body.items.map(item => item.name);
+      expect(names).toEqual(['Cable Manager', 'Desk Mat']);
+      expect(response.body.filters).toEqual({ q: 'desk', category: ['Accessories'], sort: ['name'] });
+    });
+
+    it('should reject unknown sort keys and inverted price ranges', async () => {
+      const badSort = await request(app).get('/api/items?sort=colour').expect(400);
+      expect(badSort.body.details[0].field).toBe('sort');
+
+      const badRange = await request(app).get('/api/items?minPrice=100&maxPrice=10').expect(400);
+      expect(badRange.body.details).toEqual([
+        { field: 'minPrice', message: 'must not be greater than maxPrice' }
+      ]);
+    });
+  });
+
+  describe('Search service helpers', () => {
+    const items = [
+      { id: 1, name: 'b', price: 10, category: 'A' },
+      { id: 2, name: 'a', price: 10, category: 'B' },
+      { id: 3, name: 'c', price: 5, category: 'A' }
+    ];
+
+    it('should sort on multiple keys', () => {
+      expect(sortItems(items, ['-price', 'name']).map(i => i.id)).toEqual([2, 1, 3]);
+      expect(sortItems(items, ['price', '-id']).map(i => i.id)).toEqual([3, 2, 1]);
+    });
+
+    it('should keep input order when no sort is given', () => {
+      expect(sortItems(items, undefined)).toBe(items);
+    });
+
+    it('should apply inclusive price bounds', () => {
+      expect(applyFilters(items, { minPrice: 5, maxPrice: 5 }).map(i => i.id)).toEqual([3]);
+    });
+  });
+});
@@ -1,7 +1,7 @@
 const request = require('supertest');
 const app = require('../../../server');
-const { calculateStats, getCachedStats, invalidateCache } = require('../../services/statsService');
-const { filterItems } = require('../../services/searchService');
+const { calculateStats } = require('../../services/statsService');
+const { buildIndex, searchIndex } = require('../../services/searchIndex');
 
 describe('Items Routes', () => {
   describe('GET /api/items', () => {
@@ -110,6 +110,127 @@ describe('Items Routes', () => {
     });
   });
 
+  describe('Write operations', () => {
+    it('should create an item with a server-assigned id', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ id: 1, name: 'Test Lamp', description: 'Bright', price: 19.5, category: 'Furniture' })
+        .expect(201);
+
+      expect(response.body.id).toBeGreaterThan(25);
+      expect(response.body.name).toBe('Test Lamp');
+
+      // The new item is visible immediately, without waiting for the cache TTL
+      const fetched = await request(app)
+        .get(`/api/items/${response.body.id}`)
+        .expect(200);
+      expect(fetched.body.name).toBe('Test Lamp');
+    });
+
+    it('should merge fields on PATCH and replace them on PUT', async () => {
+      const patched = await request(app)
+        .patch('/api/items/2')
+        .set('If-Match', '"v1"')
+        .send({ price: 24.99 })
+        .expect(200);
+
+      expect(patched.body.price).toBe(24.99);
+      expect(patched.body.name).toBe('Wireless Mouse');
+
+      const replaced = await request(app)
+        .put('/api/items/2')
+        .send({ name: 'Mouse', price: 10, category: 'Electronics', version: patched.body.version })
+        .expect(200);
+
+      expect(replaced.body).toEqual({
+        id: 2,
+        name: 'Mouse',
+        price: 10,
+        category: 'Electronics',
+        version: 3,
+        updatedAt: expect.any(String)
+      });
+    });
+
+    it('should refuse a PATCH that empties a required field', async () => {
+      const before = await request(app).get('/api/items/4').expect(200);
+
+      const emptied = await request(app)
+        .patch('/api/items/4')
+        .set('If-Match', before.headers.etag)
+        .send({ name: '' })
+        .expect(400);
+      expect(emptied.body.details).toEqual([{ field: 'name', message: 'is required' }]);
+
+      const nulled = await request(app)
+        .patch('/api/items/4')
+        .set('If-Match', before.headers.etag)
+        .send({ name: '   ', price: null })
+        .expect(400);
+      expect(nulled.body.details).toEqual([
+        { field: 'name', message: 'is required' },
+        { field: 'price', message: 'is required' }
+      ]);
+
+      expect((await request(app).get('/api/items/4')).body).toEqual(before.body);
+    });
+
+    it('should clear an optional field on PATCH with "" or null', async () => {
+      const created = await request(app)
+        .post('/api/items')
+        .send({ name: 'Clearable Lamp', description: 'Bright', price: 5, category: 'Furniture' })
+        .expect(201);
+
+      const cleared = await request(app)
+        .patch(`/api/items/${created.body.id}`)
+        .set('If-Match', created.headers.etag)
+        .send({ description: '' })
+        .expect(200);
+      expect(cleared.body).not.toHaveProperty('description');
+      expect(cleared.body.version).toBe(created.body.version + 1);
+      expect((await request(app).get(`/api/items/${created.body.id}`)).body).toEqual(cleared.body);
+
+      const described = await request(app)
+        .patch(`/api/items/${created.body.id}`)
+        .set('If-Match', cleared.headers.etag)
+        .send({ description: 'Dim' })
+        .expect(200);
+      const nulled = await request(app)
+        .patch(`/api/items/${created.body.id}`)
+        .set('If-Match', described.headers.etag)
+        .send({ description: null })
+        .expect(200);
+      expect(nulled.body).not.toHaveProperty('description');
+    });
+
+    it('should delete an item', async () => {
+      await request(app).delete('/api/items/3').set('If-Match', '*').expect(204);
+      await request(app).get('/api/items/3').expect(404);
+      await request(app).delete('/api/items/3').set('If-Match', '*').expect(404);
+    });
+
+    it('should serialize concurrent writes without losing any', async () => {
+      const before = await request(app).get('/api/stats');
+
+      const responses = await Promise.all(
+        [1, 2, 3, 4, 5].map(n =>
+          request(app).post('/api/items').send({ name: `Concurrent ${n}`, price: n, category: 'Accessories' })
+        )
+      );
+
+      const ids = responses.map(r => r.body.id);
+      expect(new Set(ids).size).toBe(5);
+
+      // Stats cache is invalidated by the writes
+      const after = await request(app).get('/api/stats');
+      expect(after.body.totalItems).toBe(before.body.totalItems + 5);
+    });
+
+    it('should return 404 when updating a missing item', async () => {
+      await request(app).patch('/api/items/999999').send({ price: 1, version: 1 }).expect(404);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle server errors gracefully', async () => {
       // This test verifies the error handling middleware works
@@ -126,32 +247,35 @@ describe('Search Service', () => {
     { id: 2, name: 'Mouse', description: 'Wireless mouse', category: 'Electronics' },
     { id: 3, name: 'Desk', description: 'Wooden desk', category: 'Furniture' }
   ];
+  const index = buildIndex(mockItems);
+  const search = query => searchIndex(index, query).map(result => result.item);
 
   it('should filter items by name', () => {
-    const result = filterItems(mockItems, 'laptop');
+    const result = search('laptop');
     expect(result.length).toBe(1);
     expect(result[0].name).toBe('Laptop');
   });
 
   it('should filter items by description', () => {
-    const result = filterItems(mockItems, 'wireless');
+    const result = search('wireless');
     expect(result.length).toBe(1);
     expect(result[0].name).toBe('Mouse');
   });
 
   it('should filter items by category', () => {
-    const result = filterItems(mockItems, 'furniture');
+    const result = search('furniture');
     expect(result.length).toBe(1);
     expect(result[0].name).toBe('Desk');
   });
 
-  it('should return all items if query is empty', () => {
-    const result = filterItems(mockItems, '');
-    expect(result.length).toBe(mockItems.length);
+  it('should return all items if query is empty', async () => {
+    const all = await request(app).get('/api/items?limit=100').expect(200);
+    const empty = await request(app).get('/api/items?limit=100&q=').expect(200);
+    expect(empty.body.items).toEqual(all.body.items);
   });
 
   it('should be case insensitive', () => {
-    const result = filterItems(mockItems, 'LAPTOP');
+    const result = search('LAPTOP');
     expect(result.length).toBe(1);
   });
 });
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const app = require('../../../server');
+const { paginateByCursor } = require('../../services/paginationService');
+
+describe('Cursor pagination', () => {
+  const items = [
+    { id: 1, price: 30 },
+    { id: 2, price: 10 },
+    { id: 3, price: 20 },
+    { id: 4, price: 10 },
+    { id: 5, price: 40 }
+  ];
+  const query = { sort: ['price'] };
+
+  it('should walk every item exactly once in sort order', () => {
+    const seen = [];
+    let cursor;
+    do {
+      const { items: page, pagination } = paginateByCursor(items, { sort: ['price'], cursor, limit: 2, query });
+      seen.push(...page.map(i => i.id));
+      cursor = pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([2, 4, 3, 1, 5]);
+  });
+
+  it('should not repeat or skip items when earlier items change', () => {
+    const first = paginateByCursor(items, { sort: ['price'], limit: 2, query });
+    expect(first.items.map(i => i.id)).toEqual([2, 4]);
+
+    // An item is inserted before the cursor and another one removed
+    const changed = [{ id: 6, price: 5 }, ...items.filter(i => i.id !== 2)];
+    const second = paginateByCursor(changed, {
+      sort: ['price'],
+      cursor: first.pagination.nextCursor,
+      limit: 2,
+      query
+    });
+
+    expect(second.items.map(i => i.id)).toEqual([3, 1]);
+  });
+
+  it('should reject cursors from a different query', () => {
+    const first = paginateByCursor(items, { sort: ['price'], limit: 2, query });
+
+    expect(() => paginateByCursor(items, {
+      sort: ['-price'],
+      cursor: first.pagination.nextCursor,
+      limit: 2,
+      query: { sort: ['-price'] }
+    })).toThrow('Invalid query parameters');
+  });
+
+  describe('GET /api/items', () => {
+    it('should page with nextCursor until hasMore is false', async () => {
+      const first = await request(app).get('/api/items?paging=cursor&limit=10&sort=-price').expect(200);
+
+      expect(first.body.pagination.mode).toBe('cursor');
+      expect(first.body.pagination.hasMore).toBe(true);
+      expect(first.body.items).toHaveLength(10);
+
+      const ids = first.body.items.map(i => i.id);
+      let cursor = first.body.pagination.nextCursor;
+      while (cursor) {
+        const next = await request(app)
+          .get('/api/items')
+          .query({ cursor, limit: 10, sort: '-price' })
+          .expect(200);
+        ids.push(...next.body.items.map(i => i.id));
+        cursor = next.body.pagination.nextCursor;
+      }
+
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(ids.length).toBe(first.body.pagination.totalItems);
+    });
+
+    it('should return 400 for a garbled cursor', async () => {
+      const response = await request(app).get('/api/items?cursor=not-a-cursor').expect(400);
+      expect(response.body.details).toEqual([{ field: 'cursor', message: 'is not a valid cursor' }]);
+    });
+
+    it('should return 400 when the filters change under a cursor', async () => {
+      const first = await request(app).get('/api/items?paging=cursor&limit=2&category=Furniture').expect(200);
+
+      const response = await request(app)
+        .get('/api/items')
+        .query({ cursor: first.body.pagination.nextCursor, limit: 2, category: 'Electronics' })
+        .expect(400);
+      expect(response.body.details[0].field).toBe('cursor');
+    });
+  });
+});
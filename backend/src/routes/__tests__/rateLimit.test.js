@@ -0,0 +1,97 @@
+const request = require('supertest');
+
+// Small budgets, refilled slowly, so a few requests use them up
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.RATE_LIMIT_READ_BURST = '4';
+process.env.RATE_LIMIT_SEARCH_BURST = '2';
+process.env.RATE_LIMIT_WRITE_BURST = '1';
+['READ', 'SEARCH', 'WRITE'].forEach(name => {
+  process.env[`RATE_LIMIT_${name}_PER_MINUTE`] = '1';
+});
+process.env.AUTH_API_KEYS = 'ci:editor:ci-key';
+// Tests connect over loopback, standing in for a proxy
+process.env.TRUST_PROXY = 'loopback';
+
+const app = require('../../../server');
+const { takeTokens } = require('../../rateLimit/tokenBucket');
+const { createMemoryStore } = require('../../rateLimit/memoryStore');
+
+describe('Rate limiting', () => {
+  it('should report the read budget and refuse requests once it is spent', async () => {
+    const first = await request(app).get('/api/items').expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('4');
+    expect(first.headers['ratelimit-remaining']).toBe('3');
+    expect(first.headers['ratelimit-policy']).toBe('4;w=240;name="read"');
+    expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+    await request(app).get('/api/stats').expect(200);
+    await request(app).get('/api/items/1').expect(200);
+    await request(app).get('/api/items/suggest?q=de').expect(200);
+
+    const refused = await request(app).get('/api/items').expect(429);
+    expect(refused.body).toEqual({ error: expect.stringMatching(/^Too many read requests: retry in \d+s$/) });
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+    expect(refused.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('should give searches and writes their own budgets', async () => {
+    await request(app).get('/api/items?q=desk').expect(200);
+    await request(app).get('/api/stats?q=desk').expect(200);
+    const refused = await request(app).get('/api/items?q=desk').expect(429);
+    expect(refused.body.error).toMatch(/^Too many search requests/);
+
+    const item = { name: 'Limited Lamp', price: 10, category: 'Furniture' };
+    await request(app).post('/api/items').send(item).expect(201);
+    await request(app).post('/api/items').send(item).expect(429);
+  });
+
+  it('should count clients with credentials separately', async () => {
+    const response = await request(app).get('/api/items?q=desk').set('X-API-Key', 'ci-key').expect(200);
+    expect(response.headers['ratelimit-remaining']).toBe('1');
+  });
+
+  it('should count clients behind a trusted proxy by their own address', async () => {
+    await request(app).get('/api/items').expect(429);
+
+    const forwarded = await request(app).get('/api/items').set('X-Forwarded-For', '203.0.113.7').expect(200);
+    expect(forwarded.headers['ratelimit-remaining']).toBe('3');
+    const other = await request(app).get('/api/items').set('X-Forwarded-For', '203.0.113.8').expect(200);
+    expect(other.headers['ratelimit-remaining']).toBe('3');
+  });
+
+  it('should leave the health check alone', async () => {
+    const response = await request(app).get('/health').expect(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+});
+
+describe('Token buckets', () => {
+  const policy = { capacity: 2, refillPerSecond: 1 };
+
+  it('should refill over time up to the capacity', () => {
+    let result = takeTokens(undefined, policy, 0);
+    result = takeTokens(result.bucket, policy, 0);
+    expect(result).toMatchObject({ allowed: true, remaining: 0, resetMs: 2000 });
+
+    result = takeTokens(result.bucket, policy, 250);
+    expect(result).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 750 });
+
+    result = takeTokens(result.bucket, policy, 10000);
+    expect(result).toMatchObject({ allowed: true, remaining: 1, resetMs: 1000 });
+  });
+
+  it('should keep a bucket per key and drop full ones', async () => {
+    let time = 0;
+    const store = createMemoryStore({ now: () => time, sweepMs: 1000 });
+
+    await store.take('a', policy);
+    await store.take('a', policy);
+    expect((await store.take('a', policy)).allowed).toBe(false);
+    expect((await store.take('b', policy)).allowed).toBe(true);
+    expect(store.size()).toBe(2);
+
+    time = 5000;
+    await store.take('c', policy);
+    expect(store.size()).toBe(1);
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const app = require('../../../server');
+const { buildIndex, searchIndex, tokenize, editDistance, suggestQueries, correctQuery } = require('../../services/searchIndex');
+
+describe('Ranked search', () => {
+  const items = [
+    { id: 1, name: 'Desk Lamp', description: 'LED lamp for your desk', category: 'Furniture' },
+    { id: 2, name: 'Standing Desk', description: 'Adjustable height', category: 'Furniture' },
+    { id: 3, name: 'Wireless Mouse', description: 'Ergonomic mouse', category: 'Electronics' },
+    { id: 4, name: 'Mouse Pad', description: 'Large desk mat', category: 'Accessories' }
+  ];
+  const index = buildIndex(items);
+  const ids = results => results.map(r => r.item.id);
+
+  it('should tokenize on non-alphanumeric characters', () => {
+    expect(tokenize('USB-C Hub, 4K!')).toEqual(['usb', 'c', 'hub', '4k']);
+  });
+
+  it('should require every word by default', () => {
+    expect(ids(searchIndex(index, 'desk lamp'))).toEqual([1]);
+  });
+
+  it('should support OR between words', () => {
+    expect(ids(searchIndex(index, 'lamp OR wireless')).sort()).toEqual([1, 3]);
+    expect(ids(searchIndex(index, 'lamp wireless', { operator: 'or' })).sort()).toEqual([1, 3]);
+  });
+
+  it('should match word prefixes', () => {
+    expect(ids(searchIndex(index, 'wire'))).toEqual([3]);
+    expect(searchIndex(index, 'wire', { prefix: false })).toEqual([]);
+  });
+
+  it('should weight name matches above description matches', () => {
+    const results = searchIndex(index, 'desk');
+    expect(ids(results)).toEqual([1, 2, 4]);
+    expect(results[0].score).toBeGreaterThan(results[2].score);
+    expect(results[1].score).toBeGreaterThan(results[2].score);
+  });
+
+  describe('GET /api/items with q', () => {
+    it('should return results by relevance with a score', async () => {
+      const response = await request(app).get('/api/items?q=desk&limit=100').expect(200);
+
+      const scores = response.body.items.map(item => item.score);
+      expect(scores.length).toBeGreaterThan(0);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+      expect(response.body.filters.sort).toEqual(['relevance']);
+    });
+
+    it('should combine words with op=or', async () => {
+      const and = await request(app).get('/api/items?q=laptop mouse').expect(200);
+      const or = await request(app).get('/api/items?q=laptop mouse&op=or&limit=100').expect(200);
+
+      expect(and.body.items).toEqual([]);
+      expect(or.body.items.length).toBeGreaterThan(1);
+      expect(or.body.filters.op).toBe('or');
+    });
+
+    it('should pick up new items immediately after a write', async () => {
+      await request(app)
+        .post('/api/items')
+        .send({ name: 'Zanzibar Globe', price: 45, category: 'Accessories' })
+        .expect(201);
+
+      const response = await request(app).get('/api/items?q=zanzi').expect(200);
+      expect(response.body.items.map(item => item.name)).toEqual(['Zanzibar Globe']);
+    });
+  });
+});
+
+describe('Fuzzy search', () => {
+  const items = [
+    { id: 1, name: 'Mechanical Keyboard', description: 'RGB keyboard', category: 'Electronics' },
+    { id: 2, name: 'Laptop Stand', description: 'Aluminium stand', category: 'Accessories' },
+    { id: 3, name: 'Laptop Pro', description: 'Fast laptop', category: 'Electronics' }
+  ];
+  const index = buildIndex(items);
+
+  it('should compute edit distance with transpositions', () => {
+    expect(editDistance('keybord', 'keyboard')).toBe(1);
+    expect(editDistance('labtop', 'laptop')).toBe(1);
+    expect(editDistance('lpatop', 'laptop')).toBe(1);
+    expect(editDistance('mouse', 'house')).toBe(1);
+    expect(editDistance('abc', 'xyz', 1)).toBe(2);
+  });
+
+  it('should only match typos in fuzzy mode', () => {
+    expect(searchIndex(index, 'keybord')).toEqual([]);
+    expect(searchIndex(index, 'keybord', { fuzzy: true }).map(r => r.item.id)).toEqual([1]);
+  });
+
+  it('should respect the configured tolerance', () => {
+    expect(searchIndex(index, 'lptp', { fuzzy: true, fuzziness: 1 })).toEqual([]);
+    expect(searchIndex(index, 'lptp', { fuzzy: true, fuzziness: 2 }).length).toBe(2);
+  });
+
+  it('should suggest corrected queries from the vocabulary', () => {
+    expect(suggestQueries(index, 'labtop stnd')).toEqual(['laptop stand']);
+    expect(suggestQueries(index, 'qqqqqq')).toEqual([]);
+  });
+
+  it('should stop trying corrections once it has enough', () => {
+    const tried = [];
+    const vocabulary = {
+      terms: ['card', 'care', 'carp', 'cars', 'cart'],
+      documentCount: () => 1,
+      hasResults: variant => {
+        tried.push(variant);
+        return variant !== 'card';
+      }
+    };
+
+    expect(correctQuery(vocabulary, 'carx', { limit: 2 })).toEqual(['care', 'carp']);
+    expect(tried).toEqual(['card', 'care', 'carp']);
+  });
+
+  describe('GET /api/items', () => {
+    it('should find typos with mode=fuzzy', async () => {
+      const response = await request(app).get('/api/items?q=keybord&mode=fuzzy').expect(200);
+      expect(response.body.items.map(item => item.name)).toEqual(['Mechanical Keyboard']);
+      expect(response.body.filters.mode).toBe('fuzzy');
+    });
+
+    it('should include suggestions when a search finds nothing', async () => {
+      const response = await request(app).get('/api/items?q=labtop').expect(200);
+      expect(response.body.items).toEqual([]);
+      expect(response.body.suggestions).toEqual(['laptop']);
+    });
+
+    it('should not suggest anything when there are enough results', async () => {
+      const response = await request(app).get('/api/items?q=desk').expect(200);
+      expect(response.body.suggestions).toEqual([]);
+    });
+  });
+});
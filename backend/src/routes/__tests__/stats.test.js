@@ -0,0 +1,180 @@
+const request = require('supertest');
+const app = require('../../../server');
+const { calculateStats } = require('../../services/statsService');
+const { createStatsAggregate } = require('../../services/statsAggregate');
+
+describe('Statistics', () => {
+  const items = [
+    { id: 1, price: 10, category: 'A' },
+    { id: 2, price: 20, category: 'A' },
+    { id: 3, price: 30, category: 'B' },
+    { id: 4, price: 40, category: 'B' },
+    { id: 5, price: 100, category: 'B' }
+  ];
+
+  it('should compute median, percentiles, standard deviation and total value', () => {
+    const stats = calculateStats(items);
+
+    expect(stats.medianPrice).toBe(30);
+    expect(stats.percentiles).toEqual({ p25: 20, p75: 40, p90: 76 });
+    expect(stats.standardDeviation).toBe(31.62);
+    expect(stats.totalValue).toBe(200);
+  });
+
+  it('should break prices down per category', () => {
+    const stats = calculateStats(items, { groupBy: 'category' });
+
+    expect(stats.byCategory).toEqual({
+      A: { count: 2, minPrice: 10, maxPrice: 20, averagePrice: 15, totalValue: 30 },
+      B: { count: 3, minPrice: 30, maxPrice: 100, averagePrice: 56.67, totalValue: 170 }
+    });
+  });
+
+  it('should build equal-width histograms from a bucket count', () => {
+    expect(calculateStats(items, { buckets: 3 }).histogram).toEqual([
+      { min: 10, max: 40, count: 3 },
+      { min: 40, max: 70, count: 1 },
+      { min: 70, max: 100, count: 1 }
+    ]);
+  });
+
+  it('should build histograms from a bucket size', () => {
+    expect(calculateStats(items, { bucketSize: 50 }).histogram).toEqual([
+      { min: 0, max: 50, count: 4 },
+      { min: 50, max: 100, count: 0 },
+      { min: 100, max: 150, count: 1 }
+    ]);
+  });
+
+  it('should not overflow the call stack on very large inputs', () => {
+    const many = Array.from({ length: 200000 }, (_, i) => ({ id: i, price: i % 1000, category: 'A' }));
+    const stats = calculateStats(many);
+
+    expect(stats.minPrice).toBe(0);
+    expect(stats.maxPrice).toBe(999);
+  });
+
+  describe('Running aggregates', () => {
+    const options = { groupBy: 'category', buckets: 4 };
+
+    it('should match a full recompute after adds, updates and deletes', () => {
+      const aggregate = createStatsAggregate(items);
+      const current = items.slice();
+
+      const added = { id: 6, price: 55.5, category: 'C' };
+      aggregate.add(added);
+      current.push(added);
+
+      const updated = { ...current[1], price: 25, category: 'B' };
+      aggregate.update(current[1], updated);
+      current[1] = updated;
+
+      aggregate.remove(current[0]);
+      current.shift();
+
+      expect(aggregate.snapshot(options)).toEqual(calculateStats(current, options));
+    });
+
+    it('should drop a category once its last item is gone', () => {
+      const aggregate = createStatsAggregate(items);
+      aggregate.remove(items[0]);
+      aggregate.remove(items[1]);
+
+      const stats = aggregate.snapshot(options);
+      expect(stats.categories).toEqual({ B: 3 });
+      expect(stats.byCategory).toEqual(calculateStats(items.slice(2), options).byCategory);
+    });
+
+    it('should keep the standard deviation precise for large prices', () => {
+      const large = Array.from({ length: 5000 }, (_, i) => ({ id: i, price: 1e9 + (i % 7) * 0.37, category: 'A' }));
+      const aggregate = createStatsAggregate(large);
+      large.slice(0, 2000).forEach(item => aggregate.remove(item));
+      aggregate.add({ id: 5000, price: 1e9 + 1.5, category: 'A' });
+
+      const expected = calculateStats([...large.slice(2000), { id: 5000, price: 1e9 + 1.5, category: 'A' }]);
+      expect(aggregate.snapshot().standardDeviation).toBe(expected.standardDeviation);
+    });
+
+    it('should handle hundreds of thousands of items', () => {
+      const many = Array.from({ length: 200000 }, (_, i) => ({ id: i, price: i % 1000, category: 'A' }));
+      const aggregate = createStatsAggregate(many);
+      aggregate.add({ id: 200000, price: 5000, category: 'A' });
+
+      const stats = aggregate.snapshot();
+      expect(stats.totalItems).toBe(200001);
+      expect(stats.minPrice).toBe(0);
+      expect(stats.maxPrice).toBe(5000);
+    });
+  });
+
+  describe('GET /api/stats', () => {
+    it('should include breakdowns and histograms on request', async () => {
+      const response = await request(app).get('/api/stats?groupBy=category&buckets=5').expect(200);
+
+      expect(Object.keys(response.body.byCategory).sort()).toEqual(Object.keys(response.body.categories).sort());
+      expect(response.body.histogram).toHaveLength(5);
+      const counted = response.body.histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+      expect(counted).toBe(response.body.totalItems);
+    });
+
+    it('should compute stats for the filtered subset', async () => {
+      const all = await request(app).get('/api/items?category=Furniture&limit=100').expect(200);
+      const response = await request(app).get('/api/stats?category=Furniture').expect(200);
+
+      const prices = all.body.items.map(item => item.price);
+      expect(response.body.totalItems).toBe(prices.length);
+      expect(response.body.maxPrice).toBe(Math.max(...prices));
+      expect(response.body.categories).toEqual({ Furniture: prices.length });
+      expect(response.body.filters).toEqual({ category: ['Furniture'] });
+    });
+
+    it('should keep the stats current across writes', async () => {
+      const before = await request(app).get('/api/stats?groupBy=category').expect(200);
+
+      const created = await request(app)
+        .post('/api/items')
+        .send({ name: 'Stats Probe', price: 12345, category: 'Office Equipment' })
+        .expect(201);
+      const afterCreate = await request(app).get('/api/stats?groupBy=category').expect(200);
+      expect(afterCreate.body.totalItems).toBe(before.body.totalItems + 1);
+      expect(afterCreate.body.maxPrice).toBe(12345);
+      expect(afterCreate.body.byCategory['Office Equipment'].count)
+        .toBe(before.body.byCategory['Office Equipment'].count + 1);
+
+      const updated = await request(app)
+        .patch(`/api/items/${created.body.id}`)
+        .send({ price: 1, version: created.body.version })
+        .expect(200);
+      const afterUpdate = await request(app).get('/api/stats').expect(200);
+      expect(afterUpdate.body.maxPrice).toBe(before.body.maxPrice);
+
+      await request(app).delete(`/api/items/${created.body.id}`).set('If-Match', updated.headers.etag).expect(204);
+      const afterDelete = await request(app).get('/api/stats?groupBy=category').expect(200);
+      expect(afterDelete.body).toEqual(before.body);
+
+      const verify = await request(app).get('/api/stats/verify').expect(200);
+      expect(verify.body).toEqual({ consistent: true, differences: [], rebuilt: false });
+    });
+
+    it('should reject conflicting histogram options', async () => {
+      const response = await request(app).get('/api/stats?buckets=5&bucketSize=10').expect(400);
+      expect(response.body.details).toEqual([{ field: 'bucketSize', message: 'cannot be combined with buckets' }]);
+    });
+
+    it('should refuse bucket sizes that give too many buckets', async () => {
+      const ranged = await request(app).get('/api/stats?minPrice=0&maxPrice=20000&bucketSize=0.01').expect(400);
+      expect(ranged.body.details).toEqual([
+        { field: 'bucketSize', message: 'must give at most 100 buckets over the price range (gives 2000001)' }
+      ]);
+
+      // Without a price range, the prices found decide
+      const unranged = await request(app).get('/api/stats?bucketSize=0.01').expect(400);
+      expect(unranged.body.details[0].field).toBe('bucketSize');
+
+      const filtered = await request(app).get('/api/stats?category=Furniture&bucketSize=0.01').expect(400);
+      expect(filtered.body.details[0].field).toBe('bucketSize');
+
+      await request(app).get('/api/stats?bucketSize=100').expect(200);
+    });
+  });
+});
@@ -0,0 +1,268 @@
+const path = require('path');
+const request = require('supertest');
+const Database = require('better-sqlite3');
+
+// Serve the API from SQLite for this file; the paths come from the test setup
+process.env.ITEMS_STORAGE = 'sqlite';
+
+const app = require('../../../server');
+const { migrate } = require('../../storage/migrate');
+const { createRepository } = require('../../storage');
+const { calculateStats } = require('../../services/statsService');
+const { SQLITE_FILE, AUTH } = require('../../config');
+const { signJwt } = require('../../auth/jwt');
+
+describe('SQLite storage', () => {
+  // The JSON store over the same data, to compare answers with
+  let json;
+
+  beforeAll(async () => {
+    json = createRepository('json');
+    const { imported, skipped } = await migrate();
+    expect(imported).toBe((await json.list()).length);
+    expect(skipped).toEqual([]);
+  });
+
+  afterAll(() => json.close());
+
+  const ids = response => response.body.items.map(item => item.id);
+
+  it('should list, filter and sort like the JSON store', async () => {
+    const params = { page: 1, limit: 100, category: ['Furniture', 'Electronics'], maxPrice: 300, sort: ['-price', 'name'] };
+    const expected = await json.query(params);
+
+    const response = await request(app)
+      .get('/api/items?category=Furniture,Electronics&maxPrice=300&sort=-price,name&limit=100')
+      .expect(200);
+
+    expect(ids(response)).toEqual(expected.items.map(item => item.id));
+    expect(response.body.pagination).toEqual(expected.pagination);
+  });
+
+  it('should search with the full-text index and rank by relevance', async () => {
+    const response = await request(app).get('/api/items?q=desk').expect(200);
+    const expected = await json.query({ q: 'desk', page: 1, limit: 10, sort: ['relevance'] });
+
+    expect(ids(response).sort()).toEqual(expected.items.map(item => item.id).sort());
+    const scores = response.body.items.map(item => item.score);
+    expect(scores).toEqual(scores.slice().sort((a, b) => b - a));
+  });
+
+  it('should match typos in fuzzy mode and suggest corrections', async () => {
+    const fuzzy = await request(app).get('/api/items?q=keybord&mode=fuzzy').expect(200);
+    expect(fuzzy.body.items.map(item => item.name)).toContain('Mechanical Keyboard');
+
+    const standard = await request(app).get('/api/items?q=keybord').expect(200);
+    expect(standard.body.items).toEqual([]);
+    expect(standard.body.suggestions).toContain('keyboard');
+  });
+
+  it('should page with cursors through every item exactly once', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const response = await request(app)
+        .get(`/api/items?paging=cursor&limit=7&sort=-price${cursor ? `&cursor=${cursor}` : ''}`)
+        .expect(200);
+      seen.push(...ids(response));
+      cursor = response.body.pagination.nextCursor;
+    } while (cursor);
+
+    const all = await request(app).get('/api/items?limit=100&sort=-price').expect(200);
+    expect(seen).toEqual(ids(all));
+  });
+
+  it('should complete prefixes like the JSON store', async () => {
+    const response = await request(app).get('/api/items/suggest?q=mo').expect(200);
+    expect(response.body.suggestions).toEqual(await json.suggest('mo', 8));
+  });
+
+  it('should compute stats with queries that match a full recompute', async () => {
+    const response = await request(app).get('/api/stats?groupBy=category&buckets=5').expect(200);
+    expect(response.body).toEqual(calculateStats(await json.list(), { groupBy: 'category', buckets: 5 }));
+
+    const filtered = await request(app).get('/api/stats?category=Furniture').expect(200);
+    expect(filtered.body.categories).toEqual({ Furniture: filtered.body.totalItems });
+
+    const tooFine = await request(app).get('/api/stats?bucketSize=0.01').expect(400);
+    expect(tooFine.body.details[0].field).toBe('bucketSize');
+  });
+
+  it('should count facets like the JSON store', async () => {
+    const params = { page: 1, limit: 10, q: 'desk', category: ['Accessories'], minPrice: 20, sort: ['relevance'], facets: true };
+    const expected = await json.query(params);
+
+    const response = await request(app)
+      .get('/api/items?q=desk&category=Accessories&minPrice=20&facets=true')
+      .expect(200);
+
+    expect(response.body.facets).toEqual(expected.facets);
+  });
+
+  it('should write through to the database and its search index', async () => {
+    const created = await request(app)
+      .post('/api/items')
+      .send({ name: 'Quartz Paperweight', price: 12, category: 'Office Equipment' })
+      .expect(201);
+
+    const found = await request(app).get('/api/items?q=quartz').expect(200);
+    expect(ids(found)).toEqual([created.body.id]);
+
+    const renamed = await request(app)
+      .patch(`/api/items/${created.body.id}`)
+      .send({ name: 'Granite Paperweight', version: created.body.version })
+      .expect(200);
+    expect((await request(app).get('/api/items?q=quartz')).body.items).toEqual([]);
+
+    await request(app).delete(`/api/items/${created.body.id}`).set('If-Match', renamed.headers.etag).expect(204);
+    await request(app).get(`/api/items/${created.body.id}`).expect(404);
+
+    const verify = await request(app).get('/api/stats/verify').expect(200);
+    expect(verify.body.consistent).toBe(true);
+  });
+
+  it('should move the data version on for writes from any connection', async () => {
+    const before = await request(app).get('/api/items/1').expect(200);
+    await request(app).get('/api/items/1').set('If-None-Match', before.headers.etag).expect(304);
+
+    // A second connection, as another process would have
+    const other = createRepository('sqlite');
+    await other.update(1, { price: before.body.price + 1 });
+    other.close();
+
+    const after = await request(app).get('/api/items/1').set('If-None-Match', before.headers.etag).expect(200);
+    expect(after.body.price).toBe(before.body.price + 1);
+
+    await request(app).patch('/api/items/1').set('If-Match', after.headers.etag).send({ price: before.body.price }).expect(200);
+  });
+
+  it('should refuse writes based on an old version', async () => {
+    const current = await request(app).get('/api/items/2').expect(200);
+
+    const response = await request(app)
+      .patch('/api/items/2')
+      .send({ price: 1, version: current.body.version - 1 })
+      .expect(409);
+
+    expect(response.body.current).toEqual(current.body);
+    expect((await request(app).get('/api/items/2')).body).toEqual(current.body);
+  });
+
+  it('should export and import through the database', async () => {
+    const exported = await request(app).get('/api/items/export?format=json&category=Furniture').expect(200);
+    expect(exported.body).toEqual((await json.query({ category: ['Furniture'], page: 1, limit: 100, sort: ['id'] })).items);
+
+    const response = await request(app)
+      .post('/api/items/import?format=json')
+      .send(JSON.stringify([
+        { ...exported.body[0], price: exported.body[0].price + 1 },
+        exported.body[1],
+        { name: 'Imported Stool', price: 35, category: 'Furniture' }
+      ]))
+      .expect(200);
+
+    expect(response.body.summary).toMatchObject({ updated: 1, unchanged: 1, created: 1, rejected: 0 });
+    const found = await request(app).get('/api/items?q=stool').expect(200);
+    expect(ids(found)).toEqual([response.body.rows[2].id]);
+  });
+
+  it('should run batches all-or-nothing in one transaction', async () => {
+    const before = await request(app).get('/api/items/4').expect(200);
+
+    await request(app)
+      .post('/api/items/batch')
+      .send({ operations: [{ op: 'update', id: 4, fields: { price: 1 } }, { op: 'delete', id: 999999 }] })
+      .expect(404);
+    expect((await request(app).get('/api/items/4')).body).toEqual(before.body);
+
+    const response = await request(app)
+      .post('/api/items/batch')
+      .send({ filter: { category: 'Furniture', maxPrice: 500 }, patch: { price: { multiply: 1.1 } } })
+      .expect(200);
+    const patched = response.body.results.find(result => result.id === 4);
+    expect(patched.item.price).toBe(parseFloat((before.body.price * 1.1).toFixed(2)));
+
+    const verify = await request(app).get('/api/stats/verify').expect(200);
+    expect(verify.body.consistent).toBe(true);
+  });
+
+  it('should record changes in the audit log and restore from it', async () => {
+    const before = await request(app).get('/api/items/3').expect(200);
+    const changed = await request(app)
+      .patch('/api/items/3')
+      .set('Authorization', `Bearer ${signJwt({ sub: 'sqlite-test', role: 'editor' }, AUTH.jwtSecret)}`)
+      .send({ price: before.body.price + 5, version: before.body.version })
+      .expect(200);
+
+    const [entry] = (await request(app).get('/api/items/3/history').expect(200)).body.entries;
+    expect(entry).toMatchObject({ actor: 'sqlite-test', before: before.body, after: changed.body });
+
+    await request(app).delete('/api/items/3').set('If-Match', changed.headers.etag).expect(204);
+    const restored = await request(app).post('/api/items/3/restore').send({ revision: entry.seq }).expect(200);
+    expect(restored.body).toMatchObject({ id: 3, price: before.body.price + 5 });
+    expect((await request(app).get('/api/items?q=' + encodeURIComponent(before.body.name.split(' ')[0]))).body.items.map(item => item.id)).toContain(3);
+  });
+
+  it('should keep deleted items in the database until purged', async () => {
+    const before = await request(app).get('/api/items/5').expect(200);
+    await request(app).delete('/api/items/5').set('If-Match', before.headers.etag).expect(204);
+
+    await request(app).get('/api/items/5').expect(404);
+    expect(ids(await request(app).get(`/api/items?q=${encodeURIComponent(before.body.name)}`))).not.toContain(5);
+    expect(ids(await request(app).get('/api/items/trash').expect(200))[0]).toBe(5);
+    const verify = await request(app).get('/api/stats/verify').expect(200);
+    expect(verify.body.consistent).toBe(true);
+
+    const restored = await request(app).post('/api/items/5/restore').send({}).expect(200);
+    expect(restored.body).toMatchObject({ name: before.body.name, version: before.body.version + 2 });
+    expect(restored.body.deletedAt).toBeUndefined();
+
+    await request(app).delete('/api/items/5').send({ version: restored.body.version }).expect(204);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const purged = await request(app).post('/api/items/purge').send({ olderThanDays: 0 }).expect(200);
+    expect(purged.body.ids).toContain(5);
+    await request(app).get('/api/items/5?includeDeleted=true').expect(404);
+  });
+
+  it('should add the deleted_at column to databases made before it', async () => {
+    const file = path.join(path.dirname(SQLITE_FILE), 'old-schema.db');
+    const live = { id: 1, name: 'Old Lamp', price: 10, category: 'Furniture' };
+    const deleted = { id: 2, name: 'Old Chair', price: 20, category: 'Furniture', deletedAt: '2026-01-01T00:00:00.000Z' };
+
+    // Write the items, then take the column away again
+    const setup = createRepository('sqlite', { sqliteFile: file });
+    await setup.replaceAll([live, deleted]);
+    setup.close();
+    const old = new Database(file);
+    old.exec('DROP INDEX items_deleted_at; ALTER TABLE items DROP COLUMN deleted_at');
+    old.close();
+
+    const repo = createRepository('sqlite', { sqliteFile: file });
+    expect((await repo.list()).map(item => item.id)).toEqual([1]);
+    expect(await repo.get(2, { deleted: 'include' })).toEqual(deleted);
+    expect((await repo.query({ page: 1, limit: 10, deleted: 'only' })).items).toEqual([deleted]);
+    repo.close();
+  });
+
+  it('should iterate in keyset batches without skipping or repeating items', async () => {
+    const repo = createRepository('sqlite', { sqliteFile: path.join(path.dirname(SQLITE_FILE), 'iterate.db') });
+
+    // Few distinct prices, so most of the order comes down to the id tie-break
+    const records = Array.from({ length: 1234 }, (_, i) => ({
+      id: i + 1, name: `Item ${i + 1}`, price: (i * 7) % 13, category: 'Accessories'
+    }));
+    await repo.replaceAll(records);
+
+    const seen = [];
+    for await (const item of repo.iterate({ sort: ['-price'] })) {
+      seen.push(item.id);
+    }
+    repo.close();
+
+    const expected = records
+      .slice()
+      .sort((a, b) => b.price - a.price || a.id - b.id)
+      .map(item => item.id);
+    expect(seen).toEqual(expected);
+  });
+});
@@ -0,0 +1,50 @@
+const request = require('supertest');
+const app = require('../../../server');
+const { buildTrie, complete } = require('../../services/suggestTrie');
+
+describe('Autocomplete', () => {
+  const items = [
+    { id: 1, name: 'Desk Lamp', category: 'Furniture' },
+    { id: 2, name: 'Standing Desk', category: 'Furniture' },
+    { id: 3, name: 'Wireless Mouse', category: 'Electronics' },
+    { id: 4, name: 'Mouse Pad', category: 'Accessories' },
+    { id: 5, name: 'Desk Desk', category: 'Furniture' }
+  ];
+  const trie = buildTrie(items);
+
+  it('should rank completions at the start of a name first', () => {
+    expect(complete(trie, 'mou').map(s => s.value)).toEqual(['Mouse Pad', 'Wireless Mouse']);
+  });
+
+  it('should complete categories with their item counts', () => {
+    expect(complete(trie, 'fur')).toEqual([{ type: 'category', value: 'Furniture', count: 3 }]);
+  });
+
+  it('should return each completion once', () => {
+    expect(complete(trie, 'desk').map(s => s.id)).toEqual([5, 1, 2]);
+  });
+
+  it('should honour the limit and ignore case', () => {
+    expect(complete(trie, 'DESK', 1)).toEqual([{ type: 'name', value: 'Desk Desk', id: 5 }]);
+    expect(complete(trie, 'zzz')).toEqual([]);
+    expect(complete(trie, '   ')).toEqual([]);
+  });
+
+  describe('GET /api/items/suggest', () => {
+    it('should return completions for a prefix', async () => {
+      const response = await request(app).get('/api/items/suggest?q=lap&limit=5').expect(200);
+
+      expect(response.body.query).toBe('lap');
+      expect(response.body.suggestions.length).toBeGreaterThan(0);
+      expect(response.body.suggestions.length).toBeLessThanOrEqual(5);
+      response.body.suggestions.forEach(suggestion => {
+        expect(suggestion.value.toLowerCase()).toMatch(/(^|\s)lap/);
+      });
+    });
+
+    it('should require a query', async () => {
+      const response = await request(app).get('/api/items/suggest').expect(400);
+      expect(response.body.details).toEqual([{ field: 'q', message: 'is required' }]);
+    });
+  });
+});
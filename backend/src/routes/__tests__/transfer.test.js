@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../../../server');
+const { parseItems } = require('../../services/itemFormats');
+
+describe('Import and export', () => {
+  const allItems = async () => (await request(app).get('/api/items?limit=100&sort=id')).body.items;
+
+  // Supertest buffers text responses; NDJSON needs asking for
+  const asText = (res, done) => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => done(null, text));
+  };
+
+  describe('GET /api/items/export', () => {
+    it('should export the whole catalog as CSV by default', async () => {
+      const response = await request(app).get('/api/items/export').expect(200);
+
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="items.csv"');
+
+      const [header] = response.text.split('\r\n');
+      expect(header).toBe('id,name,description,price,category,version,updatedAt');
+
+      const rows = parseItems(response.text, 'csv');
+      const items = await allItems();
+      expect(rows.map(({ record }) => Number(record.id))).toEqual(items.map(item => item.id));
+      expect(rows[0].record).toMatchObject({ name: items[0].name, price: String(items[0].price) });
+    });
+
+    it('should export the items a search and filters select, in JSON and NDJSON', async () => {
+      const listed = await request(app).get('/api/items?q=desk&maxPrice=500&sort=-price').expect(200);
+
+      const json = await request(app).get('/api/items/export?format=json&q=desk&maxPrice=500&sort=-price').expect(200);
+      expect(json.body.map(item => item.id)).toEqual(listed.body.items.map(item => item.id));
+      expect(json.body[0].score).toBeUndefined();
+
+      const ndjson = await request(app)
+        .get('/api/items/export?format=ndjson&q=desk&maxPrice=500&sort=-price')
+        .buffer(true)
+        .parse(asText)
+        .expect(200);
+      expect(ndjson.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+      expect(ndjson.body.trim().split('\n').map(line => JSON.parse(line))).toEqual(json.body);
+    });
+
+    it('should reject invalid parameters', async () => {
+      await request(app).get('/api/items/export?format=xlsx').expect(400);
+      await request(app).get('/api/items/export?minPrice=10&maxPrice=5').expect(400);
+    });
+  });
+
+  describe('POST /api/items/import', () => {
+    it('should create, update and reject rows with a report', async () => {
+      const csv = [
+        'id,name,description,price,category',
+        '1,"Laptop Pro 15, 2nd gen","Says ""fast"" on the box",1399.99,Electronics',
+        ',Cable Tidy,,4.5,Accessories',
+        ',,Missing name,-1,Snacks',
+        '1,Duplicate,,1,Electronics'
+      ].join('\r\n');
+
+      const response = await request(app)
+        .post('/api/items/import')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        format: 'csv',
+        mode: 'upsert',
+        dryRun: false,
+        applied: true,
+        summary: { rows: 4, created: 1, updated: 1, unchanged: 0, rejected: 2, deleted: 0 }
+      });
+      const [updated, created, invalid, duplicate] = response.body.rows;
+      expect(updated).toEqual({ row: 1, status: 'updated', id: 1 });
+      expect(created).toMatchObject({ row: 2, status: 'created' });
+      expect(invalid.status).toBe('rejected');
+      expect(invalid.errors.map(e => e.field)).toEqual(['name', 'price', 'category']);
+      expect(duplicate.errors).toEqual([{ field: 'id', message: 'repeats the id of row 1' }]);
+
+      const item = (await request(app).get('/api/items/1').expect(200)).body;
+      expect(item).toMatchObject({ name: 'Laptop Pro 15, 2nd gen', description: 'Says "fast" on the box', version: 2 });
+      const tidy = (await request(app).get(`/api/items/${created.id}`).expect(200)).body;
+      expect(tidy).toMatchObject({ name: 'Cable Tidy', price: 4.5, version: 1 });
+      expect(tidy.description).toBeUndefined();
+    });
+
+    it('should leave items alone when re-importing an export', async () => {
+      const exported = await request(app).get('/api/items/export?format=ndjson').buffer(true).parse(asText);
+
+      const response = await request(app)
+        .post('/api/items/import')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(exported.body)
+        .expect(200);
+
+      const items = await allItems();
+      expect(response.body.summary).toMatchObject({ rows: items.length, unchanged: items.length, created: 0, updated: 0 });
+    });
+
+    it('should export formula-like text as plain text and read it back unchanged', async () => {
+      const created = await request(app)
+        .post('/api/items')
+        .send({ name: '=HYPERLINK("http://x")', description: '+1 spare', price: 5, category: 'Accessories' })
+        .expect(201);
+
+      const exported = await request(app).get('/api/items/export').expect(200);
+      const line = exported.text.split('\r\n').find(row => row.startsWith(`${created.body.id},`));
+      expect(line).toContain(`"'=HYPERLINK(""http://x"")",'+1 spare,`);
+
+      const response = await request(app)
+        .post('/api/items/import')
+        .set('Content-Type', 'text/csv')
+        .send(exported.text)
+        .expect(200);
+
+      const items = await allItems();
+      expect(response.body.summary).toMatchObject({ rows: items.length, unchanged: items.length, created: 0, updated: 0 });
+      expect((await request(app).get(`/api/items/${created.body.id}`)).body.name).toBe('=HYPERLINK("http://x")');
+    });
+
+    it('should report without writing on a dry run', async () => {
+      const before = await allItems();
+
+      const response = await request(app)
+        .post('/api/items/import?format=json&dryRun=true')
+        .send(JSON.stringify([{ id: 2, name: 'Mouse', price: 5, category: 'Electronics' }, { name: 'Pad', price: 2, category: 'Accessories' }]))
+        .expect(200);
+
+      expect(response.body).toMatchObject({ dryRun: true, applied: false, summary: { created: 1, updated: 1 } });
+      expect(await allItems()).toEqual(before);
+    });
+
+    it('should reject bodies it cannot read', async () => {
+      await request(app).post('/api/items/import').set('Content-Type', 'application/xml').send('<items/>').expect(415);
+      await request(app).post('/api/items/import?format=json').send('[{"name": ').expect(400);
+      await request(app).post('/api/items/import?format=json').send('{"name": "Lamp"}').expect(400);
+
+      const ndjson = await request(app)
+        .post('/api/items/import?format=ndjson&dryRun=true')
+        .send('{"name": "Lamp", "price": 1, "category": "Furniture"}\n{oops}\n')
+        .expect(200);
+      expect(ndjson.body.rows[1]).toEqual({ row: 2, status: 'rejected', errors: [{ field: '', message: 'line 2 is not valid JSON' }] });
+    });
+
+    it('should refuse a replace with rejected rows, and otherwise delete unlisted items', async () => {
+      const before = await allItems();
+      const keep = before.slice(0, 3).map(({ id, name, price, category }) => ({ id, name, price, category }));
+
+      const refused = await request(app)
+        .post('/api/items/import?mode=replace')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify([...keep, { name: 'No price', category: 'Furniture' }]))
+        .expect(422);
+      expect(refused.body.applied).toBe(false);
+      expect(refused.body.summary.deleted).toBe(before.length - 3);
+      expect(await allItems()).toEqual(before);
+
+      const replaced = await request(app)
+        .post('/api/items/import?mode=replace')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(keep))
+        .expect(200);
+      expect(replaced.body.deleted).toEqual(before.slice(3).map(item => item.id));
+      expect((await allItems()).map(item => item.id)).toEqual(keep.map(item => item.id));
+
+      const stats = await request(app).get('/api/stats').expect(200);
+      expect(stats.body.totalItems).toBe(3);
+    });
+  });
+});
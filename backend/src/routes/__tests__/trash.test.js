@@ -0,0 +1,131 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../../server');
+const { DATA_FILE } = require('../../config');
+const { calculateStats } = require('../../services/statsService');
+
+describe('Soft delete', () => {
+  const getItem = id => request(app).get(`/api/items/${id}`);
+  const stored = id => JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).find(item => item.id === id);
+  const ids = response => response.body.items.map(item => item.id);
+
+  const remove = async id => {
+    const { body } = await getItem(id).expect(200);
+    await request(app).delete(`/api/items/${id}`).send({ version: body.version }).expect(204);
+    return body;
+  };
+
+  it('should keep deleted items in the data file but stop serving them', async () => {
+    const stats = (await request(app).get('/api/stats').expect(200)).body;
+    const item = await remove(1);
+
+    await getItem(1).expect(404);
+    expect(stored(1)).toMatchObject({ name: item.name, price: item.price, version: item.version + 1 });
+    expect(stored(1).deletedAt).toBe(stored(1).updatedAt);
+
+    const shown = await request(app).get('/api/items/1?includeDeleted=true').expect(200);
+    expect(shown.body).toEqual(stored(1));
+    expect(shown.headers.etag).toBe(`"v${item.version + 1}"`);
+
+    expect(ids(await request(app).get('/api/items?limit=100'))).not.toContain(1);
+    const all = await request(app).get('/api/items?limit=100&includeDeleted=true').expect(200);
+    expect(ids(all)).toContain(1);
+    expect(all.body.filters).toEqual({ deleted: 'include' });
+
+    const search = `/api/items?q=${encodeURIComponent(item.name)}`;
+    expect(ids(await request(app).get(search).expect(200))).not.toContain(1);
+    expect(ids(await request(app).get(`${search}&includeDeleted=true`).expect(200))).toContain(1);
+
+    const after = (await request(app).get('/api/stats').expect(200)).body;
+    expect(after.totalItems).toBe(stats.totalItems - 1);
+    const verify = await request(app).get('/api/stats/verify').expect(200);
+    expect(verify.body.consistent).toBe(true);
+
+    const suggested = await request(app).get(`/api/items/suggest?q=${encodeURIComponent(item.name)}`).expect(200);
+    expect(suggested.body.suggestions.map(suggestion => suggestion.id)).not.toContain(1);
+  });
+
+  it('should treat deleted items as missing for writes', async () => {
+    const { version } = stored(1);
+    await request(app).patch('/api/items/1').send({ price: 1, version }).expect(404);
+    await request(app).delete('/api/items/1').send({ version }).expect(404);
+    await request(app)
+      .post('/api/items/batch')
+      .send({ operations: [{ op: 'update', id: 1, fields: { price: 1 } }] })
+      .expect(404);
+  });
+
+  it('should list the trash, most recently deleted first', async () => {
+    await remove(2);
+    await remove(3);
+
+    const trash = await request(app).get('/api/items/trash').expect(200);
+    expect(ids(trash)).toEqual([3, 2, 1]);
+    expect(trash.body.items.every(item => item.deletedAt)).toBe(true);
+    expect(trash.body.pagination.totalItems).toBe(3);
+
+    const filtered = await request(app).get(`/api/items/trash?category=${encodeURIComponent(stored(2).category)}`).expect(200);
+    expect(ids(filtered)).toContain(2);
+    expect(filtered.body.items.every(item => item.category === stored(2).category)).toBe(true);
+  });
+
+  it('should restore a deleted item', async () => {
+    const deleted = stored(2);
+    const restored = await request(app).post('/api/items/2/restore').send({}).expect(200);
+
+    expect(restored.body.deletedAt).toBeUndefined();
+    expect(restored.body).toMatchObject({ name: deleted.name, version: deleted.version + 1 });
+    expect((await getItem(2).expect(200)).body).toEqual(restored.body);
+    expect(ids(await request(app).get('/api/items/trash'))).not.toContain(2);
+
+    const [entry] = (await request(app).get('/api/items/2/history')).body.entries;
+    expect(entry).toMatchObject({ operation: 'undelete', source: 'restore' });
+
+    await request(app).post('/api/items/2/restore').send({}).expect(409);
+    await request(app).post('/api/items/999999/restore').send({}).expect(404);
+    await request(app).post('/api/items/3/restore').send({ version: 0 }).expect(409);
+  });
+
+  it('should delete softly in batches, and bring items back on import', async () => {
+    await request(app).post('/api/items/batch').send({ operations: [{ op: 'delete', id: 4 }] }).expect(200);
+    expect(stored(4).deletedAt).toBeDefined();
+
+    // Importing a deleted item's id brings it back
+    const { deletedAt, ...fields } = stored(4);
+    const response = await request(app)
+      .post('/api/items/import?format=json')
+      .send(JSON.stringify([fields]))
+      .expect(200);
+    expect(response.body.rows[0]).toMatchObject({ status: 'created', id: 4 });
+    expect(stored(4).deletedAt).toBeUndefined();
+  });
+
+  it('should purge items deleted longer ago than the cutoff', async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const kept = await request(app).post('/api/items/purge').send({}).expect(200);
+    expect(kept.body).toEqual({ purged: 0, ids: [] });
+
+    const purged = await request(app).post('/api/items/purge').send({ olderThanDays: 0 }).expect(200);
+    expect(purged.body.ids.sort()).toEqual([1, 3]);
+    expect(stored(1)).toBeUndefined();
+    await request(app).get('/api/items/1?includeDeleted=true').expect(404);
+    expect((await request(app).get('/api/items/trash')).body.items).toEqual([]);
+
+    const [entry] = (await request(app).get('/api/items/1/history')).body.entries;
+    expect(entry).toMatchObject({ operation: 'purge', after: null });
+
+    await request(app).post('/api/items/purge').send({ olderThanDays: -1 }).expect(400);
+  });
+});
+
+describe('Deleted items in the stats helpers', () => {
+  const items = [
+    { id: 1, name: 'Desk Lamp', price: 20, category: 'Furniture' },
+    { id: 2, name: 'Desk Chair', price: 80, category: 'Furniture', deletedAt: '2026-01-01T00:00:00.000Z' }
+  ];
+
+  it('should leave deleted items out of calculateStats', () => {
+    expect(calculateStats(items)).toEqual(calculateStats(items.slice(0, 1)));
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../../server');
+const { validate } = require('../../validation/schema');
+const { itemSchema, validateRecords } = require('../../validation/itemSchema');
+const { checkDataFile } = require('../../services/itemsService');
+
+describe('Validation', () => {
+  describe('GET /api/items query parameters', () => {
+    it('should reject out-of-range and non-numeric pagination values', async () => {
+      const response = await request(app)
+        .get('/api/items?page=abc&limit=0')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid query parameters');
+      expect(response.body.details).toEqual([
+        { field: 'page', message: 'must be an integer' },
+        { field: 'limit', message: 'must be at least 1' }
+      ]);
+    });
+
+    it('should cap the page size', async () => {
+      const response = await request(app)
+        .get('/api/items?limit=1000')
+        .expect(400);
+
+      expect(response.body.details[0]).toEqual({ field: 'limit', message: 'must be at most 100' });
+    });
+
+    it('should apply defaults when parameters are omitted', async () => {
+      const response = await request(app).get('/api/items').expect(200);
+      expect(response.body.pagination.currentPage).toBe(1);
+      expect(response.body.pagination.itemsPerPage).toBe(10);
+    });
+  });
+
+  describe('Item payloads', () => {
+    it('should list every field-level error for an invalid item', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ price: -5, category: 'Toys', description: 'x'.repeat(501) })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid request body');
+      expect(response.body.details).toEqual([
+        { field: 'name', message: 'is required' },
+        { field: 'description', message: 'must be at most 500 character(s)' },
+        { field: 'price', message: 'must be at least 0' },
+        { field: 'category', message: 'must be one of: Electronics, Furniture, Accessories, Office Equipment' }
+      ]);
+    });
+
+    it('should validate only the provided fields on PATCH', async () => {
+      await request(app).patch('/api/items/1').send({ price: 'cheap' }).expect(400);
+      await request(app).patch('/api/items/1').set('If-Match', '*').send({ price: 1199 }).expect(200);
+    });
+
+    it('should drop unknown fields and trim strings', () => {
+      const { value, errors } = validate(itemSchema, {
+        name: '  Lamp  ',
+        price: 10,
+        category: 'Furniture',
+        secret: true
+      });
+
+      expect(errors).toEqual([]);
+      expect(value).toEqual({ name: 'Lamp', price: 10, category: 'Furniture' });
+    });
+  });
+
+  describe('Data file check', () => {
+    it('should report malformed records', () => {
+      const { valid, invalid } = validateRecords([
+        { id: 1, name: 'Ok', price: 1, category: 'Furniture' },
+        { id: 2, name: 'Bad price', price: 'n/a', category: 'Furniture' },
+        { name: 'No id', price: 1, category: 'Furniture' }
+      ]);
+
+      expect(valid).toHaveLength(1);
+      expect(invalid.map(r => r.index)).toEqual([1, 2]);
+      expect(invalid[0].errors).toEqual([{ field: 'price', message: 'must be a number' }]);
+    });
+
+    it('should not serve malformed records from the data file', async () => {
+      const dataFile = process.env.ITEMS_DATA_FILE;
+      const items = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+      fs.writeFileSync(dataFile, JSON.stringify([...items, { id: 500, name: '', price: 'free' }]));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const invalid = await checkDataFile();
+
+      expect(invalid).toHaveLength(1);
+      expect(invalid[0].id).toBe(500);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('id: 500'));
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { listAudit, getItemHistory } = require('../services/auditService');
+const { getItemById } = require('../services/itemsService');
+const { validateQuery } = require('../middleware/validate');
+const { requireRole } = require('../middleware/auth');
+const { hasRole } = require('../auth/roles');
+const { historyQuerySchema, auditQuerySchema, checkAuditQuery } = require('../validation/auditSchema');
+
+/**
+ * GET /api/items/:id/history
+ * Returns the changes made to an item, newest first (see auditService for
+ * the entry format). Deleted items keep their history, which only admins
+ * may see, as with the items themselves; others get a 404.
+ * Query params:
+ *   - page: page number (default: 1)
+ *   - limit: entries per page (default: 20, max: 100)
+ */
+router.get('/items/:id/history', validateQuery(historyQuerySchema), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!hasRole(req.actor, 'admin') && !(await getItemById(id))) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const history = await getItemHistory(id, req.query);
+
+    if (history.pagination.totalItems === 0 && !(await getItemById(id))) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audit
+ * Returns audit log entries across all items, newest first
+ * Query params:
+ *   - itemId: entries for one item
+ *   - actor: entries made by one actor
+ *   - operation: create, update, delete, undelete or purge
+ *   - source: item, batch, import, restore, purge or system
+ *   - since / until: inclusive time range (ISO dates)
+ *   - page, limit: as for history
+ * Admin only
+ */
+router.get('/audit', requireRole('admin'), validateQuery(auditQuerySchema, checkAuditQuery), async (req, res, next) => {
+  try {
+    res.json(await listAudit(req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
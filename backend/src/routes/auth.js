@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { AUTH } = require('../config');
+const { HttpError } = require('../errors');
+const { issueToken } = require('../auth/token');
+
+/**
+ * POST /api/auth/token
+ * Signs an editor in: exchanges the API key in X-API-Key for a JWT good
+ * for AUTH_SESSION_TTL seconds, so browsers hold a token that runs out
+ * rather than the key itself. Only API keys may be exchanged (a token
+ * can't renew itself), and the key needs the editor role.
+ * Returns { token, expiresAt, actor: { id, role } }
+ */
+router.post('/auth/token', (req, res, next) => {
+  try {
+    if (req.actor.via !== 'api-key') {
+      res.set('WWW-Authenticate', 'Bearer realm="api"');
+      throw new HttpError(401, 'Sign in with an API key in X-API-Key');
+    }
+    if (!AUTH.jwtSecret) {
+      throw new HttpError(503, 'Sign-in is not available: AUTH_JWT_SECRET is not set');
+    }
+
+    const { id, role } = req.actor;
+    const token = issueToken({ sub: id, role, expiresIn: AUTH.sessionTtl });
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      token,
+      expiresAt: new Date(Date.now() + AUTH.sessionTtl * 1000).toISOString(),
+      actor: { id, role }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { subscribeEvents } = require('../services/eventsService');
+const { EVENTS } = require('../config');
+
+/**
+ * One event in text/event-stream format
+ */
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of catalog changes (see eventsService for the
+ * event types). Reconnecting clients send the last id they saw in
+ * Last-Event-ID (browsers do this for EventSource) or a lastEventId query
+ * param, and are sent the events they missed first, or items.reset when
+ * those are no longer known.
+ * A comment line goes out every EVENTS_HEARTBEAT_MS to keep proxies from
+ * closing an idle stream.
+ */
+router.get('/events', (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENTS.retryMs}\n\n`);
+
+  const unsubscribe = subscribeEvents(event => res.write(formatEvent(event)), lastEventId);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENTS.heartbeatMs);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -1,75 +1,93 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
-const { calculateStats, getCachedStats, invalidateCache } = require('../services/statsService');
-const { filterItems } = require('../services/searchService');
+const { getStats, verifyStats } = require('../services/statsService');
+const { appliedFilters } = require('../services/searchService');
+const { runBatch } = require('../services/batchService');
+const { restoreItem } = require('../services/auditService');
+const {
+  listItems,
+  suggestItems,
+  getItemById,
+  createItem,
+  updateItem,
+  deleteItem,
+  undeleteItem,
+  purgeDeletedItems
+} = require('../services/itemsService');
+const { validateQuery, validateBody } = require('../middleware/validate');
+const { conditionalGet, itemValidators } = require('../middleware/conditional');
+const { itemTag, requireVersion, preconditionError } = require('../middleware/precondition');
+const { requireRole, changeMeta } = require('../middleware/auth');
+const {
+  itemSchema,
+  itemsQuerySchema,
+  itemQuerySchema,
+  trashQuerySchema,
+  purgeSchema,
+  statsQuerySchema,
+  suggestQuerySchema,
+  checkItemsQuery,
+  checkStatsQuery
+} = require('../validation/itemSchema');
+const { restoreSchema } = require('../validation/auditSchema');
 
-const DATA_FILE = path.join(__dirname, '../../data/items.json');
-
-// Cache for items data (in-memory cache)
-let itemsCache = null;
-let itemsCacheTimestamp = 0;
-const CACHE_TTL = 30000; // 30 seconds
+/**
+ * Deleted mode (see storage/softDelete.js) for an includeDeleted query param
+ */
+const deletedMode = includeDeleted => (includeDeleted ? 'include' : 'exclude');
 
 /**
- * Asynchronously reads and caches items data
- * Uses in-memory caching to avoid repeated file reads
+ * Only admins may see deleted items
  */
-async function getItems() {
-  const now = Date.now();
-  
-  // Return cached data if still valid
-  if (itemsCache && (now - itemsCacheTimestamp) < CACHE_TTL) {
-    return itemsCache;
-  }
+const adminForDeleted = requireRole('admin', { when: req => req.query.includeDeleted });
 
-  try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    itemsCache = JSON.parse(data);
-    itemsCacheTimestamp = now;
-    return itemsCache;
-  } catch (error) {
-    console.error('Error reading items file:', error);
-    throw new Error('Failed to read items data');
-  }
+/**
+ * Send an item with its ETag, which writes send back in If-Match
+ */
+function sendItem(res, item, status = 200) {
+  res
+    .status(status)
+    .set({ ETag: itemTag(item), 'Last-Modified': new Date(item.updatedAt).toUTCString() })
+    .json(item);
 }
 
 /**
  * GET /api/items
- * Returns paginated list of items with optional search
+ * Returns paginated list of items with optional search, filters and sorting
  * Query params:
  *   - page: page number (default: 1)
- *   - limit: items per page (default: 10)
- *   - q: search query to filter items
+ *   - limit: items per page (default: 10, max: 100)
+ *   - paging: "offset" (default, uses page) or "cursor"
+ *   - cursor: nextCursor from the previous response; implies paging=cursor
+ *   - q: search query; results are ranked and carry a relevance score
+ *   - op: how words in q combine, "and" (default) or "or"
+ *   - mode: "standard" (default) or "fuzzy" to tolerate typos
+ *   - fuzziness: edit distance allowed per word in fuzzy mode (0-3, default by word length)
+ *   - category: one or more categories (repeat the param or comma-separate)
+ *   - minPrice / maxPrice: inclusive price range
+ *   - sort: one or more of price, name, id; prefix with "-" for descending.
+ *     "relevance" is the default when q is present.
+ *   - includeDeleted: "true" to list items marked deleted as well (admin only)
+ *   - facets: "true" to add category and price facet counts over the
+ *     results (see services/facets.js)
+ * When q finds few results the response includes "did you mean" suggestions.
+ * Supports conditional requests (ETag / Last-Modified, see middleware/conditional.js)
  */
-router.get('/items', async (req, res, next) => {
+router.get('/items', validateQuery(itemsQuerySchema, checkItemsQuery), adminForDeleted, conditionalGet(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, q = '' } = req.query;
-    const items = await getItems();
-    
-    // Filter items if search query provided
-    let filteredItems = items;
-    if (q) {
-      filteredItems = filterItems(items, q);
-    }
+    const { q, includeDeleted, ...query } = req.query;
+    const params = {
+      ...query,
+      q,
+      sort: query.sort || (q ? ['relevance'] : undefined),
+      deleted: deletedMode(includeDeleted)
+    };
+    const { suggestions, ...result } = await listItems(params);
 
-    // Calculate pagination
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
-    
-    const paginatedItems = filteredItems.slice(startIndex, endIndex);
-    
     res.json({
-      items: paginatedItems,
-      pagination: {
-        currentPage: pageNum,
-        totalPages: Math.ceil(filteredItems.length / limitNum),
-        totalItems: filteredItems.length,
-        itemsPerPage: limitNum
-      }
+      ...result,
+      filters: appliedFilters(params),
+      ...(q && { suggestions })
     });
   } catch (error) {
     next(error);
@@ -79,12 +97,76 @@ router.get('/items', async (req, res, next) => {
 /**
  * GET /api/stats
  * Returns statistics about items
- * Uses caching to avoid recalculating on every request
+ * Query params:
+ *   - groupBy: "category" adds per-category price breakdowns
+ *   - buckets / bucketSize: adds a price histogram with that many buckets,
+ *     or buckets of that width
+ *   - q, op, mode, fuzziness, category, minPrice, maxPrice: restrict the stats
+ *     to the items GET /api/items would return
+ * Unfiltered stats don't recompute over all items (see statsService.getStats)
+ * Supports conditional requests
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', validateQuery(statsQuerySchema, checkStatsQuery), conditionalGet(), async (req, res, next) => {
   try {
-    const stats = await getCachedStats(() => getItems());
-    res.json(stats);
+    const { groupBy, buckets, bucketSize, ...filters } = req.query;
+    const options = { groupBy, buckets, bucketSize };
+    const filtered = Object.keys(appliedFilters(filters)).length > 0;
+
+    const stats = await getStats(options, filters);
+
+    res.json(filtered ? { ...stats, filters: appliedFilters(filters) } : stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/stats/verify
+ * Compares the served stats with a full recompute over all items and
+ * rebuilds anything derived if they have drifted
+ * Admin only
+ */
+router.get('/stats/verify', requireRole('admin'), async (req, res, next) => {
+  try {
+    res.json(await verifyStats());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/items/suggest
+ * Returns name and category completions for a search prefix
+ * Query params:
+ *   - q: text typed so far
+ *   - limit: max completions (default: 8, max: 20)
+ */
+router.get('/items/suggest', validateQuery(suggestQuerySchema), async (req, res, next) => {
+  try {
+    const { q, limit } = req.query;
+    res.json({
+      query: q,
+      suggestions: await suggestItems(q, limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/items/trash
+ * Returns items marked deleted, most recently deleted first
+ * Query params:
+ *   - page, limit: as for GET /api/items
+ *   - q, op, mode, fuzziness, category, minPrice, maxPrice: as for GET /api/items
+ * Supports conditional requests. Admin only
+ */
+router.get('/items/trash', requireRole('admin'), validateQuery(trashQuerySchema, checkItemsQuery), conditionalGet(), async (req, res, next) => {
+  try {
+    const params = { ...req.query, sort: ['-deletedAt'], deleted: 'only' };
+    const { suggestions, ...result } = await listItems(params);
+
+    res.json({ ...result, filters: appliedFilters(params) });
   } catch (error) {
     next(error);
   }
@@ -93,11 +175,13 @@ router.get('/stats', async (req, res, next) => {
 /**
  * GET /api/items/:id
  * Returns a single item by ID
+ * Query params:
+ *   - includeDeleted: "true" to return the item even if it is marked deleted (admin only)
+ * The ETag and Last-Modified come from the item's version and updatedAt
  */
-router.get('/items/:id', async (req, res, next) => {
+router.get('/items/:id', validateQuery(itemQuerySchema), adminForDeleted, conditionalGet({ validators: itemValidators }), async (req, res, next) => {
   try {
-    const items = await getItems();
-    const item = items.find(i => i.id === parseInt(req.params.id));
+    const item = await getItemById(parseInt(req.params.id), { deleted: deletedMode(req.query.includeDeleted) });
     
     if (!item) {
       return res.status(404).json({ error: 'Item not found' });
@@ -109,5 +193,156 @@ router.get('/items/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/items
+ * Creates a new item; the id is assigned by the server
+ */
+router.post('/items', validateBody(itemSchema), async (req, res, next) => {
+  try {
+    const item = await createItem(req.body, { meta: changeMeta(req, 'item') });
+    sendItem(res, item, 201);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/items/batch
+ * Runs several writes all-or-nothing. The body is either
+ *   - { operations: [{ op: "create", item }, { op: "update", id, fields, replace?, version? },
+ *     { op: "delete", id, version? }] }, run in order, or
+ *   - { filter, patch }: patch every item matching the filter (GET /api/items
+ *     search and filter parameters); patch.price may be { multiply } or { add }
+ * Responds 200 with a result per operation when the batch is committed.
+ * Otherwise nothing is written, and the status is that of the first failed
+ * operation, with every failure listed in the results.
+ */
+router.post('/items/batch', async (req, res, next) => {
+  try {
+    const { committed, results } = await runBatch(req.body, { meta: changeMeta(req, 'batch') });
+
+    if (!committed) {
+      const failed = results.filter(result => result.status >= 400);
+      return res.status(failed[0].status).json({
+        error: `Batch not applied: ${failed.length} operation(s) failed`,
+        committed,
+        results
+      });
+    }
+
+    res.json({ committed, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/items/:id
+ * Replaces an item with the request body
+ * Writes to an item must name the version they are based on, with If-Match
+ * (the item's ETag) or a `version` field. 428 when neither is sent; when the
+ * item has changed since, 412 (If-Match) or 409 (version) with the current
+ * item in `current`.
+ */
+router.put('/items/:id', validateBody(itemSchema), requireVersion(), async (req, res, next) => {
+  try {
+    const { ifVersion } = req.precondition;
+    const item = await updateItem(parseInt(req.params.id), req.body, { replace: true, ifVersion, meta: changeMeta(req, 'item') });
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    sendItem(res, item);
+  } catch (error) {
+    next(preconditionError(req, error));
+  }
+});
+
+/**
+ * PATCH /api/items/:id
+ * Merges the request body into an existing item
+ * Versioned like PUT
+ */
+router.patch('/items/:id', validateBody(itemSchema, { partial: true }), requireVersion(), async (req, res, next) => {
+  try {
+    const { ifVersion } = req.precondition;
+    const item = await updateItem(parseInt(req.params.id), req.body, { ifVersion, meta: changeMeta(req, 'item') });
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    sendItem(res, item);
+  } catch (error) {
+    next(preconditionError(req, error));
+  }
+});
+
+/**
+ * DELETE /api/items/:id
+ * Moves an item to the trash: it is marked deleted, and left out of
+ * everything served until restored or purged
+ * Versioned like PUT
+ */
+router.delete('/items/:id', requireVersion(), async (req, res, next) => {
+  try {
+    const { ifVersion } = req.precondition;
+    const item = await deleteItem(parseInt(req.params.id), { ifVersion, meta: changeMeta(req, 'item') });
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(preconditionError(req, error));
+  }
+});
+
+/**
+ * POST /api/items/:id/restore
+ * Brings a deleted item back out of the trash as it was (409 if it isn't
+ * deleted). With a `revision` in the body - an audit log entry's seq -
+ * puts the item back the way it was after that change instead, whether or
+ * not it has been deleted since. Sending If-Match or a `version` guards the
+ * restore like other writes, but is optional.
+ */
+router.post('/items/:id/restore', validateBody(restoreSchema), requireVersion({ required: false }), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { revision } = req.body;
+    const options = { ifVersion: req.precondition.ifVersion, meta: changeMeta(req, 'restore') };
+    const item = revision === undefined
+      ? await undeleteItem(id, options)
+      : await restoreItem(id, revision, options);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    sendItem(res, item);
+  } catch (error) {
+    next(preconditionError(req, error));
+  }
+});
+
+/**
+ * POST /api/items/purge
+ * Removes items that have been in the trash for a while, for good
+ * Body:
+ *   - olderThanDays: only items deleted longer ago than this
+ *     (default: TRASH_RETENTION_DAYS, 30)
+ * Admin only
+ */
+router.post('/items/purge', requireRole('admin'), validateBody(purgeSchema), async (req, res, next) => {
+  try {
+    const purged = await purgeDeletedItems(req.body.olderThanDays, { meta: changeMeta(req, 'purge') });
+    res.json({ purged: purged.length, ids: purged.map(item => item.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
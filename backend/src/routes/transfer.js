@@ -0,0 +1,83 @@
+const express = require('express');
+const { Readable, pipeline } = require('stream');
+const router = express.Router();
+const { IMPORT_LIMIT } = require('../config');
+const { HttpError } = require('../errors');
+const { exportItems, importItems } = require('../services/transferService');
+const { CONTENT_TYPES, formatOf } = require('../services/itemFormats');
+const { validateQuery } = require('../middleware/validate');
+const { conditionalGet } = require('../middleware/conditional');
+const { requireRole, changeMeta } = require('../middleware/auth');
+const {
+  exportQuerySchema,
+  importQuerySchema,
+  checkItemsQuery
+} = require('../validation/itemSchema');
+
+/**
+ * Bulk import and export routes
+ * Mounted ahead of the JSON body parser, as imports read their own
+ * (larger, and not always JSON) bodies.
+ */
+
+/**
+ * GET /api/items/export
+ * Streams the catalog, or the items matching a search, as a file
+ * Query params:
+ *   - format: "csv" (default), "json" or "ndjson"
+ *   - q, op, mode, fuzziness, category, minPrice, maxPrice, sort: as for
+ *     GET /api/items; items are in id order unless sorted
+ * Supports conditional requests
+ */
+router.get('/items/export', validateQuery(exportQuerySchema, checkItemsQuery), conditionalGet(), (req, res) => {
+  const { format, ...params } = req.query;
+
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="items.${format}"`
+  });
+
+  pipeline(Readable.from(exportItems({ ...params, sort: params.sort || ['id'] }, format)), res, error => {
+    // Once streaming has started the status is sent; all that's left is to
+    // cut the response short
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Export failed:', error);
+    }
+  });
+});
+
+/**
+ * POST /api/items/import
+ * Creates and updates items from a CSV, JSON or NDJSON file in the body
+ * Query params:
+ *   - format: csv, json or ndjson; defaults to the one named by Content-Type
+ *   - mode: "upsert" (default) or "replace" to also delete items the file
+ *     doesn't list (admin only)
+ *   - dryRun: "true" to get the report without writing anything
+ * Responds with a per-row report (see transferService.importItems); 422 when
+ * a replace is refused because rows were rejected
+ */
+router.post(
+  '/items/import',
+  validateQuery(importQuerySchema),
+  requireRole('admin', { when: req => req.query.mode === 'replace' }),
+  express.text({ type: () => true, limit: IMPORT_LIMIT }),
+  async (req, res, next) => {
+    try {
+      const { mode, dryRun } = req.query;
+      const format = req.query.format || formatOf(req.get('Content-Type'));
+      if (!format) {
+        throw new HttpError(415, 'Set format to csv, json or ndjson, or send a matching Content-Type');
+      }
+
+      const text = typeof req.body === 'string' ? req.body : '';
+      const report = await importItems(text, { format, mode, dryRun, meta: changeMeta(req, 'import') });
+
+      res.status(dryRun || report.applied ? 200 : 422).json(report);
+    } catch (error) {
+      next(error instanceof SyntaxError ? new HttpError(400, error.message) : error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const { AUDIT_FILE } = require('../config');
+const { HttpError, VersionConflictError } = require('../errors');
+const { getRepository } = require('../storage');
+const { createAuditLog } = require('../storage/auditLog');
+const { unstamped, checkVersion } = require('../storage/versioning');
+const { isDeleted, live } = require('../storage/softDelete');
+const { paginateByOffset } = require('./paginationService');
+
+/**
+ * Audit service
+ * Records every change to the items in an append-only log (see
+ * storage/auditLog.js), one entry per item changed:
+ *   { seq, timestamp, actor, source, operation, itemId, version,
+ *     before, after, changes: { field: { from, to } }, restoredFrom? }
+ * Entries are written from the repository's change events, so writes from
+ * every route - and batches and imports, item by item - are covered. Changes
+ * made to the data file by hand arrive as a reset and are not recorded.
+ * Marking an item deleted is a `delete`, unmarking it an `undelete`, and
+ * removing it for good a `purge`.
+ */
+
+// The log for AUDIT_FILE, opened on first use
+let auditLog = null;
+
+function getAuditLog() {
+  if (!auditLog) {
+    auditLog = createAuditLog(AUDIT_FILE);
+  }
+  return auditLog;
+}
+
+/**
+ * Fields that differ between two versions of an item
+ * The version and updatedAt stamps move on every write, so are left out.
+ * @returns {Object} field -> { from, to }; a missing side is undefined
+ */
+function diffItems(before, after) {
+  const from = unstamped(before);
+  const to = unstamped(after);
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+    if (from[field] !== to[field]) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * What a change did to an item
+ */
+function operationOf(before, after) {
+  if (!before) {
+    return 'create';
+  }
+  if (!after) {
+    return 'purge';
+  }
+  if (isDeleted(before) !== isDeleted(after)) {
+    return isDeleted(after) ? 'delete' : 'undelete';
+  }
+  return 'update';
+}
+
+/**
+ * Audit entries for a repository change event
+ */
+function entriesFor({ changes, meta = {} }) {
+  const timestamp = new Date().toISOString();
+
+  return changes
+    .filter(({ before, after }) => before || after)
+    .map(({ before, after }) => ({
+      timestamp,
+      actor: meta.actor || 'system',
+      source: meta.source || 'system',
+      operation: operationOf(before, after),
+      itemId: (after || before).id,
+      version: (after || before).version,
+      before,
+      after,
+      changes: diffItems(before, after),
+      ...(meta.revision && { restoredFrom: meta.revision })
+    }));
+}
+
+/**
+ * Start recording changes to a repository
+ * @param {Object} repository - Defaults to the configured one
+ * @returns {Function} Stops recording
+ */
+function startAuditLog(repository = getRepository()) {
+  return repository.watch(event => {
+    if (event.type === 'change') {
+      // Failures are logged by the audit log; the write itself has happened
+      getAuditLog().append(entriesFor(event)).catch(() => {});
+    }
+  });
+}
+
+/**
+ * Whether an entry passes the GET /api/audit filters
+ */
+function matches(entry, { itemId, actor, operation, source, since, until }) {
+  const time = Date.parse(entry.timestamp);
+  return (itemId === undefined || entry.itemId === itemId) &&
+    (actor === undefined || entry.actor === actor) &&
+    (operation === undefined || entry.operation === operation) &&
+    (source === undefined || entry.source === source) &&
+    (since === undefined || time >= Date.parse(since)) &&
+    (until === undefined || time <= Date.parse(until));
+}
+
+/**
+ * Search the audit log, newest entry first
+ * @param {Object} params - Validated GET /api/audit query: filters plus page and limit
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+async function listAudit({ page, limit, ...filters }) {
+  const entries = await getAuditLog().entries({ itemId: filters.itemId });
+  const found = entries.filter(entry => matches(entry, filters));
+
+  const { items, pagination } = paginateByOffset(found.reverse(), { page, limit });
+  return { entries: items, pagination };
+}
+
+/**
+ * Change history of one item, newest first
+ * @param {number} id - Item id
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+function getItemHistory(id, { page, limit }) {
+  return listAudit({ itemId: id, page, limit });
+}
+
+/**
+ * Put an item back the way it was after an earlier change
+ * Brings the item back if it has since been deleted or purged. The restore is a change
+ * like any other, so gets its own audit entry (with `restoredFrom`).
+ * @param {number} id - Item id
+ * @param {number} revision - seq of the audit entry to go back to
+ * @param {Object} options - { ifVersion, meta }
+ * @returns {Promise<Object>} The restored item
+ * @throws {HttpError} 404 for a revision of another item or none at all;
+ *   400 when the revision deleted the item
+ * @throws {VersionConflictError} When the item has another version than
+ *   ifVersion, or with ifVersion when it has been purged
+ */
+async function restoreItem(id, revision, { ifVersion, meta }) {
+  const entry = await getAuditLog().find(revision);
+  if (!entry || entry.itemId !== id) {
+    throw new HttpError(404, `Revision ${revision} not found for item ${id}`);
+  }
+  if (!live(entry.after)) {
+    throw new HttpError(400, `Revision ${revision} deleted the item; restore an earlier one`);
+  }
+
+  const repository = getRepository();
+  const changeMeta = { ...meta, revision };
+  const restored = await repository.update(id, entry.after, { replace: true, ifVersion, meta: changeMeta });
+  if (restored) {
+    return restored;
+  }
+
+  // Deleted or purged since; the upsert brings it back, once the version
+  // checks out. A purged item has no version left to match.
+  if (ifVersion) {
+    const current = await repository.get(id, { deleted: 'include' });
+    if (!current) {
+      throw new VersionConflictError(null, 'Item has been purged since the version given');
+    }
+    checkVersion(current, ifVersion);
+  }
+
+  const { outcomes } = await repository.upsert([{ ...unstamped(entry.after), id }], { meta: changeMeta });
+  return outcomes[0].item;
+}
+
+module.exports = {
+  diffItems,
+  startAuditLog,
+  listAudit,
+  getItemHistory,
+  restoreItem
+};
@@ -0,0 +1,64 @@
+const { getRepository } = require('../storage');
+const { versionOf } = require('../storage/versioning');
+const { ValidationError } = require('../errors');
+const { validateBatch } = require('../validation/batchSchema');
+const { round } = require('./statsMath');
+
+/**
+ * Multi-item writes for POST /api/items/batch
+ * A batch is one write to storage: it happens completely or not at all, and
+ * the caches are updated once for the whole batch.
+ */
+
+/**
+ * Fields a patch sets on one item
+ */
+function patchFields(item, { set, adjustment }) {
+  if (!adjustment) {
+    return set;
+  }
+  const price = adjustment.multiply !== undefined
+    ? item.price * adjustment.multiply
+    : item.price + adjustment.add;
+  return { ...set, price: round(price) };
+}
+
+/**
+ * Turn a filter and patch into an update of every matching item
+ * Each update expects the version that matched, so an item changed in the
+ * meantime fails the batch rather than being patched from a stale value.
+ */
+async function patchOperations(filter, patch) {
+  const operations = [];
+  for await (const item of getRepository().iterate({ ...filter, sort: ['id'] })) {
+    operations.push({
+      op: 'update',
+      id: item.id,
+      ifVersion: [versionOf(item)],
+      fields: current => patchFields(current, patch)
+    });
+  }
+  return operations;
+}
+
+/**
+ * Run a batch
+ * @param {Object} body - { operations } or { filter, patch } (see validation/batchSchema.js)
+ * @param {Object} options - { meta } passed on with the change (see storage/index.js)
+ * @returns {Promise<Object>} { committed, results }: a result per operation,
+ *   with an HTTP-style status and the item, or an error when it failed
+ * @throws {ValidationError} When the body is malformed; nothing is run
+ */
+async function runBatch(body, { meta } = {}) {
+  const { value, errors } = validateBatch(body);
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid batch');
+  }
+
+  const operations = value.operations || await patchOperations(value.filter, value.patch);
+  return getRepository().batch(operations, { meta });
+}
+
+module.exports = {
+  runBatch
+};
@@ -0,0 +1,144 @@
+const { getRepository } = require('../storage');
+const { live } = require('../storage/softDelete');
+const { EVENTS } = require('../config');
+const { getStats } = require('./statsService');
+
+/**
+ * Catalog events, for clients to hear about changes as they happen
+ *
+ *   item.created    { item }   An item appeared: created, imported or restored
+ *   item.updated    { item }   A live item changed
+ *   item.deleted    { id }     An item went away: deleted or replaced out
+ *   stats.changed   { stats }  GET /api/stats would now answer differently
+ *   items.reset     {}         The items changed in ways that weren't tracked
+ *                              (e.g. the data file was edited) or that the
+ *                              client missed; anything it shows may be stale
+ *
+ * Every event has an id, "<stream>-<seq>". The stream is new each time the
+ * server starts, so ids from before a restart are never taken for current
+ * ones. The most recent events are kept, so a client that reconnects with
+ * the last id it saw is sent what it missed.
+ */
+
+/**
+ * Create an event stream
+ * @param {Object} options - { bufferSize: how many recent events are kept for replay }
+ * @returns {Object} { publish(type, data), subscribe(listener, lastEventId) }
+ */
+function createEventStream({ bufferSize = EVENTS.bufferSize } = {}) {
+  const stream = Date.now().toString(36);
+  const recent = [];
+  const listeners = new Set();
+  let seq = 0;
+
+  const idOf = n => `${stream}-${n}`;
+
+  /**
+   * Events after a client's last id: an array, or null when they can't all
+   * be replayed (the id is from another stream, unknown, or too old)
+   */
+  function missedSince(lastEventId) {
+    const [idStream, idSeq] = String(lastEventId).split('-');
+    const n = Number(idSeq);
+    if (idStream !== stream || !Number.isInteger(n) || n < 0 || n > seq) {
+      return null;
+    }
+    const oldest = recent.length > 0 ? recent[0].seq : seq + 1;
+    if (n + 1 < oldest) {
+      return null;
+    }
+    return recent.filter(event => event.seq > n);
+  }
+
+  return {
+    publish(type, data) {
+      seq += 1;
+      const event = { seq, id: idOf(seq), type, data };
+      recent.push(event);
+      if (recent.length > bufferSize) {
+        recent.shift();
+      }
+      listeners.forEach(listener => listener(event));
+      return event;
+    },
+
+    /**
+     * Listen for events; returns an unsubscribe function
+     * @param {Function} listener - Called with { id, type, data }
+     * @param {string} lastEventId - The last id the client saw, to be sent
+     *   the events after it first
+     */
+    subscribe(listener, lastEventId) {
+      if (lastEventId) {
+        const missed = missedSince(lastEventId);
+        if (missed) {
+          missed.forEach(listener);
+        } else {
+          listener({ id: idOf(seq), type: 'items.reset', data: {} });
+        }
+      }
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+/**
+ * The item events for one stored change
+ */
+function itemEvent({ before, after }) {
+  const was = live(before);
+  const is = live(after);
+  if (is) {
+    return was ? ['item.updated', { item: is }] : ['item.created', { item: is }];
+  }
+  return was ? ['item.deleted', { id: was.id }] : null;
+}
+
+// The server's event stream, created on first use
+let events = null;
+
+function getEventStream() {
+  if (!events) {
+    events = createEventStream();
+  }
+  return events;
+}
+
+/**
+ * Publish catalog events for every change to the items
+ * Stats are looked up once per write, in order, after its item events.
+ * @returns {Function} Stops publishing
+ */
+function startEvents(repository = getRepository(), stream = getEventStream()) {
+  let statsQueue = Promise.resolve();
+
+  const publishStats = () => {
+    statsQueue = statsQueue
+      .then(() => getStats())
+      .then(stats => stream.publish('stats.changed', { stats }))
+      .catch(error => console.error('Stats for events failed:', error.message));
+  };
+
+  return repository.watch(event => {
+    if (event.type === 'change') {
+      event.changes.map(itemEvent).filter(Boolean).forEach(([type, data]) => stream.publish(type, data));
+    } else {
+      stream.publish('items.reset', {});
+    }
+    publishStats();
+  });
+}
+
+/**
+ * Listen to the server's event stream (see createEventStream.subscribe)
+ */
+function subscribeEvents(listener, lastEventId) {
+  return getEventStream().subscribe(listener, lastEventId);
+}
+
+module.exports = {
+  createEventStream,
+  startEvents,
+  subscribeEvents
+};
@@ -0,0 +1,104 @@
+const { applyFilters } = require('./searchService');
+const { CATEGORIES } = require('../validation/itemSchema');
+
+// Lower edges of the price bands counted by the price facet; the last band
+// has no upper edge
+const PRICE_BANDS = [0, 25, 50, 100, 250, 500, 1000];
+
+/**
+ * Facet counts for GET /api/items?facets=true
+ * Each facet counts over the search results with every filter applied
+ * except its own, so the counts say what choosing another value would
+ * give: category counts ignore the category filter, and the price facet
+ * ignores minPrice and maxPrice.
+ *
+ *   {
+ *     category: [{ value, count }],             every category, in schema order
+ *     price: { min, max, bands: [{ min, max, count }] }
+ *   }
+ *
+ * min and max are the price range of the results (null when there are
+ * none); the last band's max is null.
+ */
+
+/**
+ * A list query without its filters and sort, for the items facets count over
+ */
+function searchOnly({ category, minPrice, maxPrice, sort, ...search }) {
+  return search;
+}
+
+/**
+ * Band a price falls in, as an index into PRICE_BANDS
+ */
+function bandOf(price) {
+  let band = 0;
+  while (band + 1 < PRICE_BANDS.length && price >= PRICE_BANDS[band + 1]) {
+    band += 1;
+  }
+  return band;
+}
+
+/**
+ * The category facet from counts per category
+ * @param {Object} counts - { [category]: count }
+ */
+function categoryFacet(counts) {
+  return CATEGORIES.map(value => ({ value, count: counts[value] || 0 }));
+}
+
+/**
+ * The price facet from the price range and counts per band
+ * @param {Object} range - { min, max } over the results, null when empty
+ * @param {Array<number>} bandCounts - Count per band, indexed like PRICE_BANDS
+ */
+function priceFacet({ min = null, max = null }, bandCounts) {
+  return {
+    min,
+    max,
+    bands: PRICE_BANDS.map((edge, i) => ({
+      min: edge,
+      max: i + 1 < PRICE_BANDS.length ? PRICE_BANDS[i + 1] : null,
+      count: bandCounts[i] || 0
+    }))
+  };
+}
+
+/**
+ * Facets over items held in memory
+ * @param {Array} searched - Items matching the search, before any filters
+ * @param {Object} params - { category, minPrice, maxPrice } in effect
+ * @returns {Object} { category, price } as described above
+ */
+function facetsOf(searched, { category, minPrice, maxPrice } = {}) {
+  const categoryCounts = {};
+  applyFilters(searched, { minPrice, maxPrice }).forEach(item => {
+    categoryCounts[item.category] = (categoryCounts[item.category] || 0) + 1;
+  });
+
+  const priced = applyFilters(searched, { category });
+  const bandCounts = [];
+  let range = {};
+  priced.forEach(({ price }) => {
+    const band = bandOf(price);
+    bandCounts[band] = (bandCounts[band] || 0) + 1;
+    range = {
+      min: range.min === undefined ? price : Math.min(range.min, price),
+      max: range.max === undefined ? price : Math.max(range.max, price)
+    };
+  });
+
+  return {
+    category: categoryFacet(categoryCounts),
+    price: priceFacet(range, bandCounts)
+  };
+}
+
+module.exports = {
+  PRICE_BANDS,
+  searchOnly,
+  bandOf,
+  categoryFacet,
+  priceFacet,
+  facetsOf
+};
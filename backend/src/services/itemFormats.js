@@ -0,0 +1,205 @@
+/**
+ * Catalog file formats for bulk import and export
+ *
+ *   csv     Header row, then one item per row. Fields may be quoted; quotes
+ *           inside a quoted field are doubled. Text that a spreadsheet would
+ *           run as a formula is written with a leading ', which imports drop
+ *   json    One array of items
+ *   ndjson  One JSON item per line
+ */
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Columns written to CSV exports, in order
+const CSV_COLUMNS = ['id', 'name', 'description', 'price', 'category', 'version', 'updatedAt'];
+
+// Text a spreadsheet would take for a formula, behind any ' already guarding it;
+// such text is exported with one more leading ' (and imported with one less)
+const FORMULA_TEXT = /^'*[=+\-@\t\r]/;
+
+/**
+ * Format named by a request Content-Type, if any
+ */
+function formatOf(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'text/csv') return 'csv';
+  if (type === 'application/json') return 'json';
+  if (type === 'application/x-ndjson' || type === 'application/ndjson') return 'ndjson';
+  return undefined;
+}
+
+/**
+ * One CSV field, quoted when it has to be
+ * Text that would run as a formula when the file is opened in a spreadsheet
+ * gets a leading ', so it shows as text instead.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'string' && FORMULA_TEXT.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializer for a format: { header, row(item, index), footer }
+ * Each returns a string chunk, so items can be written out one at a time.
+ */
+function serializer(format) {
+  switch (format) {
+    case 'csv':
+      return {
+        header: `${CSV_COLUMNS.join(',')}\r\n`,
+        row: item => `${CSV_COLUMNS.map(column => csvField(item[column])).join(',')}\r\n`,
+        footer: ''
+      };
+    case 'ndjson':
+      return {
+        header: '',
+        row: item => `${JSON.stringify(item)}\n`,
+        footer: ''
+      };
+    case 'json':
+      return {
+        header: '[',
+        row: (item, index) => `${index > 0 ? ',' : ''}\n  ${JSON.stringify(item)}`,
+        footer: '\n]\n'
+      };
+    default:
+      throw new Error(`Unknown format "${format}"`);
+  }
+}
+
+/**
+ * Split CSV text into rows of fields
+ * @returns {Array<{line: number, fields: Array<string>}>} Rows with the line each starts on
+ */
+function csvRows(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    // Blank lines, and rows of empty cells that spreadsheets leave behind
+    if (fields.some(value => value !== '')) {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Parse an import file into records
+ * Records are returned as found; checking them is up to the caller. Rows
+ * that can't be parsed at all carry an error instead.
+ * @param {string} text - File contents
+ * @param {string} format - One of FORMATS
+ * @returns {Array<{row: number, record?: Object, error?: string}>} One entry
+ *   per data row, numbered from 1 (a CSV header is not counted)
+ */
+function parseItems(text, format) {
+  const body = text.replace(/^\uFEFF/, '');
+
+  switch (format) {
+    case 'csv': {
+      const [header, ...rows] = csvRows(body);
+      if (!header) {
+        return [];
+      }
+      const columns = header.fields.map(name => name.trim());
+      return rows.map(({ line, fields }, i) => {
+        if (fields.length > columns.length) {
+          return { row: i + 1, error: `line ${line} has more fields than the header` };
+        }
+        const record = {};
+        columns.forEach((column, c) => {
+          if (fields[c] !== undefined && fields[c] !== '') {
+            // Undo the formula guard csvField adds
+            record[column] = /^'/.test(fields[c]) && FORMULA_TEXT.test(fields[c]) ? fields[c].slice(1) : fields[c];
+          }
+        });
+        return { row: i + 1, record };
+      });
+    }
+
+    case 'ndjson':
+      return body
+        .split(/\r?\n/)
+        .map((line, i) => ({ line, number: i + 1 }))
+        .filter(({ line }) => line.trim() !== '')
+        .map(({ line, number }, i) => {
+          try {
+            return { row: i + 1, record: JSON.parse(line) };
+          } catch (error) {
+            return { row: i + 1, error: `line ${number} is not valid JSON` };
+          }
+        });
+
+    case 'json': {
+      let items;
+      try {
+        items = JSON.parse(body);
+      } catch (error) {
+        throw new SyntaxError('Body is not valid JSON');
+      }
+      if (!Array.isArray(items)) {
+        throw new SyntaxError('Body must be a JSON array of items');
+      }
+      return items.map((record, i) => ({ row: i + 1, record }));
+    }
+
+    default:
+      throw new Error(`Unknown format "${format}"`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  CSV_COLUMNS,
+  formatOf,
+  serializer,
+  parseItems
+};
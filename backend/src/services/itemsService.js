@@ -0,0 +1,148 @@
+const { getRepository } = require('../storage');
+const { TRASH_RETENTION_DAYS } = require('../config');
+const { HttpError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Items service
+ * What the routes use to read and change items. Storage is delegated to the
+ * configured repository (see storage/index.js).
+ */
+
+/**
+ * All served items
+ * @returns {Array} Items
+ */
+function getItems() {
+  return getRepository().list();
+}
+
+/**
+ * Search, filter, sort and paginate items
+ * @param {Object} params - Validated GET /api/items query
+ * @returns {Object} { items, pagination, facets?, suggestions? }
+ */
+function listItems(params) {
+  return getRepository().query(params);
+}
+
+/**
+ * Typeahead completions for a search prefix
+ * @param {string} prefix - Text typed so far
+ * @param {number} limit - Max completions to return
+ * @returns {Array<{type: string, value: string, id?: number, count?: number}>}
+ */
+function suggestItems(prefix, limit) {
+  return getRepository().suggest(prefix, limit);
+}
+
+/**
+ * Check every stored record against the item schema
+ * Logs each malformed record; run at startup
+ * @returns {Array} Malformed records with their field errors
+ */
+async function checkDataFile() {
+  const invalid = await getRepository().check();
+
+  invalid.forEach(({ index, id, errors }) => {
+    const problems = errors.map(e => `${e.field} ${e.message}`).join('; ');
+    console.warn(`Malformed item at index ${index} (id: ${id}) will not be served: ${problems}`);
+  });
+
+  return invalid;
+}
+
+/**
+ * Current data version, for HTTP validators
+ * @returns {Object} { tag, modifiedAt } - tag changes whenever the items do
+ */
+function getDataVersion() {
+  return getRepository().version();
+}
+
+/**
+ * Find an item by id
+ * @param {Object} options - { deleted: 'include' } finds items marked deleted too
+ * @returns {Object|undefined} The item, if found
+ */
+function getItemById(id, options) {
+  return getRepository().get(id, options);
+}
+
+/**
+ * Create a new item and assign it the next id
+ * @param {Object} fields - Item fields
+ * @param {Object} options - { meta } passed on with the change (see storage/index.js)
+ * @returns {Object} Created item
+ */
+function createItem(fields, options) {
+  return getRepository().create(fields, options);
+}
+
+/**
+ * Update an existing item
+ * @param {number} id - Item id
+ * @param {Object} fields - New field values
+ * @param {Object} options - { replace: true } replaces the item instead of merging;
+ *   { ifVersion } lists the versions the update may apply to; { meta } is
+ *   passed on with the change
+ * @returns {Object|null} Updated item, or null if it does not exist
+ * @throws {VersionConflictError} When the stored item has another version
+ */
+function updateItem(id, fields, options) {
+  return getRepository().update(id, fields, options);
+}
+
+/**
+ * Delete an item
+ * The item is only marked deleted, and can be brought back until it is purged.
+ * @param {number} id - Item id
+ * @param {Object} options - { ifVersion } lists the versions the delete may apply to;
+ *   { meta } is passed on with the change
+ * @returns {Object|null} Deleted item, or null if it does not exist
+ * @throws {VersionConflictError} When the stored item has another version
+ */
+function deleteItem(id, options) {
+  return getRepository().delete(id, options);
+}
+
+/**
+ * Bring a deleted item back
+ * @param {number} id - Item id
+ * @param {Object} options - { ifVersion, meta } as for deleteItem
+ * @returns {Object|null} Restored item, or null if it does not exist
+ * @throws {HttpError} 409 when the item is not deleted
+ * @throws {VersionConflictError} When the stored item has another version
+ */
+async function undeleteItem(id, options) {
+  const item = await getRepository().restore(id, options);
+  if (!item && await getRepository().get(id)) {
+    throw new HttpError(409, 'Item is not deleted');
+  }
+  return item;
+}
+
+/**
+ * Remove items that have been deleted for a while, for good
+ * @param {number} olderThanDays - Only items deleted longer ago than this
+ * @param {Object} options - { meta } passed on with the change
+ * @returns {Array} The removed items
+ */
+function purgeDeletedItems(olderThanDays = TRASH_RETENTION_DAYS, options) {
+  return getRepository().purge(new Date(Date.now() - olderThanDays * DAY_MS), options);
+}
+
+module.exports = {
+  getItems,
+  listItems,
+  suggestItems,
+  checkDataFile,
+  getDataVersion,
+  getItemById,
+  createItem,
+  updateItem,
+  deleteItem,
+  undeleteItem,
+  purgeDeletedItems
+};
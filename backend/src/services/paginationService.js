@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { compareBy } = require('./searchService');
+const { ValidationError } = require('../errors');
+
+/**
+ * Offset pagination: the classic page/limit slice
+ * @param {Array} items - Sorted, filtered items
+ * @param {Object} options - { page, limit }
+ * @returns {{ items: Array, pagination: Object }}
+ */
+function paginateByOffset(items, { page, limit }) {
+  const startIndex = (page - 1) * limit;
+  const endIndex = startIndex + limit;
+
+  return {
+    items: items.slice(startIndex, endIndex),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(items.length / limit),
+      totalItems: items.length,
+      itemsPerPage: limit
+    }
+  };
+}
+
+/**
+ * Sort keys used for cursor paging
+ * The id is appended as a tie-breaker so every item has a unique position.
+ */
+function cursorSortKeys(sort) {
+  const keys = sort ? sort.slice() : [];
+  if (!keys.includes('id') && !keys.includes('-id')) {
+    keys.push('id');
+  }
+  return keys;
+}
+
+/**
+ * Short hash of the parameters that decide the result order
+ * A cursor is only valid for the query that produced it.
+ */
+function queryFingerprint(params) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(params))
+    .digest('base64url')
+    .slice(0, 12);
+}
+
+/**
+ * Encode a cursor pointing just after an item
+ */
+function encodeCursor(item, keys, fingerprint) {
+  const fields = keys.map(key => (key === 'relevance' ? 'score' : key.replace(/^-/, '')));
+  const payload = {
+    f: fingerprint,
+    k: fields.map(field => item[field])
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor into a pseudo-item holding the sort values it points after
+ * @throws {ValidationError} when the cursor is malformed or from another query
+ */
+function decodeCursor(cursor, keys, fingerprint) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || !Array.isArray(payload.k) || payload.k.length !== keys.length) {
+    throw new ValidationError([{ field: 'cursor', message: 'is not a valid cursor' }], 'Invalid query parameters');
+  }
+  if (payload.f !== fingerprint) {
+    throw new ValidationError(
+      [{ field: 'cursor', message: 'does not match the current search, filters or sort' }],
+      'Invalid query parameters'
+    );
+  }
+
+  const position = {};
+  keys.forEach((key, i) => {
+    position[key === 'relevance' ? 'score' : key.replace(/^-/, '')] = payload.k[i];
+  });
+  return position;
+}
+
+/**
+ * Cursor (keyset) pagination
+ * Returns the items strictly after the cursor's position in the sort order,
+ * so items added or removed on earlier pages don't shift what comes next.
+ * @param {Array} items - Filtered items (sorted here by sort + id)
+ * @param {Object} options
+ *   - sort: requested sort keys
+ *   - cursor: cursor from a previous response; omit for the first page
+ *   - limit: page size
+ *   - query: parameters the cursor is tied to (search, filters, sort)
+ * @returns {{ items: Array, pagination: Object }}
+ */
+function paginateByCursor(items, { sort, cursor, limit, query }) {
+  const keys = cursorSortKeys(sort);
+  const compare = compareBy(keys);
+  const fingerprint = queryFingerprint(query);
+  const sorted = items.slice().sort(compare);
+
+  let startIndex = 0;
+  if (cursor) {
+    const position = decodeCursor(cursor, keys, fingerprint);
+
+    // Binary search for the first item after the cursor position
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (compare(sorted[mid], position) <= 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    startIndex = low;
+  }
+
+  const page = sorted.slice(startIndex, startIndex + limit);
+  const hasMore = startIndex + limit < sorted.length;
+
+  return {
+    items: page,
+    pagination: {
+      mode: 'cursor',
+      totalItems: sorted.length,
+      itemsPerPage: limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], keys, fingerprint) : null
+    }
+  };
+}
+
+module.exports = {
+  cursorSortKeys,
+  queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+  paginateByOffset,
+  paginateByCursor
+};
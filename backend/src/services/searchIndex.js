@@ -0,0 +1,339 @@
+/**
+ * Inverted index for ranked full-text search
+ * Built once per data load, so queries don't scan every item
+ */
+
+// Relative importance of a match in each field
+const FIELD_WEIGHTS = {
+  name: 3,
+  description: 2,
+  category: 1
+};
+
+// Score multiplier for a term that only matches as a prefix
+const PREFIX_WEIGHT = 0.5;
+
+// Score multiplier for a fuzzy match, divided by the edit distance
+const FUZZY_WEIGHT = 0.4;
+
+// Largest tolerance accepted for fuzzy matching
+const MAX_FUZZINESS = 3;
+
+/**
+ * Split text into lowercase alphanumeric tokens
+ * @param {string} text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Build an inverted index over items
+ * @param {Array} items - Items to index
+ * @returns {Object} Index with postings (term -> Map(position -> weight)),
+ *   a sorted term list for prefix lookups, and the indexed items
+ */
+function buildIndex(items) {
+  const postings = new Map();
+
+  items.forEach((item, position) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(item[field]).forEach(term => {
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+        }
+        const docs = postings.get(term);
+        docs.set(position, (docs.get(position) || 0) + weight);
+      });
+    });
+  });
+
+  return {
+    items,
+    postings,
+    terms: Array.from(postings.keys()).sort()
+  };
+}
+
+/**
+ * Index terms starting with a prefix, via binary search over the sorted terms
+ * @param {Object} index - Anything with a sorted `terms` list
+ */
+function termsWithPrefix(index, prefix) {
+  const { terms } = index;
+  let low = 0;
+  let high = terms.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (terms[mid] < prefix) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  const matches = [];
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+    matches.push(terms[i]);
+  }
+  return matches;
+}
+
+/**
+ * Edit distance between two strings (optimal string alignment)
+ * Counts insertions, deletions, substitutions and adjacent transpositions.
+ * Stops early and returns max + 1 once the distance is known to exceed max.
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Default edit-distance tolerance for a token, based on its length
+ * Short words get no tolerance so "cat" doesn't match "hat"
+ */
+function autoFuzziness(token) {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Index terms within an edit distance of a token
+ * @param {Object} index - Anything with a `terms` list
+ * @returns {Array<{term: string, distance: number}>} Closest first
+ */
+function similarTerms(index, token, fuzziness) {
+  const matches = [];
+  index.terms.forEach(term => {
+    const distance = editDistance(token, term, fuzziness);
+    if (distance <= fuzziness) {
+      matches.push({ term, distance });
+    }
+  });
+  return matches.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Score every document matching a single query token
+ * @param {Object} options - { prefix, fuzziness } where fuzziness is the
+ *   edit distance tolerance (0 disables fuzzy matching)
+ * @returns {Map} position -> score
+ */
+function scoreToken(index, token, { prefix, fuzziness }) {
+  const multipliers = new Map();
+  const consider = (term, multiplier) => {
+    multipliers.set(term, Math.max(multipliers.get(term) || 0, multiplier));
+  };
+
+  consider(token, 1);
+  if (prefix) {
+    termsWithPrefix(index, token).forEach(term => consider(term, PREFIX_WEIGHT));
+  }
+  if (fuzziness > 0) {
+    similarTerms(index, token, fuzziness).forEach(({ term, distance }) => {
+      consider(term, distance === 0 ? 1 : FUZZY_WEIGHT / distance);
+    });
+  }
+
+  const scores = new Map();
+  multipliers.forEach((multiplier, term) => {
+    const docs = index.postings.get(term);
+    if (!docs) return;
+
+    docs.forEach((weight, position) => {
+      scores.set(position, (scores.get(position) || 0) + weight * multiplier);
+    });
+  });
+
+  return scores;
+}
+
+/**
+ * Split a query into groups of tokens
+ * Tokens within a group must all match (AND); groups are alternatives (OR).
+ * "wireless mouse OR keyboard" -> [['wireless', 'mouse'], ['keyboard']]
+ * @param {string} query - Search query
+ * @param {string} operator - 'and' (default) or 'or' to make every token optional
+ */
+function parseQuery(query, operator = 'and') {
+  const groups = String(query || '')
+    .split(/\s+OR\s+/)
+    .map(tokenize)
+    .filter(group => group.length > 0);
+
+  return operator === 'or' ? groups.flat().map(token => [token]) : groups;
+}
+
+/**
+ * Run a ranked search against the index
+ * @param {Object} index - Index from buildIndex
+ * @param {string} query - Search query
+ * @param {Object} options
+ *   - operator: 'and' (default) or 'or'
+ *   - prefix: match tokens as term prefixes (default: true)
+ *   - fuzzy: also match terms within an edit distance (default: false)
+ *   - fuzziness: edit distance tolerance for fuzzy matching; defaults to a
+ *     per-token value based on word length
+ * @returns {Array<{item: Object, score: number}>} Matches, best first
+ */
+function searchIndex(index, query, { operator = 'and', prefix = true, fuzzy = false, fuzziness } = {}) {
+  const scores = new Map();
+
+  parseQuery(query, operator).forEach(group => {
+    let groupScores = null;
+
+    for (const token of group) {
+      const tolerance = fuzzy
+        ? Math.min(fuzziness !== undefined ? fuzziness : autoFuzziness(token), MAX_FUZZINESS)
+        : 0;
+      const tokenScores = scoreToken(index, token, { prefix, fuzziness: tolerance });
+      if (groupScores === null) {
+        groupScores = tokenScores;
+      } else {
+        // Keep only documents matching every token so far
+        const merged = new Map();
+        groupScores.forEach((score, position) => {
+          if (tokenScores.has(position)) {
+            merged.set(position, score + tokenScores.get(position));
+          }
+        });
+        groupScores = merged;
+      }
+      if (groupScores.size === 0) break;
+    }
+
+    // A document matching several groups keeps its best group score
+    groupScores.forEach((score, position) => {
+      scores.set(position, Math.max(scores.get(position) || 0, score));
+    });
+  });
+
+  return Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .map(([position, score]) => ({
+      item: index.items[position],
+      score: parseFloat(score.toFixed(2))
+    }));
+}
+
+/**
+ * Suggest corrected queries drawn from a vocabulary
+ * Words that already match a term (exactly or as a prefix) are kept; others
+ * are replaced by the closest terms, preferring ones that appear in more items.
+ * Only corrections that would return results are suggested.
+ * @param {Object} vocabulary
+ *   - terms: every indexed term, sorted
+ *   - documentCount(term): how many items contain the term
+ *   - hasResults(query): whether a corrected query finds anything
+ * @param {string} query - The original query
+ * @param {Object} options - { limit: max suggestions (default 3), fuzziness }
+ * @returns {Array<string>} Corrected queries
+ */
+function correctQuery(vocabulary, query, { limit = 3, fuzziness } = {}) {
+  const groups = parseQuery(query);
+
+  // Candidate replacements per token, best first
+  const candidates = groups.map(group => group.map(token => {
+    if (termsWithPrefix(vocabulary, token).length > 0) {
+      return [token];
+    }
+    const tolerance = Math.max(1, fuzziness !== undefined ? fuzziness : autoFuzziness(token));
+    return similarTerms(vocabulary, token, Math.min(tolerance, MAX_FUZZINESS))
+      .sort((a, b) => a.distance - b.distance ||
+        vocabulary.documentCount(b.term) - vocabulary.documentCount(a.term))
+      .map(({ term }) => term);
+  }));
+
+  if (candidates.some(group => group.some(list => list.length === 0))) {
+    return [];
+  }
+
+  const build = (groupIndex, tokenIndex, choice) => candidates
+    .map((group, g) => group
+      .map((list, t) => (g === groupIndex && t === tokenIndex ? list[choice] : list[0]))
+      .join(' '))
+    .join(' OR ');
+
+  // The best correction first, then alternatives for one word at a time
+  const variants = [build(-1, -1, 0)];
+  candidates.forEach((group, g) => group.forEach((list, t) => {
+    for (let choice = 1; choice < list.length; choice++) {
+      variants.push(build(g, t, choice));
+    }
+  }));
+
+  // Running a variant costs a search, so stop once there are enough
+  const original = groups.map(group => group.join(' ')).join(' OR ');
+  const suggestions = [];
+  for (const variant of new Set(variants)) {
+    if (suggestions.length >= limit) break;
+    if (variant !== original && vocabulary.hasResults(variant)) {
+      suggestions.push(variant);
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Suggest corrected queries drawn from the index vocabulary
+ * @param {Object} index - Index from buildIndex
+ * @param {string} query - The original query
+ * @param {Object} options - { limit: max suggestions (default 3), fuzziness }
+ * @returns {Array<string>} Corrected queries
+ */
+function suggestQueries(index, query, options) {
+  return correctQuery({
+    terms: index.terms,
+    documentCount: term => index.postings.get(term).size,
+    hasResults: variant => searchIndex(index, variant).length > 0
+  }, query, options);
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  MAX_FUZZINESS,
+  tokenize,
+  editDistance,
+  autoFuzziness,
+  parseQuery,
+  termsWithPrefix,
+  similarTerms,
+  buildIndex,
+  searchIndex,
+  correctQuery,
+  suggestQueries
+};
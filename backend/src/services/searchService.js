@@ -1,29 +1,134 @@
+const { searchIndex, suggestQueries } = require('./searchIndex');
+
+// Result counts below this trigger "did you mean" suggestions
+const SUGGESTION_THRESHOLD = 3;
+
 /**
- * Filter items based on search query
- * Searches in name, description, and category fields
- * @param {Array} items - Array of items to search
- * @param {string} query - Search query string
+ * Apply structured filters
+ * @param {Array} items - Array of items to filter
+ * @param {Object} filters
+ *   - category: list of categories to keep (any match)
+ *   - minPrice / maxPrice: inclusive price range
  * @returns {Array} Filtered items
  */
-function filterItems(items, query) {
-  if (!query || !query.trim()) {
-    return items;
-  }
+function applyFilters(items, { category, minPrice, maxPrice } = {}) {
+  const categories = category && category.length > 0 ? new Set(category) : null;
 
-  const searchTerm = query.toLowerCase().trim();
-  
   return items.filter(item => {
-    const name = (item.name || '').toLowerCase();
-    const description = (item.description || '').toLowerCase();
-    const category = (item.category || '').toLowerCase();
-    
-    return name.includes(searchTerm) || 
-           description.includes(searchTerm) || 
-           category.includes(searchTerm);
+    if (categories && !categories.has(item.category)) return false;
+    if (minPrice !== undefined && item.price < minPrice) return false;
+    if (maxPrice !== undefined && item.price > maxPrice) return false;
+    return true;
   });
 }
 
+/**
+ * Compare two values of a sort field
+ * Strings compare case-insensitively, everything else numerically
+ */
+function compareValues(a, b) {
+  if (typeof a === 'string' || typeof b === 'string') {
+    return String(a || '').localeCompare(String(b || ''), undefined, { sensitivity: 'base' });
+  }
+  return (a || 0) - (b || 0);
+}
+
+/**
+ * Build a comparator for one or more sort keys
+ * @param {Array<string>} sort - Keys in priority order; a leading "-" sorts descending.
+ *   "relevance" orders by search score, best first.
+ * @returns {Function} (a, b) => number
+ */
+function compareBy(sort) {
+  const keys = sort.map(key => (
+    key === 'relevance'
+      ? { field: 'score', direction: -1 }
+      : { field: key.replace(/^-/, ''), direction: key.startsWith('-') ? -1 : 1 }
+  ));
+
+  return (a, b) => {
+    for (const { field, direction } of keys) {
+      const result = compareValues(a[field], b[field]);
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Sort items by one or more keys
+ * @param {Array} items - Array of items to sort
+ * @param {Array<string>} sort - Keys in priority order (see compareBy)
+ * @returns {Array} New sorted array (input order is kept for ties)
+ */
+function sortItems(items, sort) {
+  if (!sort || sort.length === 0) {
+    return items;
+  }
+
+  return items.slice().sort(compareBy(sort));
+}
+
+/**
+ * Run the full list pipeline: ranked text search, structured filters, then sorting
+ * When q is given each result carries a relevance `score`.
+ * @param {Object} index - Search index over the items (see searchIndex.buildIndex)
+ * @param {Object} params - { q, op, mode, fuzziness, category, minPrice, maxPrice, sort }
+ *   where mode 'fuzzy' tolerates typos up to `fuzziness` edits per word
+ * @returns {Array} Matching items in the requested order
+ */
+function queryItems(index, { q, op, mode, fuzziness, category, minPrice, maxPrice, sort } = {}) {
+  const options = { operator: op, fuzzy: mode === 'fuzzy', fuzziness };
+  const matched = q && q.trim()
+    ? searchIndex(index, q, options).map(({ item, score }) => ({ ...item, score }))
+    : index.items;
+
+  return sortItems(applyFilters(matched, { category, minPrice, maxPrice }), sort);
+}
+
+/**
+ * Collect the list filters that were actually applied
+ * Echoed back to clients, and what a pagination cursor is tied to
+ * @param {Object} params - Validated list query
+ * @returns {Object} Only the search, filter and sort params in effect, and
+ *   `deleted` when deleted items are taken in
+ */
+function appliedFilters({ q, op, mode, fuzziness, category, minPrice, maxPrice, sort, deleted }) {
+  return {
+    ...(q && { q }),
+    ...(q && op === 'or' && { op }),
+    ...(q && mode === 'fuzzy' && { mode }),
+    ...(q && mode === 'fuzzy' && fuzziness !== undefined && { fuzziness }),
+    ...(category && category.length > 0 && { category }),
+    ...(minPrice !== undefined && { minPrice }),
+    ...(maxPrice !== undefined && { maxPrice }),
+    ...(sort && sort.length > 0 && { sort }),
+    ...(deleted && deleted !== 'exclude' && { deleted })
+  };
+}
+
+/**
+ * "Did you mean" suggestions for a query that found few results
+ * @param {Object} index - Search index over the items
+ * @param {string} q - Search query
+ * @param {number} resultCount - How many results the query returned
+ * @param {Object} options - { fuzziness }
+ * @returns {Array<string>} Corrected queries, empty when there were enough results
+ */
+function getSuggestions(index, q, resultCount, { fuzziness } = {}) {
+  if (!q || !q.trim() || resultCount >= SUGGESTION_THRESHOLD) {
+    return [];
+  }
+  return suggestQueries(index, q, { fuzziness });
+}
+
 module.exports = {
-  filterItems
+  SUGGESTION_THRESHOLD,
+  appliedFilters,
+  getSuggestions,
+  applyFilters,
+  compareBy,
+  sortItems,
+  queryItems
 };
 
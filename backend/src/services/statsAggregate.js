@@ -0,0 +1,194 @@
+const { round, percentile, insertionPoint, histogram } = require('./statsMath');
+
+/**
+ * Running price aggregates for a set of items
+ * Holds counts, sums and an ascending price array (overall and per
+ * category) that are adjusted one item at a time, so reading the stats never
+ * walks the item list. Adding or removing an item is a binary search plus an
+ * array splice; the initial items are loaded in one pass and sorted once.
+ *
+ * The spread of prices is kept as a running mean and sum of squared
+ * deviations (Welford's method), which unlike a plain sum of squares keeps
+ * its precision for large or many prices.
+ */
+
+function createPriceSet() {
+  return { items: 0, sum: 0, mean: 0, m2: 0, prices: [] };
+}
+
+function priceOf(item) {
+  return parseFloat(item.price);
+}
+
+function categoryOf(item) {
+  return item.category || 'uncategorized';
+}
+
+/**
+ * Move the running mean and squared deviations for one price added or
+ * removed; set.prices already holds the new count
+ */
+function adjustSpread(set, price, direction) {
+  const count = set.prices.length;
+  if (count === 0) {
+    set.mean = 0;
+    set.m2 = 0;
+    return;
+  }
+
+  const before = set.mean;
+  set.mean += direction * (price - before) / count;
+  set.m2 = Math.max(set.m2 + direction * (price - before) * (price - set.mean), 0);
+}
+
+/**
+ * Add or remove one item's contribution to a price set
+ * @param {number} direction - 1 to add, -1 to remove
+ */
+function adjust(set, price, direction) {
+  set.items += direction;
+  if (isNaN(price)) return;
+
+  const position = insertionPoint(set.prices, price);
+  if (direction > 0) {
+    set.prices.splice(position, 0, price);
+  } else if (set.prices[position] === price) {
+    set.prices.splice(position, 1);
+  } else {
+    // Not tracked - leave the sums alone so a verify shows the mismatch
+    return;
+  }
+
+  set.sum += direction * price;
+  adjustSpread(set, price, direction);
+
+  // Don't carry floating point residue once a set is empty
+  if (set.prices.length === 0) {
+    set.sum = 0;
+  }
+}
+
+function summarize(set) {
+  const { prices, sum } = set;
+  return {
+    count: prices.length,
+    minPrice: prices.length > 0 ? prices[0] : 0,
+    maxPrice: prices.length > 0 ? prices[prices.length - 1] : 0,
+    averagePrice: prices.length > 0 ? round(sum / prices.length) : 0,
+    totalValue: round(sum)
+  };
+}
+
+/**
+ * Create running aggregates, seeded with an initial set of items
+ * @param {Array} items - Items to start from
+ * @returns {Object} { add(item), remove(item), update(before, after), apply(before, after), snapshot(options) }
+ */
+function createStatsAggregate(items = []) {
+  const overall = createPriceSet();
+  const categories = new Map();
+
+  function categorySet(category) {
+    if (!categories.has(category)) {
+      categories.set(category, createPriceSet());
+    }
+    return categories.get(category);
+  }
+
+  function add(item) {
+    const price = priceOf(item);
+    adjust(overall, price, 1);
+    adjust(categorySet(categoryOf(item)), price, 1);
+  }
+
+  function remove(item) {
+    const price = priceOf(item);
+    const category = categoryOf(item);
+    const set = categories.get(category);
+    if (!set) return;
+
+    adjust(overall, price, -1);
+    adjust(set, price, -1);
+    if (set.items <= 0) {
+      categories.delete(category);
+    }
+  }
+
+  function update(before, after) {
+    remove(before);
+    add(after);
+  }
+
+  /**
+   * Apply one change: `before` is null for an added item, `after` for a deleted one
+   */
+  function apply(before, after) {
+    if (before) remove(before);
+    if (after) add(after);
+  }
+
+  /**
+   * Current stats, in the same shape as statsService.calculateStats
+   * @param {Object} options - { groupBy, buckets, bucketSize }
+   */
+  function snapshot({ groupBy, buckets, bucketSize } = {}) {
+    const { prices, m2 } = overall;
+    const summary = summarize(overall);
+    const variance = prices.length > 0 ? m2 / prices.length : 0;
+
+    const counts = {};
+    categories.forEach((set, category) => {
+      counts[category] = set.items;
+    });
+
+    const stats = {
+      totalItems: overall.items,
+      averagePrice: summary.averagePrice,
+      minPrice: summary.minPrice,
+      maxPrice: summary.maxPrice,
+      medianPrice: percentile(prices, 50),
+      percentiles: {
+        p25: percentile(prices, 25),
+        p75: percentile(prices, 75),
+        p90: percentile(prices, 90)
+      },
+      standardDeviation: round(Math.sqrt(variance)),
+      totalValue: summary.totalValue,
+      categories: counts
+    };
+
+    if (groupBy === 'category') {
+      stats.byCategory = {};
+      categories.forEach((set, category) => {
+        stats.byCategory[category] = summarize(set);
+      });
+    }
+
+    if (buckets || bucketSize) {
+      stats.histogram = histogram(prices, { buckets, bucketSize });
+    }
+
+    return stats;
+  }
+
+  // Seed in bulk - inserting one by one would shift the arrays on every item
+  items.forEach(item => {
+    const price = priceOf(item);
+    [overall, categorySet(categoryOf(item))].forEach(set => {
+      set.items += 1;
+      if (!isNaN(price)) {
+        set.prices.push(price);
+        set.sum += price;
+        adjustSpread(set, price, 1);
+      }
+    });
+  });
+  overall.prices.sort((a, b) => a - b);
+  categories.forEach(set => set.prices.sort((a, b) => a - b));
+
+  return { add, remove, update, apply, snapshot };
+}
+
+module.exports = {
+  createStatsAggregate
+};
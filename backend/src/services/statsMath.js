@@ -0,0 +1,136 @@
+/**
+ * Numeric helpers shared by the full stats calculation and the running
+ * aggregates. Everything works on ascending price arrays and avoids spreading
+ * them into function arguments, so it is safe on very large inputs.
+ */
+
+const { ValidationError } = require('../errors');
+
+// Most buckets a price histogram may have
+const MAX_BUCKETS = 100;
+
+const round = value => parseFloat(value.toFixed(2));
+
+/**
+ * Percentile of an ascending array, interpolating between neighbours
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile, 0-100
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+}
+
+/**
+ * First position in an ascending array whose value passes `test`
+ * `test` must be false for a prefix of the array and true for the rest.
+ */
+function firstPassing(sorted, test) {
+  let low = 0;
+  let high = sorted.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (test(sorted[mid])) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Position at which a value would be inserted to keep the array ascending
+ */
+function insertionPoint(sorted, value) {
+  return firstPassing(sorted, v => v >= value);
+}
+
+/**
+ * Number of buckets of `bucketSize`, aligned to multiples of the size,
+ * needed to span min-max
+ */
+function bucketCount(min, max, bucketSize) {
+  return Math.floor((max - Math.floor(min / bucketSize) * bucketSize) / bucketSize) + 1;
+}
+
+/**
+ * Validation error detail for a bucket size giving too many buckets
+ */
+function bucketCountError(count) {
+  return { field: 'bucketSize', message: `must give at most ${MAX_BUCKETS} buckets over the price range (gives ${count})` };
+}
+
+/**
+ * Bucket layout for a price histogram spanning min-max
+ * Either `buckets` equal-width buckets, or buckets of `bucketSize` aligned to
+ * multiples of the size.
+ * @returns {{start: number, width: number, count: number, bucketOf: Function, ranges: Array}}
+ *   bucketOf(price) gives a price's bucket; ranges are the { min, max } of each bucket
+ * @throws {ValidationError} When bucketSize gives more than MAX_BUCKETS buckets
+ */
+function bucketLayout(min, max, { buckets, bucketSize }) {
+  let start = min;
+  let width;
+  let count;
+  if (bucketSize) {
+    start = Math.floor(min / bucketSize) * bucketSize;
+    width = bucketSize;
+    count = bucketCount(min, max, bucketSize);
+    if (count > MAX_BUCKETS) {
+      throw new ValidationError([bucketCountError(count)], 'Invalid query parameters');
+    }
+  } else {
+    width = (max - min) / buckets || 1;
+    count = buckets;
+  }
+
+  return {
+    start,
+    width,
+    count,
+    bucketOf: price => Math.min(Math.floor((price - start) / width), count - 1),
+    ranges: Array.from({ length: count }, (_, i) => ({
+      min: round(start + i * width),
+      max: round(start + (i + 1) * width)
+    }))
+  };
+}
+
+/**
+ * Price histogram over an ascending array
+ * Buckets are laid out by bucketLayout. The last bucket includes its upper
+ * bound; the others don't. Bucket edges are found by binary search, so the
+ * cost depends on the number of buckets rather than the number of prices.
+ * @returns {Array<{min: number, max: number, count: number}>}
+ */
+function histogram(sorted, options) {
+  if (sorted.length === 0) return [];
+
+  const { count, bucketOf, ranges } = bucketLayout(sorted[0], sorted[sorted.length - 1], options);
+
+  let from = 0;
+  return ranges.map((range, i) => {
+    const to = i === count - 1 ? sorted.length : firstPassing(sorted, price => bucketOf(price) > i);
+    const bucket = { ...range, count: to - from };
+    from = to;
+    return bucket;
+  });
+}
+
+module.exports = {
+  MAX_BUCKETS,
+  round,
+  percentile,
+  insertionPoint,
+  bucketCount,
+  bucketCountError,
+  bucketLayout,
+  histogram
+};
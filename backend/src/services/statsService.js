@@ -1,117 +1,175 @@
-const fs = require('fs');
-const path = require('path');
+const { getRepository } = require('../storage');
+const { round, percentile, histogram } = require('./statsMath');
+const { isDeleted } = require('../storage/softDelete');
 
-const DATA_FILE = path.join(__dirname, '../../data/items.json');
-
-// In-memory cache for stats
-let statsCache = null;
-let statsCacheTimestamp = 0;
-let cacheTimeout = null;
-
-const CACHE_TTL = 60000; // 60 seconds
-
-// File watcher to invalidate cache when data changes
-let watcher = null;
+// Largest difference tolerated between a served and a recomputed value, in
+// cents; running sums can differ from a fresh sum in the last rounded digit
+const VERIFY_TOLERANCE_CENTS = 1;
 
 /**
- * Initialize file watcher to invalidate cache on file changes
+ * Count, price range, average and total value for a list of prices
  */
-function initFileWatcher() {
-  if (watcher) {
-    watcher.close();
-  }
-
-  watcher = fs.watch(DATA_FILE, { persistent: false }, (eventType) => {
-    if (eventType === 'change') {
-      console.log('Data file changed, invalidating cache...');
-      invalidateCache();
-    }
+function summarizePrices(prices) {
+  const total = prices.reduce((a, b) => a + b, 0);
+  let min = Infinity;
+  let max = -Infinity;
+  prices.forEach(price => {
+    if (price < min) min = price;
+    if (price > max) max = price;
   });
+
+  return {
+    count: prices.length,
+    minPrice: prices.length > 0 ? min : 0,
+    maxPrice: prices.length > 0 ? max : 0,
+    averagePrice: prices.length > 0 ? round(total / prices.length) : 0,
+    totalValue: round(total)
+  };
 }
 
 /**
  * Calculate statistics from items array
+ * @param {Array} items - Items to summarize; those marked deleted are left out
+ * @param {Object} options
+ *   - groupBy: 'category' adds per-category price breakdowns
+ *   - buckets: number of equal-width price histogram buckets
+ *   - bucketSize: price histogram bucket width (instead of buckets)
  */
-function calculateStats(items) {
-  if (!Array.isArray(items) || items.length === 0) {
+function calculateStats(records, { groupBy, buckets, bucketSize } = {}) {
+  const items = Array.isArray(records) ? records.filter(item => !isDeleted(item)) : [];
+  if (items.length === 0) {
     return {
       totalItems: 0,
       averagePrice: 0,
       minPrice: 0,
       maxPrice: 0,
-      categories: {}
+      medianPrice: 0,
+      percentiles: { p25: 0, p75: 0, p90: 0 },
+      standardDeviation: 0,
+      totalValue: 0,
+      categories: {},
+      ...(groupBy === 'category' && { byCategory: {} }),
+      ...((buckets || bucketSize) && { histogram: [] })
     };
   }
 
   const prices = items
     .map(item => parseFloat(item.price))
-    .filter(price => !isNaN(price));
+    .filter(price => !isNaN(price))
+    .sort((a, b) => a - b);
   
   const categories = {};
+  const categoryPrices = {};
   items.forEach(item => {
     const category = item.category || 'uncategorized';
     categories[category] = (categories[category] || 0) + 1;
+
+    const price = parseFloat(item.price);
+    if (!isNaN(price)) {
+      (categoryPrices[category] = categoryPrices[category] || []).push(price);
+    }
   });
 
-  return {
+  const summary = summarizePrices(prices);
+  const mean = prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0;
+  const variance = prices.length > 0
+    ? prices.reduce((sum, price) => sum + (price - mean) ** 2, 0) / prices.length
+    : 0;
+
+  const stats = {
     totalItems: items.length,
-    averagePrice: prices.length > 0 
-      ? parseFloat((prices.reduce((a, b) => a + b, 0) / prices.length).toFixed(2))
-      : 0,
-    minPrice: prices.length > 0 ? Math.min(...prices) : 0,
-    maxPrice: prices.length > 0 ? Math.max(...prices) : 0,
+    averagePrice: summary.averagePrice,
+    minPrice: summary.minPrice,
+    maxPrice: summary.maxPrice,
+    medianPrice: percentile(prices, 50),
+    percentiles: {
+      p25: percentile(prices, 25),
+      p75: percentile(prices, 75),
+      p90: percentile(prices, 90)
+    },
+    standardDeviation: round(Math.sqrt(variance)),
+    totalValue: summary.totalValue,
     categories
   };
+
+  if (groupBy === 'category') {
+    stats.byCategory = {};
+    Object.keys(categories).forEach(category => {
+      stats.byCategory[category] = summarizePrices(categoryPrices[category] || []);
+    });
+  }
+
+  if (buckets || bucketSize) {
+    stats.histogram = histogram(prices, { buckets, bucketSize });
+  }
+
+  return stats;
 }
 
 /**
- * Get cached stats or calculate and cache new stats
+ * Get stats from the configured storage
+ * Unfiltered stats don't recompute over all items: the JSON store keeps
+ * running aggregates and SQLite answers with aggregate queries.
+ * @param {Object} options - calculateStats options
+ * @param {Object} filters - Search and filter params restricting the items
  */
-async function getCachedStats(getItemsFn) {
-  const now = Date.now();
-  
-  // Return cached stats if still valid
-  if (statsCache && (now - statsCacheTimestamp) < CACHE_TTL) {
-    return statsCache;
-  }
-
-  // Calculate new stats
-  const items = await getItemsFn();
-  statsCache = calculateStats(items);
-  statsCacheTimestamp = now;
+function getStats(options = {}, filters = {}) {
+  return getRepository().stats(options, filters);
+}
 
-  // Initialize file watcher on first cache
-  if (!watcher) {
-    initFileWatcher();
+function sameValue(expected, actual) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return Math.round(Math.abs(expected - actual) * 100) <= VERIFY_TOLERANCE_CENTS;
   }
+  return expected === actual;
+}
 
-  // Set timeout to invalidate cache
-  if (cacheTimeout) {
-    clearTimeout(cacheTimeout);
-  }
-  cacheTimeout = setTimeout(() => {
-    statsCache = null;
-    statsCacheTimestamp = 0;
-  }, CACHE_TTL);
+/**
+ * List the values that differ between two stats objects
+ */
+function diffStats(expected, actual, prefix = '') {
+  const keys = new Set([...Object.keys(expected || {}), ...Object.keys(actual || {})]);
+  const differences = [];
+
+  keys.forEach(key => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const want = expected ? expected[key] : undefined;
+    const got = actual ? actual[key] : undefined;
+
+    if (want && got && typeof want === 'object' && typeof got === 'object') {
+      differences.push(...diffStats(want, got, field));
+    } else if (!sameValue(want, got)) {
+      differences.push({ field, expected: want, actual: got });
+    }
+  });
 
-  return statsCache;
+  return differences;
 }
 
 /**
- * Invalidate the stats cache
+ * Check the stats storage serves against a full recompute over all items
+ * If they have drifted, anything derived is dropped and rebuilt.
+ * @param {Object} options - calculateStats options to compare with
+ * @returns {Object} { consistent, differences: [{ field, expected, actual }], rebuilt }
  */
-function invalidateCache() {
-  statsCache = null;
-  statsCacheTimestamp = 0;
-  if (cacheTimeout) {
-    clearTimeout(cacheTimeout);
-    cacheTimeout = null;
+async function verifyStats(options = { groupBy: 'category', buckets: 10 }) {
+  const repository = getRepository();
+  const served = await repository.stats(options);
+  const differences = diffStats(calculateStats(await repository.list(), options), served);
+
+  if (differences.length > 0) {
+    await repository.refresh();
   }
+
+  return {
+    consistent: differences.length === 0,
+    differences,
+    rebuilt: differences.length > 0
+  };
 }
 
 module.exports = {
   calculateStats,
-  getCachedStats,
-  invalidateCache
+  getStats,
+  verifyStats
 };
-
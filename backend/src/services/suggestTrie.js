@@ -0,0 +1,123 @@
+/**
+ * Prefix trie for search-as-you-type completions
+ * Every node keeps its best completions precomputed, so a lookup only
+ * walks the prefix and never scans the subtree
+ */
+
+// Completions stored per node; also the largest limit a lookup can ask for
+const MAX_COMPLETIONS = 20;
+
+/**
+ * Order completions: matches at the start of the text first, then names
+ * before categories, then more popular categories, then alphabetically
+ */
+function compareEntries(a, b) {
+  return (a.wordIndex === 0 ? 0 : 1) - (b.wordIndex === 0 ? 0 : 1) ||
+    (a.type === 'name' ? 0 : 1) - (b.type === 'name' ? 0 : 1) ||
+    (b.count || 0) - (a.count || 0) ||
+    a.value.localeCompare(b.value);
+}
+
+function createNode() {
+  return { children: new Map(), top: [] };
+}
+
+/**
+ * Record an entry on a node's precomputed completion list
+ */
+function addToNode(node, entry) {
+  const existing = node.top.findIndex(e => e.key === entry.key);
+  if (existing !== -1) {
+    // Same completion reached through another word: keep the better match
+    if (compareEntries(entry, node.top[existing]) >= 0) return;
+    node.top.splice(existing, 1);
+  }
+
+  node.top.push(entry);
+  node.top.sort(compareEntries);
+  if (node.top.length > MAX_COMPLETIONS) {
+    node.top.pop();
+  }
+}
+
+/**
+ * Insert an entry under every word start of its text, so "mou" completes
+ * "Wireless Mouse" as well as "Mouse Pad"
+ */
+function insert(root, entry) {
+  const text = entry.value.toLowerCase();
+  const starts = [0];
+  for (let i = 1; i < text.length; i++) {
+    if (/\s/.test(text[i - 1]) && !/\s/.test(text[i])) starts.push(i);
+  }
+
+  starts.forEach((start, wordIndex) => {
+    const scoped = { ...entry, wordIndex };
+    let node = root;
+    for (const char of text.slice(start)) {
+      if (!node.children.has(char)) {
+        node.children.set(char, createNode());
+      }
+      node = node.children.get(char);
+      addToNode(node, scoped);
+    }
+  });
+}
+
+/**
+ * Build a completion trie from item names and categories
+ * @param {Array} items - Items to index
+ * @returns {Object} Trie root
+ */
+function buildTrie(items) {
+  const root = createNode();
+  const categoryCounts = new Map();
+
+  items.forEach(item => {
+    if (item.name) {
+      insert(root, { key: `name:${item.id}`, type: 'name', value: item.name, id: item.id });
+    }
+    if (item.category) {
+      categoryCounts.set(item.category, (categoryCounts.get(item.category) || 0) + 1);
+    }
+  });
+
+  categoryCounts.forEach((count, category) => {
+    insert(root, { key: `category:${category}`, type: 'category', value: category, count });
+  });
+
+  return root;
+}
+
+/**
+ * Look up the best completions for a prefix
+ * @param {Object} trie - Root from buildTrie
+ * @param {string} prefix - Text typed so far
+ * @param {number} limit - Max completions to return
+ * @returns {Array<{type: string, value: string, id?: number, count?: number}>}
+ */
+function complete(trie, prefix, limit = 8) {
+  const text = String(prefix || '').toLowerCase().replace(/\s+/g, ' ').trimStart();
+  if (!text) {
+    return [];
+  }
+
+  let node = trie;
+  for (const char of text) {
+    node = node.children.get(char);
+    if (!node) return [];
+  }
+
+  return node.top.slice(0, limit).map(({ type, value, id, count }) => ({
+    type,
+    value,
+    ...(id !== undefined && { id }),
+    ...(count !== undefined && { count })
+  }));
+}
+
+module.exports = {
+  MAX_COMPLETIONS,
+  buildTrie,
+  complete
+};
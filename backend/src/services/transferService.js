@@ -0,0 +1,115 @@
+const { getRepository } = require('../storage');
+const { validate } = require('../validation/schema');
+const { importRowSchema } = require('../validation/itemSchema');
+const { serializer, parseItems } = require('./itemFormats');
+
+/**
+ * Bulk import and export of the catalog (formats in itemFormats.js)
+ */
+
+// Export output is gathered into chunks of about this many characters
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Export matching items, one chunk of text at a time
+ * Items are read from storage as they are written out, so the whole export
+ * is never held in memory.
+ * @param {Object} params - Search, filters and sort, as for GET /api/items
+ * @param {string} format - csv, json or ndjson
+ * @returns {AsyncGenerator<string>} Chunks of the file
+ */
+async function* exportItems(params, format) {
+  const { header, row, footer } = serializer(format);
+  let chunk = header;
+  let index = 0;
+
+  for await (const item of getRepository().iterate(params)) {
+    const { score, ...fields } = item;
+    chunk += row(fields, index++);
+    if (chunk.length >= CHUNK_SIZE) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+
+  yield chunk + footer;
+}
+
+/**
+ * Check parsed rows against the import row schema
+ * Rows repeating an id already used by an earlier row are rejected.
+ */
+function checkRows(parsed, format) {
+  const rowOfId = new Map();
+
+  return parsed.map(({ row, record, error }) => {
+    if (error) {
+      return { row, errors: [{ field: '', message: error }] };
+    }
+
+    // CSV cells are all text; JSON values must already have the right types
+    const { value, errors } = validate(importRowSchema, record, { coerce: format === 'csv' });
+    if (errors.length === 0 && value.id !== undefined) {
+      if (rowOfId.has(value.id)) {
+        errors.push({ field: 'id', message: `repeats the id of row ${rowOfId.get(value.id)}` });
+      } else {
+        rowOfId.set(value.id, row);
+      }
+    }
+
+    return errors.length > 0 ? { row, errors } : { row, record: value };
+  });
+}
+
+/**
+ * Import items from a catalog file
+ * Rows with an id update that item (or create it with that id); rows
+ * without one create new items. All accepted rows are written at once.
+ * - upsert mode writes the accepted rows and reports the rest as rejected
+ * - replace mode also deletes every item the file doesn't list, and writes
+ *   nothing if any row is rejected
+ * @param {string} text - File contents
+ * @param {Object} options - { format, mode: 'upsert' | 'replace', dryRun, meta }
+ * @returns {Promise<Object>} Report: { format, mode, dryRun, applied,
+ *   summary: { rows, created, updated, unchanged, rejected, deleted },
+ *   rows: [{ row, status, id } | { row, status: 'rejected', errors }], deleted: [id] }
+ * @throws {SyntaxError} When a JSON body can't be parsed at all
+ */
+async function importItems(text, { format, mode = 'upsert', dryRun = false, meta }) {
+  const checked = checkRows(parseItems(text, format), format);
+  const accepted = checked.filter(row => row.record);
+  const rejected = checked.length - accepted.length;
+  const applied = !dryRun && !(mode === 'replace' && rejected > 0);
+
+  const { outcomes, deleted } = await getRepository().upsert(
+    accepted.map(row => row.record),
+    { replace: mode === 'replace', dryRun: !applied, meta }
+  );
+
+  const summary = { rows: checked.length, created: 0, updated: 0, unchanged: 0, rejected, deleted: deleted.length };
+  const outcomeOf = new Map(accepted.map((row, i) => [row, outcomes[i]]));
+
+  const rows = checked.map(row => {
+    if (row.errors) {
+      return { row: row.row, status: 'rejected', errors: row.errors };
+    }
+    const { status, item } = outcomeOf.get(row);
+    summary[status] += 1;
+    return { row: row.row, status, id: item.id };
+  });
+
+  return {
+    format,
+    mode,
+    dryRun,
+    applied,
+    summary,
+    rows,
+    deleted: deleted.map(item => item.id)
+  };
+}
+
+module.exports = {
+  exportItems,
+  importItems
+};
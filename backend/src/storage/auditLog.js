@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Append-only audit log kept in an NDJSON file
+ * One entry per line, each numbered (`seq`) one above the entry before.
+ * Appends are queued so entries land in order; reads wait for the queue.
+ * A torn last line (say, from a crash mid-append) is skipped when reading.
+ * The file is read once, on first use, into an index by seq and by item
+ * that appends keep up to date, so reads never go back to the file.
+ * @param {string} file - Path of the log file; created on the first append
+ * @returns {Object} { append(entries), flush(), entries(options), find(seq) }
+ */
+function createAuditLog(file) {
+  // The index, once the file has been read: { list, bySeq, byItem, lastSeq }
+  let loading = null;
+
+  // Tail of the append queue
+  let queue = Promise.resolve();
+
+  // Whether the log's directory has been made, on first append
+  let directoryMade = false;
+
+  /**
+   * Every entry written so far, oldest first
+   */
+  async function* readEntries() {
+    try {
+      await fs.promises.access(file);
+    } catch (error) {
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file, 'utf8'),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // Torn line; nothing to recover
+      }
+    }
+  }
+
+  function addToIndex(index, entry) {
+    index.list.push(entry);
+    index.bySeq.set(entry.seq, entry);
+    if (!index.byItem.has(entry.itemId)) {
+      index.byItem.set(entry.itemId, []);
+    }
+    index.byItem.get(entry.itemId).push(entry);
+    index.lastSeq = Math.max(index.lastSeq, entry.seq || 0);
+  }
+
+  /**
+   * The index, reading the file the first time
+   */
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        const index = { list: [], bySeq: new Map(), byItem: new Map(), lastSeq: 0 };
+        for await (const entry of readEntries()) {
+          addToIndex(index, entry);
+        }
+        return index;
+      })();
+      // Try the file again next time rather than keep the failure
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  /**
+   * Entries, oldest first, once queued appends are written
+   * @param {Object} options - { itemId } for one item's entries only
+   * @returns {Promise<Array<Object>>} Shared with the index; not to be changed
+   */
+  async function entries({ itemId } = {}) {
+    await queue;
+    const index = await load();
+    return itemId === undefined ? index.list : index.byItem.get(itemId) || [];
+  }
+
+  return {
+    /**
+     * Add entries to the end of the log
+     * @param {Array<Object>} records - Entries without their seq
+     * @returns {Promise<Array<Object>>} The entries as written
+     */
+    append(records) {
+      const run = queue.then(async () => {
+        const index = await load();
+        if (!directoryMade) {
+          await fs.promises.mkdir(path.dirname(file), { recursive: true });
+          directoryMade = true;
+        }
+
+        const written = records.map((record, i) => ({ seq: index.lastSeq + i + 1, ...record }));
+        await fs.promises.appendFile(file, written.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+        written.forEach(entry => addToIndex(index, entry));
+        return written;
+      });
+
+      // Keep the queue alive even if this append fails
+      queue = run.catch(error => console.error('Error writing audit log:', error));
+      return run;
+    },
+
+    /**
+     * Wait for queued appends to be written
+     */
+    flush() {
+      return queue;
+    },
+
+    entries,
+
+    /**
+     * One entry by number
+     * @returns {Promise<Object|undefined>}
+     */
+    async find(seq) {
+      await queue;
+      return (await load()).bySeq.get(seq);
+    }
+  };
+}
+
+module.exports = {
+  createAuditLog
+};
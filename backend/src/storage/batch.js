@@ -0,0 +1,101 @@
+const { validateRecords } = require('../validation/itemSchema');
+const { versionOf, unstamped, stamp } = require('./versioning');
+const { live, markDeleted } = require('./softDelete');
+
+/**
+ * The fields an operation may set
+ */
+function settable(fields) {
+  const { id, ...rest } = unstamped(fields);
+  return rest;
+}
+
+/**
+ * Work out what a batch of writes does, without writing anything
+ * Operations run in order, each seeing the ones before it. Every operation
+ * is checked, so a failed batch reports all of its problems.
+ *
+ * Operations:
+ *   { op: 'create', fields }
+ *   { op: 'update', id, fields, replace, ifVersion }   fields may be a function
+ *                                                     of the stored item
+ *   { op: 'delete', id, ifVersion }                   marks the item deleted
+ *                                                     (see softDelete.js)
+ *
+ * @param {Array} operations - Operations to run
+ * @param {Object} store - { lookup(id) giving the stored item or null, firstId for new items };
+ *   items marked deleted count as missing
+ * @returns {{ failed: boolean, results: Array, changes: Array }} A result per
+ *   operation, with an HTTP-style status (201, 200 or 204 when it worked;
+ *   400, 404 or 409 with an error when not), and the net { before, after }
+ *   change per item touched
+ */
+function planBatch(operations, { lookup, firstId }) {
+  // Items as earlier operations in the batch left them, and as they were stored
+  const working = new Map();
+  const stored = new Map();
+  let nextId = firstId;
+
+  const current = id => live(working.has(id) ? working.get(id) : lookup(id));
+
+  const write = (id, before, after) => {
+    if (!stored.has(id)) {
+      stored.set(id, before);
+    }
+    working.set(id, after);
+  };
+
+  const invalid = (op, item) => {
+    const [problem] = validateRecords([item]).invalid;
+    return problem && { op, id: item.id, status: 400, error: 'Item would be invalid', details: problem.errors };
+  };
+
+  const results = operations.map(operation => {
+    const { op, id, ifVersion } = operation;
+
+    if (op === 'create') {
+      const item = stamp({ ...settable(operation.fields), id: nextId });
+      const failure = invalid(op, item);
+      if (failure) {
+        return failure;
+      }
+      nextId += 1;
+      write(item.id, null, item);
+      return { op, id: item.id, status: 201, item };
+    }
+
+    const before = current(id);
+    if (!before) {
+      return { op, id, status: 404, error: 'Item not found' };
+    }
+    if (ifVersion && !ifVersion.includes(versionOf(before))) {
+      return { op, id, status: 409, error: 'Item has been changed since the version given', current: before };
+    }
+
+    if (op === 'delete') {
+      write(id, before, markDeleted(before));
+      return { op, id, status: 204 };
+    }
+
+    const fields = typeof operation.fields === 'function' ? operation.fields(before) : operation.fields;
+    const item = stamp({ ...(operation.replace ? {} : before), ...settable(fields), id }, before);
+    const failure = invalid(op, item);
+    if (failure) {
+      return failure;
+    }
+    write(id, before, item);
+    return { op, id, status: 200, item };
+  });
+
+  const changes = Array.from(stored, ([id, before]) => ({ before, after: working.get(id) }));
+
+  return {
+    failed: results.some(result => result.status >= 400),
+    results,
+    changes
+  };
+}
+
+module.exports = {
+  planBatch
+};
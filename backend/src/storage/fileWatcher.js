@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Watch a data file for changes made outside this process
+ * Watches the containing directory rather than the file itself, because
+ * atomic writes replace the file (rename) and a file watch would be left
+ * pointing at the old inode. The watch starts with the first listener.
+ * @param {string} file - Path of the file to watch
+ * @returns {Object} { onChange(listener) -> unsubscribe, recordOwnWrite(stats) }
+ */
+function createFileWatcher(file) {
+  // Callbacks to run when the file changes
+  const listeners = new Set();
+
+  let watcher = null;
+
+  // Inode and mtime of the file this process last wrote. Change events for it
+  // are not passed on: the writer has already brought its caches up to date.
+  let ownWrite = null;
+
+  /**
+   * Tell listeners about a change, unless the file is the one we wrote
+   */
+  function notify() {
+    fs.stat(file, (err, stats) => {
+      if (!err && ownWrite && stats.ino === ownWrite.ino && stats.mtimeMs === ownWrite.mtimeMs) {
+        return;
+      }
+      listeners.forEach(listener => listener());
+    });
+  }
+
+  function startWatcher() {
+    if (watcher) {
+      return;
+    }
+
+    watcher = fs.watch(path.dirname(file), { persistent: false }, (eventType, filename) => {
+      if (filename === path.basename(file)) {
+        notify();
+      }
+    });
+  }
+
+  /**
+   * Register a callback for file changes
+   * @param {Function} listener - Called with no arguments on every change
+   * @returns {Function} Unsubscribe function
+   */
+  function onChange(listener) {
+    listeners.add(listener);
+    startWatcher();
+
+    return () => {
+      listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Record a file this process is about to put in place of the watched one
+   * @param {fs.Stats} stats - Stats of the new file
+   */
+  function recordOwnWrite(stats) {
+    ownWrite = { ino: stats.ino, mtimeMs: stats.mtimeMs };
+  }
+
+  return { onChange, recordOwnWrite };
+}
+
+module.exports = {
+  createFileWatcher
+};
@@ -0,0 +1,90 @@
+const { STORAGE, DATA_FILE, SQLITE_FILE } = require('../config');
+
+/**
+ * Item storage
+ * Every backend implements the same repository interface, so the services
+ * never know where items live. All methods return promises.
+ *
+ *   list(options)                 All served items
+ *   get(id, options)              One item, or undefined
+ *   query(params)                 A page of search results for a validated
+ *                                 GET /api/items query: { items, pagination, facets?,
+ *                                 suggestions? }
+ *   iterate(params)               Async iterator over every item matching the search,
+ *                                 filters and sort of a GET /api/items query
+ *                                 Reads leave out items marked deleted, unless the options
+ *                                 or params say { deleted: 'include' | 'only' }
+ *   suggest(prefix, limit)        Typeahead completions: [{ type, value, id?, count? }]
+ *   stats(options, filters)       Stats as returned by GET /api/stats
+ *   create(fields)                The created item
+ *   update(id, fields, options)   The updated item, or null; { replace } swaps the whole item
+ *   delete(id, options)           Mark an item deleted (see softDelete.js): the marked
+ *                                 item, or null
+ *   restore(id, options)          Unmark a deleted item: the item, or null if there is
+ *                                 no deleted item with that id
+ *   purge(cutoff)                 Remove items deleted before a Date for good: the
+ *                                 removed items
+ *                                 Writes stamp items with a new version and updatedAt (see
+ *                                 versioning.js). With { ifVersion: [versions] }, update,
+ *                                 delete and restore throw VersionConflictError unless the
+ *                                 stored item has one of those versions. Writes treat items
+ *                                 marked deleted as missing
+ *   upsert(records, options)      Create or replace items by id (new ids for records
+ *                                 without one) in one write: { outcomes, deleted }, with
+ *                                 an outcome { status, item } per record, status being
+ *                                 created, updated or unchanged; a record for a deleted
+ *                                 item brings it back. { replace } deletes every item
+ *                                 not in the records; { dryRun } works out
+ *                                 the result without writing
+ *   batch(operations)             Run creates, updates and deletes all-or-nothing as one
+ *                                 write (see batch.js): { committed, results }
+ *   replaceAll(items)             Swap in a whole new set of items
+ *   check()                       Stored records that fail validation
+ *   version()                     Data version: { tag, modifiedAt }. The tag changes
+ *                                 whenever the stored items do
+ *   refresh()                     Drop anything derived from the stored items
+ *   watch(listener)               Subscribe to changes; returns an unsubscribe function.
+ *                                 Listeners get { type: 'change', changes: [{ before, after }], meta? }
+ *                                 for writes made here and { type: 'reset' } when the data
+ *                                 changed some other way
+ *   close()                       Release files and timers
+ *
+ * Every write method takes a `meta` option - who made the write and how -
+ * which is passed on unchanged in its change event.
+ */
+
+/**
+ * Create a repository for a storage backend
+ * @param {string} storage - "json" or "sqlite"
+ * @param {Object} files - { dataFile, sqliteFile } overriding the configured paths
+ * @returns {Object} Repository
+ */
+function createRepository(storage = STORAGE, { dataFile = DATA_FILE, sqliteFile = SQLITE_FILE } = {}) {
+  switch (storage) {
+    case 'json':
+      return require('./jsonFileRepository').createJsonFileRepository(dataFile);
+    case 'sqlite':
+      return require('./sqliteRepository').createSqliteRepository(sqliteFile);
+    default:
+      throw new Error(`Unknown storage backend "${storage}"`);
+  }
+}
+
+// The configured repository, created on first use
+let repository = null;
+
+/**
+ * Get the repository for the configured storage backend
+ * @returns {Object} Repository
+ */
+function getRepository() {
+  if (!repository) {
+    repository = createRepository();
+  }
+  return repository;
+}
+
+module.exports = {
+  createRepository,
+  getRepository
+};
@@ -0,0 +1,483 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createFileWatcher } = require('./fileWatcher');
+const { buildIndex } = require('../services/searchIndex');
+const { buildTrie, complete } = require('../services/suggestTrie');
+const { queryItems, appliedFilters, getSuggestions } = require('../services/searchService');
+const { searchOnly, facetsOf } = require('../services/facets');
+const { paginateByOffset, paginateByCursor } = require('../services/paginationService');
+const { createStatsAggregate } = require('../services/statsAggregate');
+const { validateRecords } = require('../validation/itemSchema');
+const { unstamped, stamp, sameContent, checkVersion } = require('./versioning');
+const { planBatch } = require('./batch');
+const { isDeleted, live, inScope, markDeleted, unmarkDeleted, purgeable } = require('./softDelete');
+const cache = require('../cache');
+
+/**
+ * Next free id - one past the highest existing id
+ */
+function nextId(items) {
+  return items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+}
+
+/**
+ * Remove fields clients are not allowed to set
+ */
+function sanitize(fields) {
+  const { id, ...rest } = unstamped(fields);
+  return rest;
+}
+
+/**
+ * The record as the caches see it - null if it fails validation and isn't served
+ */
+function served(record) {
+  return record && validateRecords([record]).valid.length > 0 ? record : null;
+}
+
+/**
+ * In-memory view of the served records: all of them, the live items with a
+ * search index and completion trie over them, and indexes for reads that
+ * take in deleted items, built when first needed
+ */
+function buildSnapshot(records) {
+  const items = records.filter(item => !isDeleted(item));
+  const indexes = { exclude: buildIndex(items) };
+
+  return {
+    records,
+    items,
+    index: indexes.exclude,
+    trie: buildTrie(items),
+    indexFor(deleted = 'exclude') {
+      if (!indexes[deleted]) {
+        indexes[deleted] = buildIndex(records.filter(item => inScope(item, deleted)));
+      }
+      return indexes[deleted];
+    }
+  };
+}
+
+/**
+ * Apply item changes to a snapshot
+ * Items are matched by id, so applying a change twice has no further effect.
+ * Updated items keep their place and new ones go on the end.
+ */
+function patchSnapshot(snapshot, changes) {
+  const byId = new Map(snapshot.records.map(item => [item.id, item]));
+
+  changes.forEach(({ before, after }) => {
+    const id = (before || after).id;
+    if (after) {
+      byId.set(id, after);
+    } else {
+      byId.delete(id);
+    }
+  });
+
+  return buildSnapshot(Array.from(byId.values()));
+}
+
+// Snapshots and running stats aggregates, keyed by data file. Writes update
+// both in place; a change to the file from elsewhere drops them.
+const snapshots = cache.namespace('items', { onChange: patchSnapshot });
+const aggregates = cache.namespace('stats', {
+  onChange: (aggregate, changes) => {
+    changes.forEach(({ before, after }) => aggregate.apply(live(before), live(after)));
+    return aggregate;
+  }
+});
+
+/**
+ * Item repository backed by a JSON file
+ * The whole file is held in memory, with a search index, a completion trie
+ * and running stats aggregates over it (see cache.js for their lifetimes).
+ * Searching, paging and stats all run against those in-memory structures.
+ * @param {string} file - Path of the JSON data file
+ * @returns {Object} Repository (see storage/index.js for the interface)
+ */
+function createJsonFileRepository(file) {
+  const fileWatcher = createFileWatcher(file);
+
+  // Repository watch() listeners
+  const listeners = new Set();
+
+  // Unsubscribe handle for the file watcher
+  let unwatchFile = null;
+
+  // Tail of the write queue - every write chains onto it so they never overlap
+  let writeQueue = Promise.resolve();
+
+  // Data version: the file's mtime when first asked for, plus the number of
+  // changes seen since. Bumped in the same tick the caches are, so a version
+  // is never newer than the data served under it.
+  let revision = null;
+
+  /**
+   * Move the data version on
+   */
+  function bumpRevision() {
+    if (revision) {
+      revision.count += 1;
+      revision.modifiedAt = new Date();
+    }
+  }
+
+  /**
+   * Report a change: the caches hear about it first, then watchers
+   */
+  function emit(event) {
+    cache.invalidate(file, event);
+    bumpRevision();
+    listeners.forEach(listener => listener(event));
+  }
+
+  /**
+   * Reload whenever the file changes on disk
+   */
+  function watchFile() {
+    if (!unwatchFile) {
+      unwatchFile = fileWatcher.onChange(() => emit({ type: 'reset' }));
+    }
+  }
+
+  /**
+   * Read and parse the data file, bypassing the cache
+   */
+  async function readItemsFile() {
+    try {
+      const data = await fs.readFile(file, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('Error reading items file:', error);
+      throw new Error('Failed to read items data');
+    }
+  }
+
+  /**
+   * Atomically replace the data file
+   * Writes to a temp file in the same directory, then renames it over the
+   * original so readers never see a half-written file
+   */
+  async function writeItemsFile(items) {
+    const tmpFile = path.join(
+      path.dirname(file),
+      `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`
+    );
+
+    try {
+      await fs.writeFile(tmpFile, JSON.stringify(items, null, 2) + '\n', 'utf8');
+      // The rename keeps the inode and mtime, so the watcher can tell it's ours
+      fileWatcher.recordOwnWrite(await fs.stat(tmpFile));
+      await fs.rename(tmpFile, file);
+    } catch (error) {
+      await fs.unlink(tmpFile).catch(() => {});
+      console.error('Error writing items file:', error);
+      throw new Error('Failed to write items data');
+    }
+  }
+
+  /**
+   * Get the current snapshot, reading the file on a cache miss
+   * Records that fail schema validation are never served.
+   */
+  function load() {
+    watchFile();
+    return snapshots.get(file, async () => {
+      // Let a write in progress finish first, so its change isn't applied
+      // on top of a snapshot that already contains it
+      await writeQueue;
+      return buildSnapshot(validateRecords(await readItemsFile()).valid);
+    });
+  }
+
+  /**
+   * Get the running stats aggregates, building them on a cache miss
+   */
+  function getAggregate() {
+    return aggregates.get(file, async () => createStatsAggregate((await load()).items));
+  }
+
+  /**
+   * Run a read-modify-write cycle against the data file
+   * Mutations are serialized so concurrent writes don't clobber each other.
+   * The mutator receives a fresh copy of the items and returns
+   * { items, changes, result }; when it returns items the file is rewritten
+   * and a change event goes out. `changes` lists the touched items as
+   * { before, after } pairs so the caches can be updated item by item;
+   * without it they are dropped. `meta` (who made the write, and how) is
+   * passed on with the change event.
+   */
+  function mutate(mutator, meta) {
+    const run = writeQueue.then(async () => {
+      const current = await readItemsFile();
+      const { items, changes, result } = mutator(current);
+
+      if (items) {
+        await writeItemsFile(items);
+        emit(changes
+          ? {
+            type: 'change',
+            changes: changes.map(({ before, after }) => ({ before: served(before), after: served(after) })),
+            ...(meta && { meta })
+          }
+          : { type: 'reset' });
+      }
+
+      return result;
+    });
+
+    // Keep the queue alive even if this write fails
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Position of a live item in a list of stored items, or -1
+   */
+  function findLive(items, id) {
+    return items.findIndex(i => i.id === id && !isDeleted(i));
+  }
+
+  return {
+    async list({ deleted } = {}) {
+      const { records } = await load();
+      return records.filter(item => inScope(item, deleted));
+    },
+
+    async get(id, { deleted } = {}) {
+      const { records } = await load();
+      return records.find(i => i.id === id && inScope(i, deleted));
+    },
+
+    async query(params) {
+      const { page, limit, q, paging, cursor, sort, facets } = params;
+      const index = (await load()).indexFor(params.deleted);
+      const matched = queryItems(index, params);
+
+      const result = paging === 'cursor' || cursor
+        ? paginateByCursor(matched, { sort, cursor, limit, query: appliedFilters(params) })
+        : paginateByOffset(matched, { page, limit });
+
+      return {
+        ...result,
+        ...(facets && { facets: facetsOf(queryItems(index, searchOnly(params)), params) }),
+        ...(q && { suggestions: getSuggestions(index, q, matched.length, params) })
+      };
+    },
+
+    async *iterate(params) {
+      const index = (await load()).indexFor(params.deleted);
+      yield* queryItems(index, params);
+    },
+
+    async suggest(prefix, limit) {
+      return complete((await load()).trie, prefix, limit);
+    },
+
+    async stats(options, filters = {}) {
+      if (Object.keys(appliedFilters(filters)).length > 0) {
+        const { index } = await load();
+        return createStatsAggregate(queryItems(index, filters)).snapshot(options);
+      }
+      return (await getAggregate()).snapshot(options);
+    },
+
+    create(fields, { meta } = {}) {
+      return mutate(items => {
+        const item = stamp({ id: nextId(items), ...sanitize(fields) });
+        return {
+          items: [...items, item],
+          changes: [{ before: null, after: item }],
+          result: item
+        };
+      }, meta);
+    },
+
+    update(id, fields, { replace = false, ifVersion, meta } = {}) {
+      return mutate(items => {
+        const index = findLive(items, id);
+        if (index === -1) {
+          return { result: null };
+        }
+        checkVersion(items[index], ifVersion);
+
+        const base = replace ? {} : items[index];
+        const item = stamp({ ...base, ...sanitize(fields), id }, items[index]);
+        const next = items.slice();
+        next[index] = item;
+        return {
+          items: next,
+          changes: [{ before: items[index], after: item }],
+          result: item
+        };
+      }, meta);
+    },
+
+    delete(id, { ifVersion, meta } = {}) {
+      return mutate(items => {
+        const index = findLive(items, id);
+        if (index === -1) {
+          return { result: null };
+        }
+        checkVersion(items[index], ifVersion);
+
+        const item = markDeleted(items[index]);
+        const next = items.slice();
+        next[index] = item;
+        return {
+          items: next,
+          changes: [{ before: items[index], after: item }],
+          result: item
+        };
+      }, meta);
+    },
+
+    restore(id, { ifVersion, meta } = {}) {
+      return mutate(items => {
+        const index = items.findIndex(i => i.id === id && isDeleted(i));
+        if (index === -1) {
+          return { result: null };
+        }
+        checkVersion(items[index], ifVersion);
+
+        const item = unmarkDeleted(items[index]);
+        const next = items.slice();
+        next[index] = item;
+        return {
+          items: next,
+          changes: [{ before: items[index], after: item }],
+          result: item
+        };
+      }, meta);
+    },
+
+    purge(cutoff, { meta } = {}) {
+      return mutate(items => {
+        const purged = items.filter(item => purgeable(item, cutoff));
+        return {
+          items: purged.length > 0 ? items.filter(item => !purgeable(item, cutoff)) : undefined,
+          changes: purged.map(item => ({ before: item, after: null })),
+          result: purged
+        };
+      }, meta);
+    },
+
+    upsert(records, { replace = false, dryRun = false, meta } = {}) {
+      return mutate(items => {
+        const positions = new Map(items.map((item, i) => [item.id, i]));
+        const next = items.slice();
+        const changes = [];
+        const kept = new Set();
+        let id = Math.max(nextId(items), nextId(records));
+
+        const outcomes = records.map(record => {
+          const itemId = record.id === undefined ? id++ : record.id;
+          const position = positions.get(itemId);
+          const before = position === undefined ? null : items[position];
+          kept.add(itemId);
+
+          if (live(before) && sameContent(before, record)) {
+            return { status: 'unchanged', item: before };
+          }
+
+          // A record for a deleted item brings it back
+          const item = stamp({ ...sanitize(record), id: itemId }, before);
+          if (before) {
+            next[position] = item;
+          } else {
+            next.push(item);
+          }
+          changes.push({ before, after: item });
+          return { status: live(before) ? 'updated' : 'created', item };
+        });
+
+        const deleted = replace
+          ? items.filter(item => !kept.has(item.id) && !isDeleted(item)).map(markDeleted)
+          : [];
+        deleted.forEach(item => {
+          next[positions.get(item.id)] = item;
+          changes.push({ before: items[positions.get(item.id)], after: item });
+        });
+
+        return {
+          items: dryRun || changes.length === 0 ? undefined : next,
+          changes,
+          result: { outcomes, deleted }
+        };
+      }, meta);
+    },
+
+    batch(operations, { meta } = {}) {
+      return mutate(items => {
+        const positions = new Map(items.map((item, i) => [item.id, i]));
+        const { failed, results, changes } = planBatch(operations, {
+          lookup: id => (positions.has(id) ? items[positions.get(id)] : null),
+          firstId: nextId(items)
+        });
+        if (failed || changes.length === 0) {
+          return { result: { committed: !failed, results } };
+        }
+
+        const next = items.slice();
+        changes.forEach(({ before, after }) => {
+          if (before) {
+            next[positions.get(before.id)] = after;
+          } else {
+            next.push(after);
+          }
+        });
+
+        return {
+          items: next,
+          changes,
+          result: { committed: true, results }
+        };
+      }, meta);
+    },
+
+    replaceAll(records) {
+      return mutate(() => ({ items: records, result: records.length }));
+    },
+
+    async check() {
+      return validateRecords(await readItemsFile()).invalid;
+    },
+
+    async version() {
+      watchFile();
+      if (!revision) {
+        const { mtime } = await fs.stat(file);
+        revision = revision || { base: mtime.getTime(), count: 0, modifiedAt: mtime };
+      }
+      return { tag: `${revision.base}-${revision.count}`, modifiedAt: revision.modifiedAt };
+    },
+
+    async refresh() {
+      // Rebuilt stats may differ from what was served under the old version
+      cache.invalidate(file);
+      bumpRevision();
+    },
+
+    watch(listener) {
+      listeners.add(listener);
+      watchFile();
+
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    async close() {
+      if (unwatchFile) {
+        unwatchFile();
+        unwatchFile = null;
+      }
+      listeners.clear();
+    }
+  };
+}
+
+module.exports = {
+  createJsonFileRepository
+};
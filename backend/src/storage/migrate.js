@@ -0,0 +1,52 @@
+const path = require('path');
+const { DATA_FILE, SQLITE_FILE } = require('../config');
+const { createRepository } = require('./index');
+
+/**
+ * Import items.json into the SQLite database
+ * The database's items are replaced by the file's, deleted ones included.
+ * Records that fail schema validation are skipped and reported.
+ * @param {Object} options - { from: JSON data file, to: SQLite database file }
+ * @returns {Object} { imported, skipped: [{ index, id, errors }] }
+ */
+async function migrate({ from = DATA_FILE, to = SQLITE_FILE } = {}) {
+  const source = createRepository('json', { dataFile: from });
+  const target = createRepository('sqlite', { sqliteFile: to });
+
+  try {
+    const skipped = await source.check();
+    const imported = await target.replaceAll(await source.list({ deleted: 'include' }));
+    return { imported, skipped };
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+// npm run migrate -- [--from items.json] [--to items.db]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? path.resolve(args[index + 1]) : undefined;
+  };
+  const from = option('from') || DATA_FILE;
+  const to = option('to') || SQLITE_FILE;
+
+  migrate({ from, to })
+    .then(({ imported, skipped }) => {
+      skipped.forEach(({ index, id, errors }) => {
+        const problems = errors.map(e => `${e.field} ${e.message}`).join('; ');
+        console.warn(`Skipped malformed item at index ${index} (id: ${id}): ${problems}`);
+      });
+      console.log(`Imported ${imported} item(s) from ${from} into ${to}`);
+    })
+    .catch(error => {
+      console.error('Migration failed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  migrate
+};
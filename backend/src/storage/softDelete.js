@@ -0,0 +1,64 @@
+const { stamp } = require('./versioning');
+
+/**
+ * Soft deletion
+ * Deleting an item marks it with a `deletedAt` time instead of removing it.
+ * The mark is a write like any other, so the item gets a new version. Marked
+ * items are left out of everything served unless a read asks for them, and
+ * writes treat them as missing. They are only removed for good by a purge.
+ */
+
+// Which items a read covers: live ones (the default), all, or only deleted ones
+const DELETED_MODES = ['exclude', 'include', 'only'];
+
+/**
+ * Whether an item is marked deleted
+ */
+const isDeleted = item => Boolean(item && item.deletedAt);
+
+/**
+ * The item if it is live, otherwise null
+ */
+const live = item => (item && !item.deletedAt ? item : null);
+
+/**
+ * Whether an item is covered by a read
+ * @param {string} deleted - One of DELETED_MODES
+ */
+function inScope(item, deleted = 'exclude') {
+  return deleted === 'include' || (deleted === 'only') === isDeleted(item);
+}
+
+/**
+ * The item as stored once deleted
+ */
+function markDeleted(item) {
+  const stamped = stamp(item, item);
+  return { ...stamped, deletedAt: stamped.updatedAt };
+}
+
+/**
+ * The item as stored once brought back from the trash
+ */
+function unmarkDeleted(item) {
+  const { deletedAt, ...rest } = item;
+  return stamp(rest, item);
+}
+
+/**
+ * Whether an item was deleted before a time, so may be purged
+ * @param {Date} cutoff
+ */
+function purgeable(item, cutoff) {
+  return isDeleted(item) && Date.parse(item.deletedAt) < cutoff.getTime();
+}
+
+module.exports = {
+  DELETED_MODES,
+  isDeleted,
+  live,
+  inScope,
+  markDeleted,
+  unmarkDeleted,
+  purgeable
+};
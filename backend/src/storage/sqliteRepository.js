@@ -0,0 +1,811 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  FIELD_WEIGHTS,
+  MAX_FUZZINESS,
+  autoFuzziness,
+  parseQuery,
+  similarTerms,
+  correctQuery
+} = require('../services/searchIndex');
+const { SUGGESTION_THRESHOLD, appliedFilters } = require('../services/searchService');
+const { cursorSortKeys, queryFingerprint, encodeCursor, decodeCursor } = require('../services/paginationService');
+const { createStatsAggregate } = require('../services/statsAggregate');
+const { round, bucketLayout } = require('../services/statsMath');
+const { PRICE_BANDS, categoryFacet, priceFacet } = require('../services/facets');
+const { validateRecords } = require('../validation/itemSchema');
+const { unstamped, stamp, sameContent, checkVersion } = require('./versioning');
+const { planBatch } = require('./batch');
+const { isDeleted, live, inScope, markDeleted, unmarkDeleted } = require('./softDelete');
+const cache = require('../cache');
+
+// How often to look for commits made by other connections, once anything
+// is cached or watched
+const POLL_INTERVAL = 1000;
+
+// Rows fetched per query while iterating over a result set
+const ITERATE_BATCH = 500;
+
+/**
+ * Items live in a plain table; the full record is kept as JSON in `data`, with
+ * the queried fields copied into columns. items_fts is an external-content
+ * full-text index kept in step by triggers, and items_vocab exposes its terms
+ * for fuzzy matching and "did you mean". The single row in `revision` is the
+ * data version; triggers bump it on every write, whichever connection makes it.
+ * Items marked deleted keep their rows (and full-text entries), with
+ * `deleted_at` set.
+ */
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS items (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    price REAL NOT NULL,
+    category TEXT NOT NULL,
+    deleted_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS items_price ON items (price);
+  CREATE INDEX IF NOT EXISTS items_category ON items (category, price);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5(
+    name, description, category, content='items', content_rowid='id'
+  );
+  CREATE VIRTUAL TABLE IF NOT EXISTS items_vocab USING fts5vocab(items_fts, 'row');
+
+  CREATE TRIGGER IF NOT EXISTS items_ai AFTER INSERT ON items BEGIN
+    INSERT INTO items_fts (rowid, name, description, category)
+      VALUES (new.id, new.name, new.description, new.category);
+  END;
+  CREATE TRIGGER IF NOT EXISTS items_ad AFTER DELETE ON items BEGIN
+    INSERT INTO items_fts (items_fts, rowid, name, description, category)
+      VALUES ('delete', old.id, old.name, old.description, old.category);
+  END;
+  CREATE TRIGGER IF NOT EXISTS items_au AFTER UPDATE ON items BEGIN
+    INSERT INTO items_fts (items_fts, rowid, name, description, category)
+      VALUES ('delete', old.id, old.name, old.description, old.category);
+    INSERT INTO items_fts (rowid, name, description, category)
+      VALUES (new.id, new.name, new.description, new.category);
+  END;
+
+  CREATE TABLE IF NOT EXISTS revision (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    version INTEGER NOT NULL,
+    modified_at INTEGER NOT NULL
+  );
+  INSERT OR IGNORE INTO revision (id, version, modified_at)
+    VALUES (1, 0, CAST(unixepoch('subsec') * 1000 AS INTEGER));
+
+  CREATE TRIGGER IF NOT EXISTS revision_ai AFTER INSERT ON items BEGIN
+    UPDATE revision SET version = version + 1, modified_at = CAST(unixepoch('subsec') * 1000 AS INTEGER);
+  END;
+  CREATE TRIGGER IF NOT EXISTS revision_ad AFTER DELETE ON items BEGIN
+    UPDATE revision SET version = version + 1, modified_at = CAST(unixepoch('subsec') * 1000 AS INTEGER);
+  END;
+  CREATE TRIGGER IF NOT EXISTS revision_au AFTER UPDATE ON items BEGIN
+    UPDATE revision SET version = version + 1, modified_at = CAST(unixepoch('subsec') * 1000 AS INTEGER);
+  END;
+`;
+
+// Columns added to the items table since it was first created: their type,
+// and how to fill them in from `data` in databases made before them
+const ADDED_COLUMNS = {
+  deleted_at: { type: 'TEXT', from: "json_extract(data, '$.deletedAt')" }
+};
+
+// Which rows a read covers, by deleted mode (see softDelete.js)
+const DELETED_SCOPES = {
+  exclude: 'items.deleted_at IS NULL',
+  include: null,
+  only: 'items.deleted_at IS NOT NULL'
+};
+
+// Relevance, best first; bm25 scores better matches as more negative
+const SCORE = `round(-bm25(items_fts, ${FIELD_WEIGHTS.name}, ${FIELD_WEIGHTS.description}, ${FIELD_WEIGHTS.category}), 2)`;
+
+// SQL for each sort field, as seen from the matched subquery
+const SORT_COLUMNS = {
+  id: 'id',
+  price: 'price',
+  name: 'name COLLATE NOCASE',
+  score: 'score',
+  deletedAt: 'deleted_at'
+};
+
+/**
+ * Remove fields clients are not allowed to set
+ */
+function sanitize(fields) {
+  const { id, ...rest } = unstamped(fields);
+  return rest;
+}
+
+function toRow(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    description: item.description === undefined ? null : item.description,
+    price: item.price,
+    category: item.category,
+    deleted_at: item.deletedAt || null,
+    data: JSON.stringify(item)
+  };
+}
+
+function fromRow(row) {
+  const item = JSON.parse(row.data);
+  return row.score === undefined ? item : { ...item, score: row.score };
+}
+
+// Full-text vocabulary, keyed by database file
+const vocabularies = cache.namespace('vocabulary');
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Item repository backed by an embedded SQLite database
+ * Search (FTS5), filtering, sorting, both pagination modes and stats all run
+ * as SQL, so nothing scales with the item count in memory.
+ * @param {string} file - Path of the database file; created if missing
+ * @returns {Object} Repository (see storage/index.js for the interface)
+ */
+function createSqliteRepository(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const columns = new Set(db.pragma('table_info(items)').map(column => column.name));
+  Object.entries(ADDED_COLUMNS)
+    .filter(([name]) => !columns.has(name))
+    .forEach(([name, { type, from }]) => {
+      db.exec(`ALTER TABLE items ADD COLUMN ${name} ${type}`);
+      db.exec(`UPDATE items SET ${name} = ${from}`);
+    });
+  db.exec('CREATE INDEX IF NOT EXISTS items_deleted_at ON items (deleted_at)');
+
+  const statements = {
+    list: db.prepare('SELECT data FROM items ORDER BY id'),
+    get: db.prepare('SELECT data FROM items WHERE id = ?'),
+    getLive: db.prepare('SELECT data FROM items WHERE id = ? AND deleted_at IS NULL'),
+    getDeleted: db.prepare('SELECT data FROM items WHERE id = ? AND deleted_at IS NOT NULL'),
+    purgeable: db.prepare('SELECT data FROM items WHERE deleted_at < ? ORDER BY id'),
+    nextId: db.prepare('SELECT COALESCE(MAX(id), 0) + 1 AS id FROM items'),
+    insert: db.prepare(`
+      INSERT INTO items (id, name, description, price, category, deleted_at, data)
+      VALUES (@id, @name, @description, @price, @category, @deleted_at, @data)
+    `),
+    update: db.prepare(`
+      UPDATE items
+      SET name = @name, description = @description, price = @price, category = @category,
+        deleted_at = @deleted_at, data = @data
+      WHERE id = @id
+    `),
+    delete: db.prepare('DELETE FROM items WHERE id = ?'),
+    deleteAll: db.prepare('DELETE FROM items'),
+    vocabulary: db.prepare('SELECT term, doc FROM items_vocab'),
+    revision: db.prepare('SELECT version, modified_at AS modifiedAt FROM revision')
+  };
+
+  // Repository watch() listeners
+  const listeners = new Set();
+  let pollTimer = null;
+
+  /**
+   * Report a change: the caches hear about it first, then watchers
+   */
+  function emit(event) {
+    cache.invalidate(file, event);
+    listeners.forEach(listener => listener(event));
+  }
+
+  /**
+   * Changes committed through other connections bump data_version
+   */
+  function dataVersion() {
+    return db.pragma('data_version', { simple: true });
+  }
+
+  /**
+   * Every indexed term with its document count, for fuzzy matching
+   */
+  function getVocabulary() {
+    startPolling();
+    return vocabularies.get(file, () => {
+      const counts = new Map(statements.vocabulary.all().map(({ term, doc }) => [term, doc]));
+      return {
+        terms: Array.from(counts.keys()).sort(),
+        documentCount: term => counts.get(term) || 0
+      };
+    });
+  }
+
+  /**
+   * FTS5 match expression for a search query
+   * Words are matched as prefixes; in fuzzy mode each word also matches the
+   * indexed terms within its edit distance.
+   * @param {Object} vocabulary - From getVocabulary; needed in fuzzy mode
+   * @returns {string|null} null when the query has no searchable words
+   */
+  function matchExpression(q, { op, mode, fuzziness }, vocabulary) {
+    const groups = parseQuery(q, op);
+    if (groups.length === 0) {
+      return null;
+    }
+
+    return groups
+      .map(group => group.map(token => {
+        const alternatives = [`"${token}"*`];
+        const tolerance = mode === 'fuzzy'
+          ? Math.min(fuzziness !== undefined ? fuzziness : autoFuzziness(token), MAX_FUZZINESS)
+          : 0;
+        if (tolerance > 0) {
+          similarTerms(vocabulary, token, tolerance)
+            .forEach(({ term }) => alternatives.push(`"${term}"`));
+        }
+        return alternatives.length > 1 ? `(${alternatives.join(' OR ')})` : alternatives[0];
+      }).join(' AND '))
+      .map(group => `(${group})`)
+      .join(' OR ');
+  }
+
+  /**
+   * Subquery selecting the items matching a search and filters
+   * Its rows carry every item column, plus `score` when searching. Deleted
+   * items are left out unless `deleted` says otherwise.
+   * @param {Object} vocabulary - From getVocabulary; needed in fuzzy mode
+   * @returns {{ sql: string, args: Array, scored: boolean }}
+   */
+  function matching({ q, op, mode, fuzziness, category, minPrice, maxPrice, deleted = 'exclude' } = {}, vocabulary) {
+    const where = [DELETED_SCOPES[deleted]].filter(Boolean);
+    const args = [];
+    let from = 'items';
+    let columns = 'items.*';
+    let scored = false;
+
+    if (q && q.trim()) {
+      const expression = matchExpression(q, { op, mode, fuzziness }, vocabulary);
+      if (expression === null) {
+        where.push('0');
+      } else {
+        from = 'items JOIN items_fts ON items_fts.rowid = items.id';
+        columns = `items.*, ${SCORE} AS score`;
+        where.push('items_fts MATCH ?');
+        args.push(expression);
+        scored = true;
+      }
+    }
+    if (category && category.length > 0) {
+      where.push(`items.category IN (${category.map(() => '?').join(', ')})`);
+      args.push(...category);
+    }
+    if (minPrice !== undefined) {
+      where.push('items.price >= ?');
+      args.push(minPrice);
+    }
+    if (maxPrice !== undefined) {
+      where.push('items.price <= ?');
+      args.push(maxPrice);
+    }
+
+    return {
+      sql: `SELECT ${columns} FROM ${from}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}`,
+      args,
+      scored
+    };
+  }
+
+  /**
+   * Sort keys as { field, direction }, dropping relevance when not searching
+   */
+  function sortFields(sort, scored) {
+    return (sort || [])
+      .map(key => (
+        key === 'relevance'
+          ? { field: 'score', direction: -1 }
+          : { field: key.replace(/^-/, ''), direction: key.startsWith('-') ? -1 : 1 }
+      ))
+      .filter(({ field }) => field !== 'score' || scored);
+  }
+
+  function orderBy(fields) {
+    const terms = fields.map(({ field, direction }) => `${SORT_COLUMNS[field]} ${direction < 0 ? 'DESC' : 'ASC'}`);
+    if (!fields.some(({ field }) => field === 'id')) {
+      terms.push('id ASC');
+    }
+    return `ORDER BY ${terms.join(', ')}`;
+  }
+
+  /**
+   * WHERE clause selecting the rows strictly after a cursor position
+   */
+  function afterPosition(fields, position) {
+    const clauses = [];
+    const args = [];
+
+    fields.forEach(({ field, direction }, i) => {
+      const parts = fields.slice(0, i).map(previous => `${SORT_COLUMNS[previous.field]} = ?`);
+      parts.push(`${SORT_COLUMNS[field]} ${direction < 0 ? '<' : '>'} ?`);
+      clauses.push(`(${parts.join(' AND ')})`);
+      fields.slice(0, i + 1).forEach(f => args.push(position[f.field]));
+    });
+
+    return { sql: clauses.join(' OR '), args };
+  }
+
+  function count(subquery) {
+    return db.prepare(`SELECT COUNT(*) AS total FROM (${subquery.sql})`).get(...subquery.args).total;
+  }
+
+  /**
+   * Category and price facet counts for a list query (see services/facets.js)
+   */
+  function facets(params, vocabulary) {
+    const byCategory = matching({ ...params, category: undefined }, vocabulary);
+    const categoryCounts = {};
+    db.prepare(`SELECT category, COUNT(*) AS count FROM (${byCategory.sql}) GROUP BY category`)
+      .all(...byCategory.args)
+      .forEach(row => {
+        categoryCounts[row.category] = row.count;
+      });
+
+    const byPrice = matching({ ...params, minPrice: undefined, maxPrice: undefined }, vocabulary);
+    const edges = PRICE_BANDS.slice(1);
+    const band = `CASE ${edges.map((_, i) => `WHEN price < ? THEN ${i}`).join(' ')} ELSE ${edges.length} END`;
+    const range = db.prepare(`SELECT MIN(price) AS min, MAX(price) AS max FROM (${byPrice.sql})`).get(...byPrice.args);
+    const bandCounts = [];
+    db.prepare(`SELECT ${band} AS band, COUNT(*) AS count FROM (${byPrice.sql}) GROUP BY band`)
+      .all(...edges, ...byPrice.args)
+      .forEach(row => {
+        bandCounts[row.band] = row.count;
+      });
+
+    return {
+      category: categoryFacet(categoryCounts),
+      price: priceFacet(range, bandCounts)
+    };
+  }
+
+  /**
+   * The vocabulary, when a search needs it for fuzzy matching
+   */
+  async function vocabularyFor({ q, mode }) {
+    return q && mode === 'fuzzy' ? getVocabulary() : null;
+  }
+
+  /**
+   * "Did you mean" suggestions, drawn from the full-text vocabulary
+   */
+  async function suggestions(q, resultCount, { fuzziness }) {
+    if (!q || !q.trim() || resultCount >= SUGGESTION_THRESHOLD) {
+      return [];
+    }
+
+    return correctQuery({
+      ...(await getVocabulary()),
+      hasResults: variant => count(matching({ q: variant })) > 0
+    }, q, { fuzziness });
+  }
+
+  /**
+   * Run a write in a transaction and tell watchers what changed
+   * @param {Function} write - Returns { changes, result } where changes lists
+   *   the touched items as { before, after } pairs, is null when everything
+   *   was replaced, and is left out when nothing was written
+   * @param {Object} meta - Who made the write, and how; passed on with the change event
+   */
+  async function mutate(write, meta) {
+    const { changes, result } = db.transaction(write)();
+
+    if (changes) {
+      emit({ type: 'change', changes, ...(meta && { meta }) });
+    } else if (changes === null) {
+      emit({ type: 'reset' });
+    }
+    return result;
+  }
+
+  /**
+   * Start polling for commits from other connections
+   */
+  function startPolling() {
+    if (pollTimer) {
+      return;
+    }
+
+    let lastVersion = dataVersion();
+    pollTimer = setInterval(() => {
+      const version = dataVersion();
+      if (version !== lastVersion) {
+        lastVersion = version;
+        emit({ type: 'reset' });
+      }
+    }, POLL_INTERVAL);
+    pollTimer.unref();
+  }
+
+  return {
+    async list({ deleted } = {}) {
+      return statements.list.all().map(fromRow).filter(item => inScope(item, deleted));
+    },
+
+    async get(id, { deleted } = {}) {
+      const row = statements.get.get(id);
+      const item = row ? fromRow(row) : undefined;
+      return item && inScope(item, deleted) ? item : undefined;
+    },
+
+    async query(params) {
+      const { page, limit, q, paging, cursor, sort } = params;
+      const vocabulary = await vocabularyFor(params);
+      const subquery = matching(params, vocabulary);
+      const totalItems = count(subquery);
+      const fields = sortFields(sort, subquery.scored);
+
+      let result;
+      if (paging === 'cursor' || cursor) {
+        const keys = cursorSortKeys(sort);
+        const fingerprint = queryFingerprint(appliedFilters(params));
+        const cursorFields = sortFields(keys, subquery.scored);
+        const after = cursor
+          ? afterPosition(cursorFields, decodeCursor(cursor, keys, fingerprint))
+          : { sql: '', args: [] };
+
+        const rows = db.prepare(`
+          SELECT * FROM (${subquery.sql})
+          ${after.sql ? `WHERE ${after.sql}` : ''}
+          ${orderBy(cursorFields)}
+          LIMIT ?
+        `).all(...subquery.args, ...after.args, limit + 1);
+
+        const hasMore = rows.length > limit;
+        const items = rows.slice(0, limit).map(fromRow);
+        result = {
+          items,
+          pagination: {
+            mode: 'cursor',
+            totalItems,
+            itemsPerPage: limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(items[items.length - 1], keys, fingerprint) : null
+          }
+        };
+      } else {
+        const rows = db.prepare(`
+          SELECT * FROM (${subquery.sql}) ${orderBy(fields)} LIMIT ? OFFSET ?
+        `).all(...subquery.args, limit, (page - 1) * limit);
+
+        result = {
+          items: rows.map(fromRow),
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(totalItems / limit),
+            totalItems,
+            itemsPerPage: limit
+          }
+        };
+      }
+
+      return {
+        ...result,
+        ...(params.facets && { facets: facets(params, vocabulary) }),
+        ...(q && { suggestions: await suggestions(q, totalItems, params) })
+      };
+    },
+
+    async *iterate(params) {
+      const subquery = matching(params, await vocabularyFor(params));
+      const fields = sortFields(cursorSortKeys(params.sort), subquery.scored);
+      let last = null;
+
+      // Keyset batches rather than one long-running statement, so other
+      // queries can use the connection in between
+      for (;;) {
+        const after = last ? afterPosition(fields, last) : { sql: '', args: [] };
+        const rows = db.prepare(`
+          SELECT * FROM (${subquery.sql})
+          ${after.sql ? `WHERE ${after.sql}` : ''}
+          ${orderBy(fields)}
+          LIMIT ?
+        `).all(...subquery.args, ...after.args, ITERATE_BATCH);
+
+        const items = rows.map(fromRow);
+        yield* items;
+
+        if (rows.length < ITERATE_BATCH) {
+          return;
+        }
+        last = items[items.length - 1];
+      }
+    },
+
+    async suggest(prefix, limit) {
+      const text = String(prefix || '').toLowerCase().replace(/\s+/g, ' ').trimStart();
+      if (!text) {
+        return [];
+      }
+
+      const start = `${escapeLike(text)}%`;
+      const word = `% ${escapeLike(text)}%`;
+      const rows = db.prepare(`
+        SELECT type, value, id, count FROM (
+          SELECT 'name' AS type, name AS value, id, NULL AS count,
+            lower(name) LIKE @start ESCAPE '\\' AS atStart
+          FROM items
+          WHERE deleted_at IS NULL
+            AND (lower(name) LIKE @start ESCAPE '\\' OR lower(name) LIKE @word ESCAPE '\\')
+          UNION ALL
+          SELECT 'category', category, NULL, COUNT(*),
+            lower(category) LIKE @start ESCAPE '\\'
+          FROM items
+          WHERE deleted_at IS NULL
+            AND (lower(category) LIKE @start ESCAPE '\\' OR lower(category) LIKE @word ESCAPE '\\')
+          GROUP BY category
+        )
+        ORDER BY atStart DESC, type <> 'name', count DESC, value COLLATE NOCASE
+        LIMIT @limit
+      `).all({ start, word, limit });
+
+      return rows.map(({ type, value, id, count: total }) => ({
+        type,
+        value,
+        ...(id !== null && { id }),
+        ...(total !== null && { count: total })
+      }));
+    },
+
+    async stats(options = {}, filters = {}) {
+      const { groupBy, buckets, bucketSize } = options;
+      const subquery = matching(filters, await vocabularyFor(filters));
+      const { sql, args } = subquery;
+
+      const totals = db.prepare(`
+        SELECT COUNT(*) AS totalItems, SUM(price) AS sum, MIN(price) AS minPrice, MAX(price) AS maxPrice
+        FROM (${sql})
+      `).get(...args);
+
+      if (totals.totalItems === 0) {
+        return createStatsAggregate([]).snapshot(options);
+      }
+
+      const n = totals.totalItems;
+      const mean = totals.sum / n;
+      const { squares } = db.prepare(`
+        SELECT SUM((price - ?) * (price - ?)) AS squares FROM (${sql})
+      `).get(mean, mean, ...args);
+
+      const nth = db.prepare(`SELECT price FROM (${sql}) ORDER BY price LIMIT 2 OFFSET ?`);
+      const percentile = p => {
+        const rank = (p / 100) * (n - 1);
+        const lower = Math.floor(rank);
+        const [low, high = low] = nth.all(...args, lower).map(row => row.price);
+        return round(low + (high - low) * (rank - lower));
+      };
+
+      const groups = db.prepare(`
+        SELECT category, COUNT(*) AS count, MIN(price) AS minPrice, MAX(price) AS maxPrice, SUM(price) AS sum
+        FROM (${sql}) GROUP BY category ORDER BY MIN(id)
+      `).all(...args);
+
+      const stats = {
+        totalItems: n,
+        averagePrice: round(mean),
+        minPrice: totals.minPrice,
+        maxPrice: totals.maxPrice,
+        medianPrice: percentile(50),
+        percentiles: {
+          p25: percentile(25),
+          p75: percentile(75),
+          p90: percentile(90)
+        },
+        standardDeviation: round(Math.sqrt(squares / n)),
+        totalValue: round(totals.sum),
+        categories: {}
+      };
+      groups.forEach(group => {
+        stats.categories[group.category] = group.count;
+      });
+
+      if (groupBy === 'category') {
+        stats.byCategory = {};
+        groups.forEach(group => {
+          stats.byCategory[group.category] = {
+            count: group.count,
+            minPrice: group.minPrice,
+            maxPrice: group.maxPrice,
+            averagePrice: round(group.sum / group.count),
+            totalValue: round(group.sum)
+          };
+        });
+      }
+
+      if (buckets || bucketSize) {
+        const layout = bucketLayout(totals.minPrice, totals.maxPrice, { buckets, bucketSize });
+        const counts = new Map(db.prepare(`
+          SELECT MIN(CAST((price - ?) / ? AS INTEGER), ?) AS bucket, COUNT(*) AS count
+          FROM (${sql}) GROUP BY bucket
+        `).all(layout.start, layout.width, layout.count - 1, ...args).map(row => [row.bucket, row.count]));
+
+        stats.histogram = layout.ranges.map((range, i) => ({ ...range, count: counts.get(i) || 0 }));
+      }
+
+      return stats;
+    },
+
+    create(fields, { meta } = {}) {
+      return mutate(() => {
+        const item = stamp({ id: statements.nextId.get().id, ...sanitize(fields) });
+        statements.insert.run(toRow(item));
+        return { changes: [{ before: null, after: item }], result: item };
+      }, meta);
+    },
+
+    update(id, fields, { replace = false, ifVersion, meta } = {}) {
+      return mutate(() => {
+        const row = statements.getLive.get(id);
+        if (!row) {
+          return { result: null };
+        }
+
+        const before = fromRow(row);
+        checkVersion(before, ifVersion);
+        const item = stamp({ ...(replace ? {} : before), ...sanitize(fields), id }, before);
+        statements.update.run(toRow(item));
+        return { changes: [{ before, after: item }], result: item };
+      }, meta);
+    },
+
+    delete(id, { ifVersion, meta } = {}) {
+      return mutate(() => {
+        const row = statements.getLive.get(id);
+        if (!row) {
+          return { result: null };
+        }
+
+        const before = fromRow(row);
+        checkVersion(before, ifVersion);
+        const item = markDeleted(before);
+        statements.update.run(toRow(item));
+        return { changes: [{ before, after: item }], result: item };
+      }, meta);
+    },
+
+    restore(id, { ifVersion, meta } = {}) {
+      return mutate(() => {
+        const row = statements.getDeleted.get(id);
+        if (!row) {
+          return { result: null };
+        }
+
+        const before = fromRow(row);
+        checkVersion(before, ifVersion);
+        const item = unmarkDeleted(before);
+        statements.update.run(toRow(item));
+        return { changes: [{ before, after: item }], result: item };
+      }, meta);
+    },
+
+    purge(cutoff, { meta } = {}) {
+      return mutate(() => {
+        const purged = statements.purgeable.all(cutoff.toISOString()).map(fromRow);
+        purged.forEach(item => statements.delete.run(item.id));
+        return {
+          ...(purged.length > 0 && { changes: purged.map(item => ({ before: item, after: null })) }),
+          result: purged
+        };
+      }, meta);
+    },
+
+    upsert(records, { replace = false, dryRun = false, meta } = {}) {
+      return mutate(() => {
+        const changes = [];
+        const kept = new Set();
+        let id = Math.max(
+          statements.nextId.get().id,
+          records.reduce((max, record) => Math.max(max, record.id || 0), 0) + 1
+        );
+
+        const outcomes = records.map(record => {
+          const itemId = record.id === undefined ? id++ : record.id;
+          const row = statements.get.get(itemId);
+          const before = row ? fromRow(row) : null;
+          kept.add(itemId);
+
+          if (live(before) && sameContent(before, record)) {
+            return { status: 'unchanged', item: before };
+          }
+
+          // A record for a deleted item brings it back
+          const item = stamp({ ...sanitize(record), id: itemId }, before);
+          if (!dryRun) {
+            statements[before ? 'update' : 'insert'].run(toRow(item));
+          }
+          changes.push({ before, after: item });
+          return { status: live(before) ? 'updated' : 'created', item };
+        });
+
+        const dropped = replace
+          ? statements.list.all().map(fromRow).filter(item => !kept.has(item.id) && !isDeleted(item))
+          : [];
+        const deleted = dropped.map(markDeleted);
+        deleted.forEach((item, i) => {
+          if (!dryRun) {
+            statements.update.run(toRow(item));
+          }
+          changes.push({ before: dropped[i], after: item });
+        });
+
+        return {
+          ...(!dryRun && changes.length > 0 && { changes }),
+          result: { outcomes, deleted }
+        };
+      }, meta);
+    },
+
+    batch(operations, { meta } = {}) {
+      return mutate(() => {
+        const { failed, results, changes } = planBatch(operations, {
+          lookup: id => {
+            const row = statements.get.get(id);
+            return row ? fromRow(row) : null;
+          },
+          firstId: statements.nextId.get().id
+        });
+        if (failed || changes.length === 0) {
+          return { result: { committed: !failed, results } };
+        }
+
+        changes.forEach(({ before, after }) => {
+          statements[before ? 'update' : 'insert'].run(toRow(after));
+        });
+        return { changes, result: { committed: true, results } };
+      }, meta);
+    },
+
+    replaceAll(records) {
+      return mutate(() => {
+        statements.deleteAll.run();
+        records.forEach(record => statements.insert.run(toRow(record)));
+        return { changes: null, result: records.length };
+      });
+    },
+
+    async check() {
+      return validateRecords(statements.list.all().map(fromRow)).invalid;
+    },
+
+    async version() {
+      const { version, modifiedAt } = statements.revision.get();
+      return { tag: `${version}-${modifiedAt}`, modifiedAt: new Date(modifiedAt) };
+    },
+
+    async refresh() {
+      cache.invalidate(file);
+    },
+
+    watch(listener) {
+      listeners.add(listener);
+      startPolling();
+
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    async close() {
+      clearInterval(pollTimer);
+      pollTimer = null;
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteRepository
+};
@@ -0,0 +1,65 @@
+const { VersionConflictError } = require('../errors');
+
+/**
+ * Item versions for optimistic concurrency
+ * Every write stamps the item with the next `version` and an `updatedAt`
+ * time. Records stored before items were versioned count as version 0.
+ */
+
+/**
+ * Version of a stored item
+ */
+const versionOf = item => item.version || 0;
+
+/**
+ * Remove the fields only the server sets
+ */
+function unstamped(fields) {
+  const { version, updatedAt, ...rest } = fields || {};
+  return rest;
+}
+
+/**
+ * The item as it should be stored after a write
+ * Fields set to undefined (cleared by a PATCH) are left out.
+ * @param {Object} item - New contents
+ * @param {Object} previous - The stored item it replaces, if any
+ */
+function stamp(item, previous) {
+  const fields = Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined));
+  return {
+    ...fields,
+    version: (previous ? versionOf(previous) : 0) + 1,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Whether two items hold the same fields, ignoring id and stamps
+ */
+function sameContent(a, b) {
+  const { id: idA, ...fieldsA } = unstamped(a);
+  const { id: idB, ...fieldsB } = unstamped(b);
+  const keys = Object.keys(fieldsA);
+  return keys.length === Object.keys(fieldsB).length && keys.every(key => fieldsA[key] === fieldsB[key]);
+}
+
+/**
+ * Refuse a write based on a different version of the item
+ * @param {Object} current - The stored item
+ * @param {Array<number>} ifVersion - Versions the write may apply to; any when undefined
+ * @throws {VersionConflictError} Carrying the current item
+ */
+function checkVersion(current, ifVersion) {
+  if (ifVersion && !ifVersion.includes(versionOf(current))) {
+    throw new VersionConflictError(current);
+  }
+}
+
+module.exports = {
+  versionOf,
+  unstamped,
+  stamp,
+  sameContent,
+  checkVersion
+};
@@ -0,0 +1,66 @@
+// Operations an audit entry can record
+const OPERATIONS = ['create', 'update', 'delete', 'undelete', 'purge'];
+
+// What kind of request made a change (see middleware/auth.js); "system"
+// for writes made without one, such as migrations
+const SOURCES = ['item', 'batch', 'import', 'restore', 'purge', 'system'];
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * GET /api/items/:id/history query string schema
+ */
+const historyQuerySchema = {
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 20 }
+};
+
+/**
+ * GET /api/audit query string schema
+ */
+const auditQuerySchema = {
+  ...historyQuerySchema,
+  itemId: { type: 'integer', min: 1 },
+  actor: { type: 'string', minLength: 1, maxLength: 100 },
+  operation: { type: 'string', enum: OPERATIONS },
+  source: { type: 'string', enum: SOURCES },
+  since: { type: 'string', maxLength: 40 },
+  until: { type: 'string', maxLength: 40 }
+};
+
+/**
+ * POST /api/items/:id/restore body schema
+ * `revision` is the seq of the audit entry to go back to (without one, a
+ * deleted item is brought back as it was); `version` is the item version the
+ * restore is based on, as for other writes
+ */
+const restoreSchema = {
+  revision: { type: 'integer', min: 1 },
+  version: { type: 'integer', min: 0 }
+};
+
+/**
+ * Cross-field checks for the audit query: since and until must be dates,
+ * in order
+ */
+function checkAuditQuery({ since, until }) {
+  const errors = [];
+  [['since', since], ['until', until]].forEach(([field, value]) => {
+    if (value !== undefined && isNaN(Date.parse(value))) {
+      errors.push({ field, message: 'must be a date, e.g. 2026-01-31 or 2026-01-31T12:00:00Z' });
+    }
+  });
+  if (errors.length === 0 && since !== undefined && until !== undefined && Date.parse(since) > Date.parse(until)) {
+    errors.push({ field: 'until', message: 'must not be before since' });
+  }
+  return errors;
+}
+
+module.exports = {
+  OPERATIONS,
+  SOURCES,
+  historyQuerySchema,
+  auditQuerySchema,
+  restoreSchema,
+  checkAuditQuery
+};
@@ -0,0 +1,139 @@
+const { validate } = require('./schema');
+const { itemSchema, itemsQuerySchema, checkItemsQuery } = require('./itemSchema');
+
+// Most operations one batch may hold
+const MAX_OPERATIONS = 500;
+
+// The search and filter parameters of GET /api/items, selecting the items a
+// batch patch applies to; checked as that route checks them
+const batchFilterSchema = {
+  q: itemsQuerySchema.q,
+  op: itemsQuerySchema.op,
+  mode: itemsQuerySchema.mode,
+  fuzziness: itemsQuerySchema.fuzziness,
+  category: itemsQuerySchema.category,
+  minPrice: itemsQuerySchema.minPrice,
+  maxPrice: itemsQuerySchema.maxPrice
+};
+
+const idRule = { type: 'integer', required: true, min: 1 };
+const versionRule = { type: 'integer', min: 0 };
+
+/**
+ * Prefix field errors with where they were found
+ */
+const at = (path, errors) => errors.map(({ field, message }) => ({
+  field: field ? `${path}.${field}` : path,
+  message
+}));
+
+/**
+ * Check one entry of `operations`
+ * @returns {{ value: Object, errors: Array }} value as planBatch takes it
+ */
+function checkOperation(operation, path) {
+  const { value: header, errors } = validate({
+    op: { type: 'string', required: true, enum: ['create', 'update', 'delete'] },
+    ...(operation && operation.op !== 'create' && { id: idRule, version: versionRule }),
+    replace: { type: 'boolean', default: false }
+  }, operation);
+
+  // Without a known op there's no telling what else to check
+  if (header.op === undefined) {
+    return { errors: at(path, errors) };
+  }
+
+  const value = {
+    op: header.op,
+    ...(header.id !== undefined && { id: header.id }),
+    ...(header.version !== undefined && { ifVersion: [header.version] })
+  };
+
+  if (header.op === 'delete') {
+    return { value, errors: at(path, errors) };
+  }
+
+  const key = header.op === 'create' ? 'item' : 'fields';
+  const partial = header.op === 'update' && !header.replace;
+  const fields = validate(itemSchema, operation[key], { partial });
+  return {
+    value: { ...value, fields: fields.value, ...(header.replace && { replace: true }) },
+    errors: [...at(path, errors), ...at(`${path}.${key}`, fields.errors)]
+  };
+}
+
+/**
+ * Check a batch `patch`: item fields to set, where `price` may instead be
+ * { multiply } or { add } to change each price relative to its current value
+ */
+function checkPatch(patch) {
+  const { price, ...rest } = patch && typeof patch === 'object' ? patch : {};
+  const relative = price !== null && typeof price === 'object';
+
+  const fields = validate(itemSchema, relative ? rest : patch, { partial: true });
+  const errors = at('patch', fields.errors);
+
+  let adjustment;
+  if (relative) {
+    const result = validate({
+      multiply: { type: 'number', min: 0 },
+      add: { type: 'number' }
+    }, price);
+    errors.push(...at('patch.price', result.errors));
+    if ((result.value.multiply === undefined) === (result.value.add === undefined)) {
+      errors.push({ field: 'patch.price', message: 'must set one of multiply or add' });
+    }
+    adjustment = result.value;
+  }
+
+  const { version, ...set } = fields.value;
+  if (Object.keys(set).length === 0 && !relative && errors.length === 0) {
+    errors.push({ field: 'patch', message: 'must change at least one field' });
+  }
+
+  return { value: { set, adjustment }, errors };
+}
+
+/**
+ * Check a POST /api/items/batch body
+ * Either { operations: [...] } or { filter, patch }.
+ * @returns {{ value: Object, errors: Array<{field: string, message: string}> }}
+ *   value is { operations } or { filter, patch: { set, adjustment } }
+ */
+function validateBatch(body) {
+  const { operations, filter, patch } = body || {};
+
+  if ((operations === undefined) === (patch === undefined)) {
+    return { value: {}, errors: [{ field: '', message: 'must have either operations, or filter and patch' }] };
+  }
+
+  if (operations !== undefined) {
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_OPERATIONS) {
+      return { value: {}, errors: [{ field: 'operations', message: `must be a list of 1 to ${MAX_OPERATIONS} operations` }] };
+    }
+    const checked = operations.map((operation, i) => checkOperation(operation, `operations[${i}]`));
+    return {
+      value: { operations: checked.map(c => c.value) },
+      errors: checked.flatMap(c => c.errors)
+    };
+  }
+
+  if (filter === undefined) {
+    return { value: {}, errors: [{ field: 'filter', message: 'is required; use {} to patch every item' }] };
+  }
+
+  const filterResult = validate(batchFilterSchema, filter, { coerce: true });
+  const patchResult = checkPatch(patch);
+  return {
+    value: { filter: filterResult.value, patch: patchResult.value },
+    errors: [
+      ...at('filter', [...filterResult.errors, ...checkItemsQuery(filterResult.value)]),
+      ...patchResult.errors
+    ]
+  };
+}
+
+module.exports = {
+  MAX_OPERATIONS,
+  validateBatch
+};
@@ -0,0 +1,221 @@
+const { validate } = require('./schema');
+const { MAX_FUZZINESS } = require('../services/searchIndex');
+const { MAX_COMPLETIONS } = require('../services/suggestTrie');
+const { FORMATS } = require('../services/itemFormats');
+const { MAX_BUCKETS, bucketCount, bucketCountError } = require('../services/statsMath');
+
+// Categories an item may belong to
+const CATEGORIES = ['Electronics', 'Furniture', 'Accessories', 'Office Equipment'];
+
+const MAX_PAGE_SIZE = 100;
+
+// Sort keys accepted by GET /api/items; "-" prefix sorts descending.
+// "relevance" (best match first) is the default when searching.
+const SORT_FIELDS = ['price', 'name', 'id'];
+const SORT_KEYS = [...SORT_FIELDS.flatMap(field => [field, `-${field}`]), 'relevance'];
+
+/**
+ * Item payload schema
+ * Used for request bodies and to check records loaded from items.json.
+ * Stored items also carry the server-set `updatedAt`.
+ */
+const itemSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  price: { type: 'number', required: true, min: 0 },
+  category: { type: 'string', required: true, enum: CATEGORIES },
+  // Set by the server; in a request body, the version the write is based on
+  version: { type: 'integer', min: 0 }
+};
+
+/**
+ * One row of a bulk import: the item fields plus an optional id
+ * (version and updatedAt are set by the server, so are ignored)
+ */
+const importRowSchema = {
+  id: { type: 'integer', min: 1 },
+  name: itemSchema.name,
+  description: itemSchema.description,
+  price: itemSchema.price,
+  category: itemSchema.category
+};
+
+/**
+ * GET /api/items query string schema
+ */
+const itemsQuerySchema = {
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 10 },
+  paging: { type: 'string', enum: ['offset', 'cursor'], default: 'offset' },
+  cursor: { type: 'string', maxLength: 1000 },
+  q: { type: 'string', maxLength: 200, default: '' },
+  op: { type: 'string', enum: ['and', 'or'], default: 'and' },
+  mode: { type: 'string', enum: ['standard', 'fuzzy'], default: 'standard' },
+  fuzziness: { type: 'integer', min: 0, max: MAX_FUZZINESS },
+  category: { type: 'array', maxLength: CATEGORIES.length, items: { type: 'string', enum: CATEGORIES } },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 },
+  sort: { type: 'array', maxLength: SORT_KEYS.length / 2, items: { type: 'string', enum: SORT_KEYS } },
+  // Take in items marked deleted as well
+  includeDeleted: { type: 'boolean', default: false },
+  // Add category and price facet counts (see services/facets.js)
+  facets: { type: 'boolean', default: false }
+};
+
+/**
+ * GET /api/items/:id query string schema
+ */
+const itemQuerySchema = {
+  includeDeleted: itemsQuerySchema.includeDeleted
+};
+
+/**
+ * GET /api/items/trash query string schema
+ * The search and filter parameters of GET /api/items, with offset paging
+ */
+const trashQuerySchema = {
+  page: itemsQuerySchema.page,
+  limit: itemsQuerySchema.limit,
+  q: itemsQuerySchema.q,
+  op: itemsQuerySchema.op,
+  mode: itemsQuerySchema.mode,
+  fuzziness: itemsQuerySchema.fuzziness,
+  category: itemsQuerySchema.category,
+  minPrice: itemsQuerySchema.minPrice,
+  maxPrice: itemsQuerySchema.maxPrice
+};
+
+/**
+ * POST /api/items/purge body schema
+ * Without olderThanDays, the configured retention applies
+ */
+const purgeSchema = {
+  olderThanDays: { type: 'integer', min: 0 }
+};
+
+/**
+ * GET /api/stats query string schema
+ * Accepts the same search and filter parameters as GET /api/items
+ */
+const statsQuerySchema = {
+  q: itemsQuerySchema.q,
+  op: itemsQuerySchema.op,
+  mode: itemsQuerySchema.mode,
+  fuzziness: itemsQuerySchema.fuzziness,
+  category: itemsQuerySchema.category,
+  minPrice: itemsQuerySchema.minPrice,
+  maxPrice: itemsQuerySchema.maxPrice,
+  groupBy: { type: 'string', enum: ['category'] },
+  buckets: { type: 'integer', min: 1, max: MAX_BUCKETS },
+  bucketSize: { type: 'number', min: 0.01 }
+};
+
+/**
+ * GET /api/items/export query string schema
+ * Takes the search, filter and sort parameters of GET /api/items
+ */
+const exportQuerySchema = {
+  format: { type: 'string', enum: FORMATS, default: 'csv' },
+  q: itemsQuerySchema.q,
+  op: itemsQuerySchema.op,
+  mode: itemsQuerySchema.mode,
+  fuzziness: itemsQuerySchema.fuzziness,
+  category: itemsQuerySchema.category,
+  minPrice: itemsQuerySchema.minPrice,
+  maxPrice: itemsQuerySchema.maxPrice,
+  sort: itemsQuerySchema.sort
+};
+
+/**
+ * POST /api/items/import query string schema
+ * Without `format`, it is taken from the Content-Type
+ */
+const importQuerySchema = {
+  format: { type: 'string', enum: FORMATS },
+  mode: { type: 'string', enum: ['upsert', 'replace'], default: 'upsert' },
+  dryRun: { type: 'boolean', default: false }
+};
+
+/**
+ * GET /api/items/suggest query string schema
+ */
+const suggestQuerySchema = {
+  q: { type: 'string', required: true, maxLength: 100 },
+  limit: { type: 'integer', min: 1, max: MAX_COMPLETIONS, default: 8 }
+};
+
+/**
+ * Checks that span several query parameters
+ * @returns {Array<{field: string, message: string}>} Errors, empty when valid
+ */
+function checkItemsQuery({ minPrice, maxPrice }) {
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    return [{ field: 'minPrice', message: 'must not be greater than maxPrice' }];
+  }
+  return [];
+}
+
+/**
+ * Cross-parameter checks for GET /api/stats
+ * A bucketSize too fine for the requested price range is refused here; over
+ * the prices actually found, bucketLayout (services/statsMath.js) refuses it
+ * the same way.
+ */
+function checkStatsQuery(query) {
+  const { buckets, bucketSize, minPrice, maxPrice } = query;
+  const errors = checkItemsQuery(query);
+  if (buckets !== undefined && bucketSize !== undefined) {
+    errors.push({ field: 'bucketSize', message: 'cannot be combined with buckets' });
+  }
+  if (bucketSize !== undefined && minPrice !== undefined && maxPrice !== undefined && minPrice <= maxPrice) {
+    const count = bucketCount(minPrice, maxPrice, bucketSize);
+    if (count > MAX_BUCKETS) {
+      errors.push(bucketCountError(count));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check stored records against the item schema
+ * @param {Array} items - Records as read from the data file
+ * @returns {{ valid: Array, invalid: Array<{index: number, id: *, errors: Array}> }}
+ */
+function validateRecords(items) {
+  const valid = [];
+  const invalid = [];
+
+  items.forEach((item, index) => {
+    const { errors } = validate(itemSchema, item);
+    if (!Number.isInteger(item && item.id)) {
+      errors.unshift({ field: 'id', message: 'must be an integer' });
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ index, id: item && item.id, errors });
+    } else {
+      valid.push(item);
+    }
+  });
+
+  return { valid, invalid };
+}
+
+module.exports = {
+  CATEGORIES,
+  MAX_PAGE_SIZE,
+  SORT_KEYS,
+  itemSchema,
+  importRowSchema,
+  itemsQuerySchema,
+  itemQuerySchema,
+  trashQuerySchema,
+  purgeSchema,
+  statsQuerySchema,
+  exportQuerySchema,
+  importQuerySchema,
+  suggestQuerySchema,
+  checkItemsQuery,
+  checkStatsQuery,
+  validateRecords
+};
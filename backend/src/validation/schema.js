@@ -0,0 +1,171 @@
+/**
+ * Minimal declarative validator
+ *
+ * A schema maps field names to rules:
+ *   - type: 'string' | 'number' | 'integer' | 'boolean' | 'array'
+ *   - required: field must be present
+ *   - default: value used when the field is absent
+ *   - min / max: numeric bounds (inclusive)
+ *   - minLength / maxLength: string length or array size bounds
+ *   - enum: list of allowed values
+ *   - items: rule applied to each element of an array
+ *
+ * Fields not in the schema are dropped from the result.
+ */
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+/**
+ * Convert a query-string value to the rule's type
+ * Invalid input is returned untouched so the type check reports it
+ */
+function coerceValue(value, rule) {
+  if (rule.type === 'array') {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list
+      .map(v => (typeof v === 'string' ? v.trim() : v))
+      .filter(v => !isMissing(v))
+      .map(v => (rule.items ? coerceValue(v, rule.items) : v));
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  if (rule.type === 'number' || rule.type === 'integer') {
+    const num = Number(value.trim());
+    return value.trim() !== '' && !Number.isNaN(num) ? num : value;
+  }
+
+  if (rule.type === 'boolean') {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+  }
+
+  return value;
+}
+
+/**
+ * Check a single value against its rule
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be a boolean';
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      break;
+    default:
+      break;
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}`;
+  }
+
+  const length = typeof value === 'string' || Array.isArray(value) ? value.length : undefined;
+  if (rule.minLength !== undefined && length < rule.minLength) {
+    return rule.type === 'array'
+      ? `must contain at least ${rule.minLength} value(s)`
+      : `must be at least ${rule.minLength} character(s)`;
+  }
+  if (rule.maxLength !== undefined && length > rule.maxLength) {
+    return rule.type === 'array'
+      ? `must contain at most ${rule.maxLength} value(s)`
+      : `must be at most ${rule.maxLength} character(s)`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate an object against a schema
+ * @param {Object} schema - Field rules
+ * @param {Object} input - Data to validate
+ * @param {Object} options
+ *   - partial: skip required checks and defaults for fields left out (for
+ *     PATCH payloads); "" or null clears an optional field, which comes
+ *     back as undefined, and is refused for a required one
+ *   - coerce: convert strings to the declared types (for query strings)
+ * @returns {{ value: Object, errors: Array<{field: string, message: string}> }}
+ */
+function validate(schema, input, { partial = false, coerce = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: '', message: 'must be an object' }] };
+  }
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    let fieldValue = input[field];
+
+    if (typeof fieldValue === 'string' && rule.type !== 'array') {
+      fieldValue = fieldValue.trim();
+    }
+    if (coerce && !isMissing(fieldValue)) {
+      fieldValue = coerceValue(fieldValue, rule);
+    }
+
+    if (isMissing(fieldValue)) {
+      if (partial) {
+        if (fieldValue === undefined) return;
+        const message = rule.required ? 'is required' : fieldValue === '' && checkValue(fieldValue, rule);
+        if (message) {
+          errors.push({ field, message });
+        } else {
+          value[field] = undefined;
+        }
+        return;
+      }
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      return;
+    }
+
+    const message = checkValue(fieldValue, rule);
+    if (message) {
+      errors.push({ field, message });
+      return;
+    }
+
+    if (rule.type === 'array' && rule.items) {
+      const elementErrors = fieldValue
+        .map(element => checkValue(element, rule.items))
+        .filter(Boolean);
+      if (elementErrors.length > 0) {
+        errors.push({ field, message: `contains an invalid value: ${elementErrors[0]}` });
+        return;
+      }
+    }
+
+    value[field] = fieldValue;
+  });
+
+  return { value, errors };
+}
+
+module.exports = {
+  validate
+};
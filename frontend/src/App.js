@@ -1,6 +1,9 @@
 import React from 'react';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import './App.css';
 import Items from './components/Items';
+import ItemDetail from './components/ItemDetail';
+import SignIn from './components/SignIn';
 
 function App() {
   return (
@@ -8,13 +11,17 @@ function App() {
       <header className="App-header">
         <h1>Items Management System</h1>
         <p className="App-subtitle">Take-Home Assessment - Optimized with Virtualization</p>
+        <SignIn />
       </header>
       <main className="App-main">
-        <Items />
+        <Routes>
+          <Route path="/" element={<Items />} />
+          <Route path="/items/:id" element={<ItemDetail />} />
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
       </main>
     </div>
   );
 }
 
 export default App;
-
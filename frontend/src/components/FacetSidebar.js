@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { CATEGORIES } from '../utils/itemValidation';
+
+// Wait this long after the slider stops moving before filtering
+const PRICE_DELAY = 400;
+
+/**
+ * Label for a price band, whose max is exclusive (null for the last band)
+ */
+const bandLabel = ({ min, max }) => {
+  if (max === null) return `$${min}+`;
+  if (min === 0) return `Under $${max}`;
+  return `$${min} – $${max}`;
+};
+
+/**
+ * The minPrice / maxPrice filter choosing a price band
+ * maxPrice is inclusive, so it stops a cent short of the next band
+ */
+const bandFilter = ({ min, max }) => ({
+  minPrice: min > 0 ? min : undefined,
+  maxPrice: max === null ? undefined : Math.round((max - 0.01) * 100) / 100
+});
+
+/**
+ * FacetSidebar Component
+ * Narrows the list by category and price, with the counts from
+ * GET /api/items?facets=true next to each choice:
+ * - Category checkboxes; several can be checked, and any of them matches
+ * - Price bands, and a range slider spanning the results' prices
+ * - "Clear all" drops every category and price filter
+ * Each count is what choosing that value would give, so the other
+ * categories keep their counts while one is checked.
+ *
+ * @param {Object} facets - The response's facets; null until they arrive,
+ *   which shows the categories without counts
+ * @param {Array<string>} category - Checked categories
+ * @param {number} minPrice - Lower price bound, if any
+ * @param {number} maxPrice - Upper price bound, if any
+ * @param {Function} onChange - Called with the filters to change, any of
+ *   { category, minPrice, maxPrice }
+ */
+const FacetSidebar = ({ facets, category, minPrice, maxPrice, onChange }) => {
+  const categoryFacets = facets
+    ? facets.category
+    : CATEGORIES.map(value => ({ value, count: null }));
+  const price = facets && facets.price.min !== null ? facets.price : null;
+
+  // Slider bounds, in whole dollars around the results' prices
+  const low = price ? Math.floor(price.min) : 0;
+  const high = price ? Math.ceil(price.max) : 0;
+  const clamp = value => Math.min(Math.max(value, low), high);
+
+  // Where the slider thumbs are, ahead of the filter while they move
+  const committedMin = clamp(minPrice === undefined ? low : minPrice);
+  const committedMax = clamp(maxPrice === undefined ? high : maxPrice);
+  const [draft, setDraft] = useState({ min: committedMin, max: committedMax });
+  const timerRef = useRef(null);
+
+  // Follow the filter when it changes from elsewhere
+  useEffect(() => {
+    setDraft({ min: committedMin, max: committedMax });
+  }, [committedMin, committedMax]);
+
+  // Filter once the slider has been still for a moment
+  useEffect(() => {
+    if (draft.min === committedMin && draft.max === committedMax) {
+      return undefined;
+    }
+
+    timerRef.current = setTimeout(() => {
+      onChange({
+        minPrice: draft.min > low ? draft.min : undefined,
+        maxPrice: draft.max < high ? draft.max : undefined
+      });
+    }, PRICE_DELAY);
+
+    return () => clearTimeout(timerRef.current);
+  }, [draft, committedMin, committedMax, low, high, onChange]);
+
+  const toggleCategory = (value) => {
+    onChange({
+      category: category.includes(value)
+        ? category.filter(checked => checked !== value)
+        : [...category, value]
+    });
+  };
+
+  const hasFilters = category.length > 0 || minPrice !== undefined || maxPrice !== undefined;
+
+  return (
+    <aside className="facet-sidebar" aria-label="Filters">
+      <div className="facet-header">
+        <h2 className="facet-title">Filters</h2>
+        {hasFilters && (
+          <button
+            type="button"
+            className="suggestion-link"
+            onClick={() => onChange({ category: [], minPrice: undefined, maxPrice: undefined })}
+          >
+            Clear all
+          </button>
+        )}
+      </div>
+
+      <fieldset className="facet-group">
+        <legend>Category</legend>
+        {categoryFacets.map(({ value, count }) => {
+          const checked = category.includes(value);
+          return (
+            <label key={value} className={`facet-option${count === 0 && !checked ? ' empty' : ''}`}>
+              <input
+                type="checkbox"
+                checked={checked}
+                disabled={count === 0 && !checked}
+                onChange={() => toggleCategory(value)}
+              />
+              {value}
+              {count !== null && <span className="facet-count"> ({count})</span>}
+            </label>
+          );
+        })}
+      </fieldset>
+
+      {price && (
+        <fieldset className="facet-group">
+          <legend>Price</legend>
+
+          <div className="facet-bands">
+            {price.bands.map(band => {
+              const filter = bandFilter(band);
+              const active = filter.minPrice === minPrice && filter.maxPrice === maxPrice;
+              return (
+                <button
+                  key={band.min}
+                  type="button"
+                  className={`facet-band${active ? ' active' : ''}`}
+                  aria-pressed={active}
+                  disabled={band.count === 0 && !active}
+                  onClick={() => onChange(active ? { minPrice: undefined, maxPrice: undefined } : filter)}
+                >
+                  {bandLabel(band)}
+                  <span className="facet-count"> ({band.count})</span>
+                </button>
+              );
+            })}
+          </div>
+
+          {high > low && (
+            <div className="price-range">
+              <div className="price-range-values" aria-live="polite">
+                ${draft.min} – ${draft.max}
+              </div>
+              <input
+                type="range"
+                aria-label="Minimum price"
+                min={low}
+                max={high}
+                step="1"
+                value={draft.min}
+                onChange={e => {
+                  const value = Number(e.target.value);
+                  setDraft(prev => ({ ...prev, min: Math.min(value, prev.max) }));
+                }}
+              />
+              <input
+                type="range"
+                aria-label="Maximum price"
+                min={low}
+                max={high}
+                step="1"
+                value={draft.max}
+                onChange={e => {
+                  const value = Number(e.target.value);
+                  setDraft(prev => ({ ...prev, max: Math.max(value, prev.min) }));
+                }}
+              />
+            </div>
+          )}
+        </fieldset>
+      )}
+    </aside>
+  );
+};
+
+export default FacetSidebar;
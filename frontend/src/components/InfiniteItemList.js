@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useRef, useCallback, useImperativeHandle } from 'react';
+import { FixedSizeList } from 'react-window';
+import ItemCard, { ItemCardSkeleton } from './ItemCard';
+import { loadSessionState, saveSessionState } from '../utils/sessionState';
+import { fetchJson } from '../utils/api';
+import { useCatalogEvents } from '../utils/events';
+import { parseListParams, matchesFilters } from '../utils/listParams';
+
+const PAGE_SIZE = 20;
+const ROW_HEIGHT = 140;
+const LIST_HEIGHT = 600;
+
+// Start fetching the next page this many rows before the user reaches it
+const PREFETCH_ROWS = 10;
+
+// Where the scroll position is remembered between visits
+const SCROLL_STATE_KEY = 'infiniteScroll';
+
+/**
+ * Scroll container for the list, labelled for assistive technology
+ */
+const ListViewport = React.forwardRef((props, ref) => (
+  <div ref={ref} role="region" aria-label="Item results" tabIndex={0} {...props} />
+));
+
+/**
+ * InfiniteItemList Component
+ * Virtualized list over the whole result set:
+ * - The list is sized to the total item count from the first page
+ * - Pages are fetched as their rows come into (or near) view and kept in memory
+ * - Rows whose page hasn't arrived yet render as placeholders
+ * - The scroll position is remembered and restored when the user comes back
+ * - Loaded rows are updated in place when their items change on the server,
+ *   and taken out when they are deleted there; new items are left to the
+ *   parent to offer (see Items' "new items" banner)
+ *
+ * The rows are one array over the whole result set, with undefined for
+ * those not loaded yet. Taking a row out moves the later ones up, as the
+ * same delete does to the server's pages, so pages fetched afterwards
+ * still land in the right place.
+ *
+ * The parent can change the rows through the ref, as { rows, setRows },
+ * e.g. to show its own edits and deletes straight away.
+ *
+ * @param {string} query - Search query to list results for
+ * @param {string} filters - Category, price and sort params for GET /api/items,
+ *   as a query string
+ * @param {boolean} facets - Ask for facet counts with the first page
+ * @param {Function} onPageLoaded - Called with (response, page) for each page fetched
+ * @param {Function} onEdit - Passed on to each row's ItemCard
+ * @param {Function} onDelete - Passed on to each row's ItemCard
+ */
+const InfiniteItemList = React.forwardRef(({
+  query,
+  filters = '',
+  facets = false,
+  onPageLoaded,
+  onEdit,
+  onDelete
+}, ref) => {
+  // null until the first page arrives
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+
+  useImperativeHandle(ref, () => ({ rows: rows || [], setRows }), [rows]);
+
+  // Scroll position to open the list at: the remembered one if it was for
+  // the same query and filters, otherwise the top
+  const restoreOffsetRef = useRef(null);
+  if (restoreOffsetRef.current === null) {
+    const saved = loadSessionState(SCROLL_STATE_KEY);
+    restoreOffsetRef.current = saved && saved.query === query && (saved.filters || '') === filters
+      ? saved.scrollOffset
+      : 0;
+  }
+
+  const isMountedRef = useRef(true);
+  // Pages on their way
+  const requestedPagesRef = useRef(new Set());
+  const visibleRangeRef = useRef({ start: 0, stop: 0 });
+  const scrollOffsetRef = useRef(restoreOffsetRef.current);
+  const searchRef = useRef({ query, filters });
+  const onPageLoadedRef = useRef(onPageLoaded);
+
+  // Responses for a previous query are dropped when they arrive
+  const generationRef = useRef(0);
+
+  onPageLoadedRef.current = onPageLoaded;
+
+  // Remember where the user was when the list goes away
+  useEffect(() => {
+    isMountedRef.current = true;
+
+    return () => {
+      isMountedRef.current = false;
+      const { query: savedQuery, filters: savedFilters } = searchRef.current;
+      saveSessionState(SCROLL_STATE_KEY, {
+        query: savedQuery,
+        ...(savedFilters && { filters: savedFilters }),
+        scrollOffset: scrollOffsetRef.current
+      });
+    };
+  }, []);
+
+  /**
+   * Fetch one page unless it is on its way already
+   */
+  const fetchPage = useCallback(async (page) => {
+    if (requestedPagesRef.current.has(page)) return;
+    requestedPagesRef.current.add(page);
+
+    const generation = generationRef.current;
+
+    try {
+      const params = new URLSearchParams({
+        page: page.toString(),
+        limit: PAGE_SIZE.toString(),
+        ...(query && { q: query }),
+        ...(facets && page === 1 && { facets: 'true' })
+      });
+      new URLSearchParams(filters).forEach((value, key) => params.append(key, value));
+
+      const data = await fetchJson(`/api/items?${params}`);
+
+      if (!isMountedRef.current || generation !== generationRef.current) return;
+
+      // The list follows the server's count, which may have moved since
+      setRows(prev => {
+        const next = Array.from({ length: data.pagination.totalItems }, (_, i) => (prev ? prev[i] : undefined));
+        data.items.forEach((item, i) => {
+          next[(page - 1) * PAGE_SIZE + i] = item;
+        });
+        return next;
+      });
+      setError(null);
+      if (onPageLoadedRef.current) {
+        onPageLoadedRef.current(data, page);
+      }
+    } catch (err) {
+      if (isMountedRef.current && generation === generationRef.current) {
+        setError(err.message);
+      }
+    } finally {
+      if (generation === generationRef.current) {
+        requestedPagesRef.current.delete(page);
+      }
+    }
+  }, [query, filters, facets]);
+
+  // Start over whenever the query or filters change
+  useEffect(() => {
+    // A new search starts at the top (the list remounts once page 1 arrives)
+    if (searchRef.current.query !== query || searchRef.current.filters !== filters) {
+      searchRef.current = { query, filters };
+      restoreOffsetRef.current = 0;
+      scrollOffsetRef.current = 0;
+    }
+
+    generationRef.current += 1;
+    requestedPagesRef.current = new Set();
+    setRows(null);
+    setError(null);
+    fetchPage(1);
+  }, [query, filters, fetchPage]);
+
+  // Keep loaded rows current as items change on the server
+  useCatalogEvents(({ type, data }) => {
+    if (type === 'item.updated') {
+      // An item the update takes out of the filters leaves the list
+      const kept = matchesFilters(data.item, parseListParams(new URLSearchParams(filters)));
+      setRows(prev => prev && (kept
+        ? prev.map(item => (item && item.id === data.item.id ? { ...item, ...data.item } : item))
+        : prev.filter(item => !item || item.id !== data.item.id)));
+    } else if (type === 'item.deleted') {
+      setRows(prev => prev && prev.filter(item => !item || item.id !== data.id));
+    }
+  });
+
+  /**
+   * Fetch every page with rows missing in the given row range (plus the
+   * prefetch margin)
+   */
+  const fetchRange = useCallback((start, stop) => {
+    if (rows === null) return;
+
+    const lastRow = Math.min(stop + PREFETCH_ROWS, rows.length - 1);
+    for (let index = start; index <= lastRow; index++) {
+      if (!rows[index]) fetchPage(Math.floor(index / PAGE_SIZE) + 1);
+    }
+  }, [fetchPage, rows]);
+
+  const handleItemsRendered = ({ visibleStartIndex, visibleStopIndex }) => {
+    visibleRangeRef.current = { start: visibleStartIndex, stop: visibleStopIndex };
+    fetchRange(visibleStartIndex, visibleStopIndex);
+  };
+
+  const handleScroll = ({ scrollOffset }) => {
+    scrollOffsetRef.current = scrollOffset;
+  };
+
+  const handleRetry = () => {
+    setError(null);
+    fetchRange(visibleRangeRef.current.start, visibleRangeRef.current.stop);
+  };
+
+  /**
+   * Virtualized row renderer - a placeholder until the row's page arrives
+   */
+  const Row = useCallback(({ index, style }) => {
+    const item = rows[index];
+
+    return (
+      <div style={style}>
+        {item ? <ItemCard item={item} onEdit={onEdit} onDelete={onDelete} /> : <ItemCardSkeleton />}
+      </div>
+    );
+  }, [rows, onEdit, onDelete]);
+
+  if (rows === null) {
+    return (
+      <div className="skeleton-container">
+        {error ? (
+          <div className="list-error" role="alert">
+            {error}{' '}
+            <button type="button" className="suggestion-link" onClick={() => fetchPage(1)}>
+              Retry
+            </button>
+          </div>
+        ) : (
+          [...Array(5)].map((_, i) => <ItemCardSkeleton key={i} />)
+        )}
+      </div>
+    );
+  }
+
+  if (rows.length === 0) {
+    return (
+      <div className="no-results">
+        <p>No items found{query ? ` matching "${query}"` : ''}</p>
+      </div>
+    );
+  }
+
+  const loadedCount = rows.filter(Boolean).length;
+
+  return (
+    <>
+      <div className="stats-summary infinite-summary">
+        Loaded {loadedCount} of {rows.length} items
+      </div>
+
+      {error && (
+        <div className="list-error" role="alert">
+          Couldn't load more items: {error}{' '}
+          <button type="button" className="suggestion-link" onClick={handleRetry}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      <FixedSizeList
+        height={LIST_HEIGHT}
+        itemCount={rows.length}
+        itemSize={ROW_HEIGHT}
+        width="100%"
+        className="virtualized-list"
+        outerElementType={ListViewport}
+        initialScrollOffset={restoreOffsetRef.current}
+        onItemsRendered={handleItemsRendered}
+        onScroll={handleScroll}
+      >
+        {Row}
+      </FixedSizeList>
+    </>
+  );
+});
+
+export default InfiniteItemList;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+/**
+ * ItemCard Component
+ * A single item as shown in the list. The name links to the item's detail
+ * page, and the whole card is a click target for it; Tab and Enter reach it
+ * from the keyboard.
+ *
+ * @param {Object} item - The item; `pending` marks one still being saved
+ * @param {Function} onEdit - Called with the item from its Edit button (no button without it)
+ * @param {Function} onDelete - Called with the item from its Delete button
+ */
+const ItemCard = ({ item, onEdit, onDelete }) => (
+  <div className={`item-card${item.pending ? ' pending' : ''}`} aria-busy={item.pending || undefined}>
+    <div className="item-header">
+      <h3 className="item-name">
+        {item.pending ? item.name : (
+          <Link to={`/items/${item.id}`} className="item-card-link">{item.name}</Link>
+        )}
+      </h3>
+      <span className="item-price">${item.price.toFixed(2)}</span>
+    </div>
+    <p className="item-description">{item.description}</p>
+    <div className="item-footer">
+      <span className="item-category">{item.category}</span>
+      {!item.pending && (onEdit || onDelete) && (
+        <div className="item-actions">
+          {onEdit && (
+            <button type="button" className="item-action" onClick={() => onEdit(item)} aria-label={`Edit ${item.name}`}>
+              Edit
+            </button>
+          )}
+          {onDelete && (
+            <button type="button" className="item-action danger" onClick={() => onDelete(item)} aria-label={`Delete ${item.name}`}>
+              Delete
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+/**
+ * Placeholder card shown while items load
+ */
+export const ItemCardSkeleton = () => (
+  <div className="item-card skeleton" aria-hidden="true">
+    <div className="skeleton-header">
+      <div className="skeleton-title"></div>
+      <div className="skeleton-price"></div>
+    </div>
+    <div className="skeleton-description"></div>
+    <div className="skeleton-category"></div>
+  </div>
+);
+
+export default ItemCard;
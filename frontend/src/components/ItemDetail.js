@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useNavigate, useParams, useLocation } from 'react-router-dom';
+import { ItemCardSkeleton } from './ItemCard';
+import { fetchJson } from '../utils/api';
+import { useCatalogEvents } from '../utils/events';
+import './Items.css';
+import './ItemDetail.css';
+
+/**
+ * ItemDetail Component
+ * The page for one item, at /items/:id
+ * - Fetches the item from GET /api/items/:id, with a "not found" page for
+ *   ids the API doesn't know
+ * - "Back" returns to the list as it was left when the user came from it,
+ *   and goes to the list otherwise (e.g. after opening a shared link)
+ * - Follows changes to the item pushed by the server
+ */
+const ItemDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [item, setItem] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [deleted, setDeleted] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  const fetchItem = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setNotFound(false);
+      setDeleted(false);
+
+      const data = await fetchJson(`/api/items/${encodeURIComponent(id)}`);
+
+      if (isMountedRef.current) {
+        setItem(data);
+        setLoading(false);
+      }
+    } catch (err) {
+      if (!isMountedRef.current) return;
+      // Ids that aren't numbers are rejected before the lookup
+      if (err.status === 404 || err.status === 400) {
+        setNotFound(true);
+      } else {
+        setError(err.message);
+      }
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchItem();
+  }, [fetchItem]);
+
+  useCatalogEvents(({ type, data }) => {
+    if (type === 'item.updated' && item && data.item.id === item.id) {
+      setItem(data.item);
+    } else if (type === 'item.deleted' && item && data.id === item.id) {
+      setDeleted(true);
+    }
+  });
+
+  // The first page of a visit has the "default" key: nothing of ours to go back to
+  const handleBack = () => {
+    if (location.key !== 'default') {
+      navigate(-1);
+    } else {
+      navigate('/');
+    }
+  };
+
+  const backButton = (
+    <button type="button" className="back-button" onClick={handleBack}>
+      ← Back to items
+    </button>
+  );
+
+  if (loading) {
+    return (
+      <div className="item-detail">
+        {backButton}
+        <ItemCardSkeleton />
+      </div>
+    );
+  }
+
+  if (notFound) {
+    return (
+      <div className="item-detail">
+        {backButton}
+        <div className="no-results" role="alert">
+          <h2>Item not found</h2>
+          <p>There is no item with id {id}. It may have been deleted.</p>
+          <Link to="/" className="suggestion-link">Browse all items</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <div className="error-message">
+          <h2>⚠️ Error</h2>
+          <p>{error}</p>
+          <button onClick={fetchItem} className="retry-button">
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="item-detail">
+      {backButton}
+
+      {deleted && (
+        <div className="list-error" role="alert">
+          This item has just been deleted.
+        </div>
+      )}
+
+      <article className="item-card item-detail-card" aria-labelledby="item-detail-name">
+        <div className="item-header">
+          <h2 id="item-detail-name" className="item-name">{item.name}</h2>
+          <span className="item-price">${item.price.toFixed(2)}</span>
+        </div>
+        {item.description && <p className="item-description">{item.description}</p>}
+        <span className="item-category">{item.category}</span>
+
+        <dl className="item-detail-meta">
+          <dt>Item ID</dt>
+          <dd>{item.id}</dd>
+          {item.version !== undefined && (
+            <>
+              <dt>Version</dt>
+              <dd>{item.version}</dd>
+            </>
+          )}
+          {item.updatedAt && (
+            <>
+              <dt>Last updated</dt>
+              <dd>{new Date(item.updatedAt).toLocaleString()}</dd>
+            </>
+          )}
+        </dl>
+      </article>
+    </div>
+  );
+};
+
+export default ItemDetail;
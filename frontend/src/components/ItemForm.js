@@ -0,0 +1,153 @@
+import React, { useState, useId } from 'react';
+import Modal from './Modal';
+import { CATEGORIES, LIMITS, validateItem } from '../utils/itemValidation';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  price: 'Price',
+  category: 'Category'
+};
+
+/**
+ * Form values for an item, or blank ones for a new item
+ */
+const formValues = item => ({
+  name: item ? item.name : '',
+  description: item ? item.description || '' : '',
+  price: item ? String(item.price) : '',
+  category: item ? item.category : ''
+});
+
+/**
+ * ItemForm Component
+ * Dialog for adding an item, or editing one
+ * - Fields are checked as the API would check them (see utils/itemValidation)
+ *   when they lose focus and on submit; nothing is sent while any is invalid
+ * - Errors the server reports for a field are shown under that field
+ * - If the item was changed by someone else meanwhile, the form keeps the
+ *   user's edits and says so; saving again overwrites the other change
+ *
+ * @param {Object} item - The item to edit; omit to add a new one
+ * @param {Function} onSubmit - Called with (fields, baseItem); returns a
+ *   promise that rejects with the server's error when the save fails
+ * @param {Function} onClose - Called when the form is dismissed or saved
+ */
+const ItemForm = ({ item, onSubmit, onClose }) => {
+  const [values, setValues] = useState(() => formValues(item));
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // The stored item the save is based on; moves on after a conflict
+  const [baseItem, setBaseItem] = useState(item);
+
+  const idPrefix = useId();
+  const fieldId = field => `${idPrefix}-${field}`;
+
+  const handleChange = (field) => (event) => {
+    setValues(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  // Check a field once the user leaves it
+  const handleBlur = (field) => () => {
+    const message = validateItem(values).errors[field];
+    setErrors(prev => {
+      const next = { ...prev };
+      if (message) next[field] = message; else delete next[field];
+      return next;
+    });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (saving) return;
+
+    const { value, errors: fieldErrors } = validateItem(values);
+    setErrors(fieldErrors);
+    setFormError(null);
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    setSaving(true);
+    try {
+      await onSubmit(value, baseItem);
+      onClose();
+    } catch (err) {
+      setSaving(false);
+      if (err.details) {
+        const serverErrors = {};
+        err.details.forEach(({ field, message }) => {
+          serverErrors[field] = message;
+        });
+        setErrors(serverErrors);
+        setFormError(err.message);
+      } else if (err.current) {
+        setBaseItem(err.current);
+        setFormError('Someone else changed this item while you were editing. Save again to replace their changes with yours.');
+      } else {
+        setFormError(err.message);
+      }
+    }
+  };
+
+  const renderField = (field, input) => (
+    <div className="form-field">
+      <label htmlFor={fieldId(field)}>{FIELD_LABELS[field]}</label>
+      {input}
+      {errors[field] && (
+        <span id={`${fieldId(field)}-error`} className="field-error">
+          {FIELD_LABELS[field]} {errors[field]}
+        </span>
+      )}
+    </div>
+  );
+
+  const fieldProps = (field) => ({
+    id: fieldId(field),
+    name: field,
+    value: values[field],
+    onChange: handleChange(field),
+    onBlur: handleBlur(field),
+    'aria-invalid': Boolean(errors[field]),
+    'aria-describedby': errors[field] ? `${fieldId(field)}-error` : undefined
+  });
+
+  return (
+    <Modal title={item ? `Edit ${item.name}` : 'Add item'} onClose={onClose}>
+      <form className="item-form" onSubmit={handleSubmit} noValidate>
+        {formError && (
+          <div className="list-error" role="alert">{formError}</div>
+        )}
+
+        {renderField('name', (
+          <input type="text" maxLength={LIMITS.name.maxLength} autoFocus {...fieldProps('name')} />
+        ))}
+        {renderField('description', (
+          <textarea rows={3} maxLength={LIMITS.description.maxLength} {...fieldProps('description')} />
+        ))}
+        {renderField('price', (
+          <input type="number" min="0" step="0.01" inputMode="decimal" {...fieldProps('price')} />
+        ))}
+        {renderField('category', (
+          <select {...fieldProps('category')}>
+            <option value="">Choose a category</option>
+            {CATEGORIES.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+        ))}
+
+        <div className="form-actions">
+          <button type="button" className="secondary-button" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="pagination-button" disabled={saving}>
+            {saving ? 'Saving…' : item ? 'Save changes' : 'Add item'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ItemForm;
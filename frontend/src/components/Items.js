@@ -1,14 +1,56 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { FixedSizeList } from 'react-window';
+import SearchBox from './SearchBox';
+import ItemCard, { ItemCardSkeleton } from './ItemCard';
+import InfiniteItemList from './InfiniteItemList';
+import FacetSidebar from './FacetSidebar';
+import ItemForm from './ItemForm';
+import Modal from './Modal';
+import Toast from './Toast';
+import { loadSessionState, saveSessionState } from '../utils/sessionState';
+import { fetchJson } from '../utils/api';
+import { useCatalogEvents } from '../utils/events';
+import { createItem, updateItem, deleteItem, restoreItem } from '../utils/itemsApi';
+import {
+  SORT_OPTIONS, parseListParams, filterParams, toSearchParams, matchesFilters, changeUnsettlesList
+} from '../utils/listParams';
 import './Items.css';
 
+// Ways to page through the list, as offered by the toggle
+const PAGING_MODES = [
+  ['pages', 'Pages'],
+  ['loadMore', 'Load more'],
+  ['infinite', 'Infinite scroll']
+];
+
+const PAGING_MODE_KEY = 'pagingMode';
+
+// Wait this long after a keystroke before searching
+const SEARCH_DELAY = 500;
+
 /**
  * Items Component
  * Features:
  * - Memory leak fix using useEffect cleanup
- * - Pagination with server-side data
+ * - Pagination with server-side data: numbered pages, or cursor-based
+ *   "load more" that stays stable while items are added or removed,
+ *   or infinite scroll; the chosen mode is remembered for the session
  * - Server-side search with debouncing
+ * - Typeahead completions under the search box
+ * - A sidebar of category and price facets, with counts over the
+ *   current search, that narrows the list
+ * - "Did you mean" suggestions for misspelled searches
+ * - Live updates: rows change in place as items are edited or deleted on
+ *   the server, and an "N new items" banner offers to show new ones
  * - Virtualization for performance with react-window
+ * - The search, filters, sort and page live in the URL (see
+ *   utils/listParams.js): list views can be bookmarked, back and forward
+ *   step through them, and coming back from an item returns to the same
+ *   results
+ * - Rows link to the item's detail page
+ * - Adding, editing and deleting items: the list changes straight away and
+ *   goes back if the server refuses; a delete can be undone from its toast
  * - Loading and skeleton states
  * - Responsive design
  */
@@ -16,23 +58,77 @@ const Items = () => {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [currentPage, setCurrentPage] = useState(1);
+  // The list shown, as given by the URL; activeQuery is the search it is for
+  const [searchParams, setSearchParams] = useSearchParams();
+  const listState = useMemo(() => parseListParams(searchParams), [searchParams]);
+  const { q: activeQuery, page: currentPage } = listState;
+
+  // Search, filter and sort params for the API, as a string effects can
+  // compare, and the same without the search for the infinite list
+  const filterQuery = filterParams(listState).toString();
+  const filtersOnly = filterParams({ ...listState, q: '' }).toString();
+
+  // What is in the search box, which becomes activeQuery once the user stops typing
+  const [searchQuery, setSearchQuery] = useState(activeQuery);
   const [pagination, setPagination] = useState(null);
   const [isSearching, setIsSearching] = useState(false);
-  
+  const [suggestions, setSuggestions] = useState([]);
+  // Category and price counts for the sidebar; the last ones stay up while
+  // the next arrive
+  const [facets, setFacets] = useState(null);
+  const [pagingMode, setPagingMode] = useState(() => {
+    const saved = loadSessionState(PAGING_MODE_KEY);
+    return PAGING_MODES.some(([mode]) => mode === saved) ? saved : 'pages';
+  });
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Ids of items created elsewhere since the list was loaded, and whether
+  // the catalog changed in ways the events didn't spell out
+  const [newItemIds, setNewItemIds] = useState([]);
+  const [catalogChanged, setCatalogChanged] = useState(false);
+  const newItemCount = newItemIds.length;
+
+  // Open dialog - { type: 'form', item } (no item when adding) or
+  // { type: 'delete', item } - and the toast showing, if any
+  const [dialog, setDialog] = useState(null);
+  const [toast, setToast] = useState(null);
+
+  // Bumped to make the infinite list start over
+  const [listKey, setListKey] = useState(0);
+
+  // The infinite list, which keeps its own rows
+  const infiniteListRef = useRef(null);
+
   // Ref to track if component is mounted - prevents memory leak
   const isMountedRef = useRef(true);
+
+  // Paging mode as seen by fetchItems, which is created once
+  const pagingModeRef = useRef(pagingMode);
+
+  // Abort controller of the list request in flight, "load more" included; a
+  // newer list request aborts it, so a slow response can't replace or add
+  // to a later list
+  const requestRef = useRef(null);
   
   // Debounce timer ref
   const debounceTimerRef = useRef(null);
 
+  // Ids of items this view created or brought back itself, which the
+  // "new items" banner shouldn't count
+  const ownItemIdsRef = useRef(new Set());
+
+  // Numbers the placeholder rows of items being added
+  const tempIdRef = useRef(0);
+
   // Cleanup on unmount to prevent memory leaks
   useEffect(() => {
     isMountedRef.current = true;
     
     return () => {
       isMountedRef.current = false;
+      if (requestRef.current) {
+        requestRef.current.abort();
+      }
       // Clear any pending debounce timers
       if (debounceTimerRef.current) {
         clearTimeout(debounceTimerRef.current);
@@ -42,92 +138,353 @@ const Items = () => {
 
   /**
    * Fetch items from the API
-   * Uses abort controller to cancel pending requests if component unmounts
+   * Only the latest request counts: starting one aborts the one before, and
+   * unmounting aborts whichever is in flight.
    */
-  const fetchItems = useCallback(async (page = 1, search = '') => {
-    // Create abort controller to cancel request if component unmounts
+  const fetchItems = useCallback(async (page = 1, filters = '') => {
+    // A fresh list takes in whatever the banner was counting
+    setNewItemIds([]);
+    setCatalogChanged(false);
+
+    if (requestRef.current) {
+      requestRef.current.abort();
+      requestRef.current = null;
+    }
+    setLoadingMore(false);
+
+    // The infinite list fetches its own pages
+    if (pagingModeRef.current === 'infinite') {
+      setLoading(false);
+      setIsSearching(false);
+      return;
+    }
+
     const abortController = new AbortController();
-    
+    requestRef.current = abortController;
+    const isLatest = () => isMountedRef.current && requestRef.current === abortController;
+
     try {
       setLoading(true);
       setError(null);
 
+      // "Load more" mode starts from the first cursor page
       const params = new URLSearchParams({
-        page: page.toString(),
+        ...(pagingModeRef.current === 'loadMore'
+          ? { paging: 'cursor' }
+          : { page: page.toString() }),
         limit: '20',
-        ...(search && { q: search })
+        facets: 'true'
       });
+      new URLSearchParams(filters).forEach((value, key) => params.append(key, value));
 
-      const response = await fetch(`/api/items?${params}`, {
+      // Revisits of a page are revalidated rather than downloaded again
+      const data = await fetchJson(`/api/items?${params}`, {
         signal: abortController.signal
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      // Only update state if component is still mounted
-      if (isMountedRef.current) {
+      // Only update state for the latest request, if still mounted
+      if (isLatest()) {
+        requestRef.current = null;
         setItems(data.items);
         setPagination(data.pagination);
+        setSuggestions(data.suggestions || []);
+        setFacets(data.facets || null);
         setLoading(false);
         setIsSearching(false);
       }
     } catch (err) {
-      // Don't update state if error is due to abort (component unmounted)
-      if (err.name !== 'AbortError' && isMountedRef.current) {
+      // An aborted or overtaken request leaves the state to the newer one
+      if (err.name !== 'AbortError' && isLatest()) {
+        requestRef.current = null;
         setError(err.message);
         setLoading(false);
         setIsSearching(false);
       }
     }
-
-    return () => {
-      abortController.abort();
-    };
   }, []);
 
-  // Fetch items on mount and when page changes
+  /**
+   * Show another list: the changes are made to the URL, as a new history
+   * entry. Anything but a page change starts from the first page.
+   * @param {Object} changes - Any of q, page, category, minPrice, maxPrice, sort
+   */
+  const updateList = useCallback((changes) => {
+    setSearchParams(prev => toSearchParams({ ...parseListParams(prev), page: 1, ...changes }));
+  }, [setSearchParams]);
+
+  // Fetch items on mount and whenever the page, search, filters or sort change
   useEffect(() => {
-    if (!searchQuery) {
-      fetchItems(currentPage, '');
-    }
-  }, [currentPage, fetchItems, searchQuery]);
+    fetchItems(currentPage, filterQuery);
+  }, [currentPage, filterQuery, fetchItems]);
 
-  // Debounced search handler
+  // Show the URL's search in the box when it changes from elsewhere, e.g.
+  // going back or forward
   useEffect(() => {
-    // Clear previous timer
-    if (debounceTimerRef.current) {
-      clearTimeout(debounceTimerRef.current);
-    }
+    setSearchQuery(activeQuery);
+  }, [activeQuery]);
 
-    // Set up debounce
-    if (searchQuery !== '') {
-      setIsSearching(true);
-      debounceTimerRef.current = setTimeout(() => {
-        fetchItems(1, searchQuery);
-      }, 500); // 500ms debounce
-    } else {
-      setCurrentPage(1);
-      fetchItems(1, '');
+  // Debounced search
+  useEffect(() => {
+    if (searchQuery === activeQuery) {
+      setIsSearching(false);
+      return undefined;
     }
 
+    setIsSearching(true);
+    debounceTimerRef.current = setTimeout(() => updateList({ q: searchQuery }), SEARCH_DELAY);
+
     return () => {
       if (debounceTimerRef.current) {
         clearTimeout(debounceTimerRef.current);
       }
     };
-  }, [searchQuery, fetchItems]);
+  }, [searchQuery, activeQuery, updateList]);
 
-  const handleSearchChange = (e) => {
-    setSearchQuery(e.target.value);
-    setCurrentPage(1); // Reset to page 1 when searching
+  /**
+   * Load the first page again, e.g. after the paging mode changed
+   */
+  const reloadFirstPage = () => {
+    if (currentPage === 1) {
+      fetchItems(1, filterQuery);
+    } else {
+      updateList({});
+    }
+  };
+
+  // Apply changes pushed by the server to the rows on screen
+  useCatalogEvents(({ type, data }) => {
+    if (type === 'item.updated') {
+      // An item the update takes out of the filters leaves the page (the
+      // infinite list drops its own row); one the search or sort may now
+      // place elsewhere is merged, and the list offered for reloading
+      const listed = currentRows().find(item => item && item.id === data.item.id);
+      if (!matchesFilters(data.item, listState)) {
+        setItems(prev => prev.filter(item => item.id !== data.item.id));
+        return;
+      }
+      setItems(prev => prev.map(item => (item.id === data.item.id ? { ...item, ...data.item } : item)));
+      if (listed && changeUnsettlesList(listed, { ...listed, ...data.item }, listState)) {
+        setCatalogChanged(true);
+      }
+    } else if (type === 'item.deleted') {
+      setItems(prev => prev.filter(item => item.id !== data.id));
+    } else if (type === 'item.created' && !ownItemIdsRef.current.has(data.item.id)) {
+      setNewItemIds(ids => (ids.includes(data.item.id) ? ids : [...ids, data.item.id]));
+    } else if (type === 'items.reset') {
+      setCatalogChanged(true);
+    }
+  });
+
+  /**
+   * Reload the list from the top to take in new items
+   */
+  const handleShowNewItems = () => {
+    if (pagingModeRef.current === 'infinite') {
+      setNewItemIds([]);
+      setCatalogChanged(false);
+      setListKey(key => key + 1);
+      return;
+    }
+    reloadFirstPage();
+  };
+
+  // The rows on screen, and a setter for them: the infinite list's in
+  // infinite mode, otherwise the page's. Rows not loaded yet are undefined.
+  const currentRows = () => (pagingModeRef.current === 'infinite'
+    ? (infiniteListRef.current ? infiniteListRef.current.rows : [])
+    : items);
+  const setRows = (update) => {
+    if (pagingModeRef.current !== 'infinite') {
+      setItems(update);
+    } else if (infiniteListRef.current) {
+      infiniteListRef.current.setRows(prev => prev && update(prev));
+    }
+  };
+
+  const adjustTotal = (delta) => {
+    setPagination(prev => (prev && prev.totalItems !== undefined
+      ? { ...prev, totalItems: prev.totalItems + delta }
+      : prev));
+  };
+
+  const openItemForm = useCallback((item) => setDialog({ type: 'form', item }), []);
+  const confirmDelete = useCallback((item) => setDialog({ type: 'delete', item }), []);
+  const closeDialog = () => setDialog(null);
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  /**
+   * Save the item form
+   * The list shows the new or changed item at once, marked pending, and
+   * goes back to how it was if the save fails. The error is rethrown for
+   * the form to show.
+   * @param {Object} fields - Validated fields
+   * @param {Object} baseItem - The stored item being edited; none when adding
+   */
+  const handleSave = async (fields, baseItem) => {
+    if (!baseItem) {
+      // The infinite list has its own rows; it starts over to show the item
+      if (pagingModeRef.current === 'infinite') {
+        const created = await createItem(fields);
+        ownItemIdsRef.current.add(created.id);
+        setListKey(key => key + 1);
+        return;
+      }
+
+      tempIdRef.current += 1;
+      const tempId = `new-${tempIdRef.current}`;
+      setItems(prev => [{ ...fields, id: tempId, pending: true }, ...prev]);
+      adjustTotal(1);
+
+      try {
+        const created = await createItem(fields);
+        ownItemIdsRef.current.add(created.id);
+        setNewItemIds(ids => ids.filter(id => id !== created.id));
+        setItems(prev => prev.map(item => (item.id === tempId ? created : item)));
+      } catch (err) {
+        setItems(prev => prev.filter(item => item.id !== tempId));
+        adjustTotal(-1);
+        throw err;
+      }
+      return;
+    }
+
+    const original = currentRows().find(item => item && item.id === baseItem.id) || baseItem;
+    const replaceRow = (row) => setRows(prev => prev.map(item => (item && item.id === baseItem.id ? row : item)));
+
+    replaceRow({ ...original, ...fields, pending: true });
+    try {
+      replaceRow(await updateItem(baseItem, fields));
+    } catch (err) {
+      // After a conflict, show the row as it is stored now
+      replaceRow(err.current ? { ...original, ...err.current } : original);
+      throw err;
+    }
+  };
+
+  /**
+   * Delete a confirmed item: it leaves the list at once, and comes back if
+   * the delete fails. The toast offers to undo it.
+   */
+  const handleDelete = async (item) => {
+    setDialog(null);
+
+    const index = currentRows().findIndex(row => row && row.id === item.id);
+    const putBack = (row) => setRows(prev => {
+      if (prev.some(existing => existing && existing.id === row.id)) return prev;
+      const next = prev.slice();
+      next.splice(Math.max(0, Math.min(index, next.length)), 0, row);
+      return next;
+    });
+
+    setRows(prev => prev.filter(row => !row || row.id !== item.id));
+    adjustTotal(-1);
+
+    try {
+      await deleteItem(item);
+      setToast({
+        message: `Deleted "${item.name}"`,
+        actionLabel: 'Undo',
+        onAction: () => handleUndoDelete(item, putBack)
+      });
+    } catch (err) {
+      putBack(item);
+      adjustTotal(1);
+      setToast({ message: `Couldn't delete "${item.name}": ${err.message}` });
+    }
+  };
+
+  /**
+   * Bring a deleted item back where it was
+   */
+  const handleUndoDelete = async (item, putBack) => {
+    ownItemIdsRef.current.add(item.id);
+    putBack({ ...item, pending: true });
+    adjustTotal(1);
+
+    try {
+      const restored = await restoreItem(item.id);
+      setRows(prev => prev.map(row => (row && row.id === item.id ? { ...item, ...restored } : row)));
+    } catch (err) {
+      setRows(prev => prev.filter(row => !row || row.id !== item.id));
+      adjustTotal(-1);
+      setToast({ message: `Couldn't restore "${item.name}": ${err.message}` });
+    }
+  };
+
+  /**
+   * Append the page after pagination.nextCursor ("load more" mode)
+   * Not while a new list is on its way, whose cursor it would need.
+   */
+  const fetchMore = async () => {
+    if (!pagination || !pagination.nextCursor || loadingMore || requestRef.current) return;
+
+    const abortController = new AbortController();
+    requestRef.current = abortController;
+    const isLatest = () => isMountedRef.current && requestRef.current === abortController;
+
+    try {
+      setLoadingMore(true);
+
+      const params = new URLSearchParams(filterQuery);
+      params.set('cursor', pagination.nextCursor);
+      params.set('limit', '20');
+
+      const data = await fetchJson(`/api/items?${params}`, { signal: abortController.signal });
+
+      if (isLatest()) {
+        requestRef.current = null;
+        setItems(prev => [...prev, ...data.items]);
+        setPagination(data.pagination);
+        setLoadingMore(false);
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError' && isLatest()) {
+        requestRef.current = null;
+        setError(err.message);
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  const handlePagingModeChange = (mode) => {
+    if (mode === pagingModeRef.current) return;
+
+    pagingModeRef.current = mode;
+    setPagingMode(mode);
+    saveSessionState(PAGING_MODE_KEY, mode);
+    reloadFirstPage();
+  };
+
+  // The infinite list's first page carries the "did you mean" suggestions
+  // and the facet counts
+  const handleInfinitePageLoaded = useCallback((data, page) => {
+    if (page === 1) {
+      setSuggestions(data.suggestions || []);
+      setFacets(data.facets || null);
+    }
+  }, []);
+
+  // The page goes back to 1 once the search runs
+  const handleSearchChange = (value) => {
+    setSearchQuery(value);
+
+    // Clearing the box shows everything straight away
+    if (value === '') {
+      updateList({ q: '' });
+    }
+  };
+
+  // Run a suggested query in place of the current one
+  const handleSuggestionClick = (suggestion) => {
+    setSearchQuery(suggestion);
+  };
+
+  const handleSortChange = (event) => {
+    updateList({ sort: event.target.value });
   };
 
   const handlePageChange = (newPage) => {
-    setCurrentPage(newPage);
+    updateList({ page: newPage });
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
@@ -141,29 +498,10 @@ const Items = () => {
 
     return (
       <div style={style}>
-        <div className="item-card">
-          <div className="item-header">
-            <h3 className="item-name">{item.name}</h3>
-            <span className="item-price">${item.price.toFixed(2)}</span>
-          </div>
-          <p className="item-description">{item.description}</p>
-          <span className="item-category">{item.category}</span>
-        </div>
+        <ItemCard item={item} onEdit={openItemForm} onDelete={confirmDelete} />
       </div>
     );
-  }, [items]);
-
-  // Skeleton loader component
-  const SkeletonLoader = () => (
-    <div className="item-card skeleton">
-      <div className="skeleton-header">
-        <div className="skeleton-title"></div>
-        <div className="skeleton-price"></div>
-      </div>
-      <div className="skeleton-description"></div>
-      <div className="skeleton-category"></div>
-    </div>
-  );
+  }, [items, openItemForm, confirmDelete]);
 
   // Error display
   if (error) {
@@ -172,7 +510,7 @@ const Items = () => {
         <div className="error-message">
           <h2>⚠️ Error</h2>
           <p>{error}</p>
-          <button onClick={() => fetchItems(currentPage, searchQuery)} className="retry-button">
+          <button onClick={() => fetchItems(currentPage, filterQuery)} className="retry-button">
             Retry
           </button>
         </div>
@@ -183,78 +521,209 @@ const Items = () => {
   return (
     <div className="items-container">
       {/* Search Bar */}
-      <div className="search-container">
-        <input
-          type="text"
-          placeholder="Search items by name, description, or category..."
-          value={searchQuery}
-          onChange={handleSearchChange}
-          className="search-input"
-          aria-label="Search items"
+      <SearchBox
+        value={searchQuery}
+        onChange={handleSearchChange}
+        isSearching={isSearching}
+      />
+
+      <div className="items-layout">
+        {/* Category and price facets */}
+        <FacetSidebar
+          facets={facets}
+          category={listState.category}
+          minPrice={listState.minPrice}
+          maxPrice={listState.maxPrice}
+          onChange={updateList}
         />
-        {isSearching && <div className="search-indicator">Searching...</div>}
-      </div>
 
-      {/* Stats Summary */}
-      {pagination && (
-        <div className="stats-summary">
-          Showing {items.length} of {pagination.totalItems} items
-        </div>
-      )}
+        <div className="items-main">
+          {/* Did you mean... */}
+          {!loading && suggestions.length > 0 && (
+            <div className="suggestions" role="status">
+              Did you mean{' '}
+              {suggestions.map((suggestion, i) => (
+                <React.Fragment key={suggestion}>
+                  {i > 0 && ', '}
+                  <button
+                    type="button"
+                    className="suggestion-link"
+                    onClick={() => handleSuggestionClick(suggestion)}
+                  >
+                    {suggestion}
+                  </button>
+                </React.Fragment>
+              ))}
+              ?
+            </div>
+          )}
 
-      {/* Items List */}
-      <div className="items-list-container">
-        {loading ? (
-          // Skeleton loaders
-          <div className="skeleton-container">
-            {[...Array(5)].map((_, i) => (
-              <SkeletonLoader key={i} />
-            ))}
+          {/* New items banner */}
+          {(newItemCount > 0 || catalogChanged) && (
+            <div className="new-items-banner" role="status">
+              {newItemCount > 0
+                ? `${newItemCount} new item${newItemCount === 1 ? '' : 's'}`
+                : 'The catalog has changed'}{' '}
+              <button type="button" className="suggestion-link" onClick={handleShowNewItems}>
+                Show
+              </button>
+            </div>
+          )}
+
+          {/* Stats Summary and paging mode */}
+          <div className="list-toolbar">
+            {pagingMode !== 'infinite' && pagination && (
+              <div className="stats-summary">
+                Showing {items.length} of {pagination.totalItems} items
+              </div>
+            )}
+
+            <label className="sort-control">
+              Sort by{' '}
+              <select value={listState.sort} onChange={handleSortChange}>
+                {SORT_OPTIONS.map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="paging-toggle" role="group" aria-label="Paging mode">
+              {PAGING_MODES.map(([mode, label]) => (
+                <button
+                  key={mode}
+                  type="button"
+                  className={`paging-toggle-button${pagingMode === mode ? ' active' : ''}`}
+                  aria-pressed={pagingMode === mode}
+                  onClick={() => handlePagingModeChange(mode)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <button
+              type="button"
+              className="pagination-button add-item-button"
+              onClick={() => openItemForm(null)}
+            >
+              + Add item
+            </button>
           </div>
-        ) : items.length === 0 ? (
-          // No results
-          <div className="no-results">
-            <p>No items found{searchQuery ? ` matching "${searchQuery}"` : ''}</p>
+
+          {/* Items List */}
+          <div className="items-list-container">
+            {pagingMode === 'infinite' ? (
+              // Infinite scroll over the whole result set
+              <InfiniteItemList
+                key={listKey}
+                ref={infiniteListRef}
+                query={activeQuery}
+                filters={filtersOnly}
+                facets
+                onPageLoaded={handleInfinitePageLoaded}
+                onEdit={openItemForm}
+                onDelete={confirmDelete}
+              />
+            ) : loading ? (
+              // Skeleton loaders
+              <div className="skeleton-container">
+                {[...Array(5)].map((_, i) => (
+                  <ItemCardSkeleton key={i} />
+                ))}
+              </div>
+            ) : items.length === 0 ? (
+              // No results
+              <div className="no-results">
+                <p>No items found{activeQuery ? ` matching "${activeQuery}"` : ''}</p>
+              </div>
+            ) : (
+              // Virtualized list
+              <FixedSizeList
+                height={600}
+                itemCount={items.length}
+                itemSize={140}
+                width="100%"
+                className="virtualized-list"
+              >
+                {Row}
+              </FixedSizeList>
+            )}
           </div>
-        ) : (
-          // Virtualized list
-          <FixedSizeList
-            height={600}
-            itemCount={items.length}
-            itemSize={140}
-            width="100%"
-            className="virtualized-list"
-          >
-            {Row}
-          </FixedSizeList>
-        )}
-      </div>
 
-      {/* Pagination Controls */}
-      {pagination && pagination.totalPages > 1 && (
-        <div className="pagination">
-          <button
-            onClick={() => handlePageChange(currentPage - 1)}
-            disabled={currentPage === 1}
-            className="pagination-button"
-            aria-label="Previous page"
-          >
-            ← Previous
-          </button>
+          {/* Load more */}
+          {pagingMode === 'loadMore' && pagination && pagination.hasMore && (
+            <div className="pagination">
+              <button
+                onClick={fetchMore}
+                disabled={loadingMore}
+                className="pagination-button"
+                aria-label="Load more items"
+              >
+                {loadingMore ? 'Loading…' : 'Load more'}
+              </button>
+            </div>
+          )}
+
+          {/* Pagination Controls */}
+          {pagingMode === 'pages' && pagination && pagination.totalPages > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => handlePageChange(currentPage - 1)}
+                disabled={currentPage === 1}
+                className="pagination-button"
+                aria-label="Previous page"
+              >
+                ← Previous
+              </button>
           
-          <div className="pagination-info">
-            Page {currentPage} of {pagination.totalPages}
-          </div>
+              <div className="pagination-info">
+                Page {currentPage} of {pagination.totalPages}
+              </div>
           
-          <button
-            onClick={() => handlePageChange(currentPage + 1)}
-            disabled={currentPage === pagination.totalPages}
-            className="pagination-button"
-            aria-label="Next page"
-          >
-            Next →
-          </button>
+              <button
+                onClick={() => handlePageChange(currentPage + 1)}
+                disabled={currentPage === pagination.totalPages}
+                className="pagination-button"
+                aria-label="Next page"
+              >
+                Next →
+              </button>
+            </div>
+          )}
         </div>
+      </div>
+
+      {/* Add / edit dialog */}
+      {dialog && dialog.type === 'form' && (
+        <ItemForm item={dialog.item} onSubmit={handleSave} onClose={closeDialog} />
+      )}
+
+      {/* Delete confirmation */}
+      {dialog && dialog.type === 'delete' && (
+        <Modal title={`Delete "${dialog.item.name}"?`} onClose={closeDialog}>
+          <p className="modal-text">It can be brought back from the trash until it is purged.</p>
+          <div className="form-actions">
+            <button type="button" className="secondary-button" onClick={closeDialog}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="pagination-button danger-button"
+              onClick={() => handleDelete(dialog.item)}
+            >
+              Delete
+            </button>
+          </div>
+        </Modal>
+      )}
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.actionLabel}
+          onAction={toast.onAction}
+          onDismiss={dismissToast}
+        />
       )}
     </div>
   );
@@ -0,0 +1,61 @@
+import React, { useEffect, useId, useRef } from 'react';
+
+/**
+ * Modal Component
+ * A dialog over the page: Escape or a click on the backdrop closes it, and
+ * focus moves into it on open and back to where it was on close.
+ *
+ * @param {string} title - Dialog heading
+ * @param {Function} onClose - Called when the user dismisses the dialog
+ */
+const Modal = ({ title, onClose, children }) => {
+  const titleId = useId();
+  const dialogRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    const dialog = dialogRef.current;
+    if (!dialog.contains(document.activeElement)) {
+      dialog.focus();
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onCloseRef.current();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      if (previous && previous.focus) {
+        previous.focus();
+      }
+    };
+  }, []);
+
+  return (
+    <div
+      className="modal-backdrop"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div
+        ref={dialogRef}
+        className="modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+      >
+        <h2 id={titleId} className="modal-title">{title}</h2>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+
+// Wait this long after a keystroke before asking for completions
+const SUGGEST_DELAY = 100;
+
+/**
+ * SearchBox Component
+ * Search input with a typeahead dropdown backed by /api/items/suggest
+ * Follows the WAI-ARIA combobox pattern:
+ * - ArrowDown / ArrowUp move through the completions
+ * - Enter picks the highlighted completion
+ * - Escape closes the dropdown
+ *
+ * @param {string} value - Current search text
+ * @param {Function} onChange - Called with the new search text
+ * @param {boolean} isSearching - Shows the "Searching..." indicator
+ */
+const SearchBox = ({ value, onChange, isSearching }) => {
+  const [completions, setCompletions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const listboxId = useId();
+  const timerRef = useRef(null);
+  const abortRef = useRef(null);
+
+  // Cancel pending lookups on unmount
+  useEffect(() => {
+    return () => {
+      clearTimeout(timerRef.current);
+      if (abortRef.current) {
+        abortRef.current.abort();
+      }
+    };
+  }, []);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  /**
+   * Fetch completions for a prefix, dropping any lookup still in flight
+   */
+  const fetchCompletions = async (prefix) => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+    }
+    const abortController = new AbortController();
+    abortRef.current = abortController;
+
+    try {
+      const params = new URLSearchParams({ q: prefix, limit: '8' });
+      const response = await fetch(`/api/items/suggest?${params}`, {
+        signal: abortController.signal
+      });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      if (abortController.signal.aborted) return;
+
+      const list = Array.isArray(data.suggestions)
+        ? data.suggestions.filter(s => s && typeof s.value === 'string')
+        : [];
+      setCompletions(list);
+      setActiveIndex(-1);
+      setIsOpen(list.length > 0);
+    } catch (err) {
+      // Completions are best-effort; the full search still runs
+    }
+  };
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    onChange(text);
+
+    clearTimeout(timerRef.current);
+    if (text.trim()) {
+      timerRef.current = setTimeout(() => fetchCompletions(text), SUGGEST_DELAY);
+    } else {
+      setCompletions([]);
+      close();
+    }
+  };
+
+  const select = (completion) => {
+    clearTimeout(timerRef.current);
+    onChange(completion.value);
+    close();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      if (!isOpen && completions.length > 0) {
+        setIsOpen(true);
+        setActiveIndex(0);
+      } else if (completions.length > 0) {
+        setActiveIndex(i => (i + 1) % completions.length);
+      }
+    } else if (e.key === 'ArrowUp') {
+      if (!isOpen) return;
+      e.preventDefault();
+      setActiveIndex(i => (i <= 0 ? completions.length - 1 : i - 1));
+    } else if (e.key === 'Enter') {
+      if (isOpen && activeIndex >= 0) {
+        e.preventDefault();
+        select(completions[activeIndex]);
+      } else {
+        close();
+      }
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const optionId = (index) => `${listboxId}-option-${index}`;
+
+  return (
+    <div className="search-container">
+      <input
+        type="text"
+        placeholder="Search items by name, description, or category..."
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={close}
+        className="search-input"
+        aria-label="Search items"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={listboxId}
+        aria-activedescendant={isOpen && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        autoComplete="off"
+      />
+      {isSearching && <div className="search-indicator">Searching...</div>}
+
+      <ul
+        id={listboxId}
+        role="listbox"
+        aria-label="Search suggestions"
+        className="typeahead-list"
+        hidden={!isOpen}
+      >
+        {isOpen && completions.map((completion, index) => (
+          <li
+            key={`${completion.type}:${completion.id || completion.value}`}
+            id={optionId(index)}
+            role="option"
+            aria-selected={index === activeIndex}
+            className={`typeahead-option${index === activeIndex ? ' active' : ''}`}
+            // mousedown fires before the input blurs and closes the list
+            onMouseDown={(e) => {
+              e.preventDefault();
+              select(completion);
+            }}
+          >
+            <span className="typeahead-value">{completion.value}</span>
+            <span className="typeahead-type">
+              {completion.type === 'category' ? `Category · ${completion.count}` : 'Item'}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useId } from 'react';
+import Modal from './Modal';
+import { getSession, onSessionChange } from '../utils/session';
+import { signIn, signOut } from '../utils/authApi';
+import './Items.css';
+
+/**
+ * SignIn Component
+ * Who is signed in, with a way to sign in or out. Anyone may browse; adding,
+ * editing and deleting items needs an editor to sign in with their API key,
+ * which is exchanged for a token kept for this browser tab.
+ */
+const SignIn = () => {
+  const [session, setSession] = useState(getSession);
+  const [open, setOpen] = useState(false);
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+  const keyId = useId();
+
+  // Follow sign-ins, sign-outs and tokens the server refuses
+  useEffect(() => onSessionChange(setSession), []);
+
+  const close = () => {
+    setOpen(false);
+    setApiKey('');
+    setError(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (signingIn || !apiKey.trim()) return;
+
+    setSigningIn(true);
+    setError(null);
+    try {
+      await signIn(apiKey.trim());
+      close();
+    } catch (err) {
+      setError(err.status === 401 || err.status === 403 ? 'That key can\'t edit items.' : err.message);
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  if (session) {
+    return (
+      <div className="App-session">
+        Signed in as {session.actor.id} ({session.actor.role}){' '}
+        <button type="button" className="secondary-button" onClick={signOut}>
+          Sign out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="App-session">
+      <button type="button" className="secondary-button" onClick={() => setOpen(true)}>
+        Sign in to edit
+      </button>
+
+      {open && (
+        <Modal title="Sign in to edit" onClose={close}>
+          <form className="item-form" onSubmit={handleSubmit} noValidate>
+            {error && (
+              <div className="list-error" role="alert">{error}</div>
+            )}
+            <div className="form-field">
+              <label htmlFor={keyId}>API key</label>
+              <input
+                id={keyId}
+                type="password"
+                autoComplete="off"
+                autoFocus
+                value={apiKey}
+                onChange={(event) => setApiKey(event.target.value)}
+              />
+            </div>
+            <div className="form-actions">
+              <button type="button" className="secondary-button" onClick={close}>
+                Cancel
+              </button>
+              <button type="submit" className="pagination-button" disabled={signingIn || !apiKey.trim()}>
+                {signingIn ? 'Signing in…' : 'Sign in'}
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default SignIn;
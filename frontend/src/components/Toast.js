@@ -0,0 +1,49 @@
+import React, { useEffect, useRef } from 'react';
+
+// How long a toast stays up, in ms
+const TOAST_DURATION = 6000;
+
+/**
+ * Toast Component
+ * A short message at the bottom of the screen that goes away on its own,
+ * with an optional action (e.g. "Undo")
+ *
+ * @param {string} message - What happened
+ * @param {string} actionLabel - Label of the action button, if any
+ * @param {Function} onAction - Called when the action is clicked
+ * @param {Function} onDismiss - Called when the toast should go away
+ * @param {number} duration - How long it stays up, in ms
+ */
+const Toast = ({ message, actionLabel, onAction, onDismiss, duration = TOAST_DURATION }) => {
+  const onDismissRef = useRef(onDismiss);
+  onDismissRef.current = onDismiss;
+
+  // A new message gets the full time again
+  useEffect(() => {
+    const timer = setTimeout(() => onDismissRef.current(), duration);
+    return () => clearTimeout(timer);
+  }, [message, duration]);
+
+  return (
+    <div className="toast" role="status">
+      <span>{message}</span>
+      {actionLabel && (
+        <button
+          type="button"
+          className="toast-action"
+          onClick={() => {
+            onAction();
+            onDismiss();
+          }}
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button type="button" className="toast-close" aria-label="Dismiss" onClick={onDismiss}>
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default Toast;
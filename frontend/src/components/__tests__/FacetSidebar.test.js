@@ -0,0 +1,89 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import FacetSidebar from '../FacetSidebar';
+
+const facets = {
+  category: [
+    { value: 'Electronics', count: 4 },
+    { value: 'Furniture', count: 2 },
+    { value: 'Accessories', count: 0 },
+    { value: 'Office Equipment', count: 1 }
+  ],
+  price: {
+    min: 14.99,
+    max: 1299.99,
+    bands: [
+      { min: 0, max: 25, count: 2 },
+      { min: 25, max: 50, count: 3 },
+      { min: 50, max: null, count: 0 }
+    ]
+  }
+};
+
+const showSidebar = (props = {}) => {
+  const onChange = jest.fn();
+  render(<FacetSidebar facets={facets} category={[]} onChange={onChange} {...props} />);
+  return onChange;
+};
+
+describe('FacetSidebar Component', () => {
+  it('should show category counts and add or remove checked categories', () => {
+    const onChange = showSidebar({ category: ['Electronics'] });
+
+    expect(screen.getByRole('checkbox', { name: 'Electronics (4)' })).toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Accessories (0)' })).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Furniture (2)' }));
+    expect(onChange).toHaveBeenLastCalledWith({ category: ['Electronics', 'Furniture'] });
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Electronics (4)' }));
+    expect(onChange).toHaveBeenLastCalledWith({ category: [] });
+  });
+
+  it('should list categories without counts until the facets arrive', () => {
+    showSidebar({ facets: null });
+
+    expect(screen.getByRole('checkbox', { name: 'Furniture' })).toBeEnabled();
+    expect(screen.queryByLabelText('Minimum price')).not.toBeInTheDocument();
+  });
+
+  it('should pick a price band, and drop it when picked again', () => {
+    const onChange = jest.fn();
+    const { rerender } = render(<FacetSidebar facets={facets} category={[]} onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole('button', { name: '$25 – $50 (3)' }));
+    expect(onChange).toHaveBeenLastCalledWith({ minPrice: 25, maxPrice: 49.99 });
+    expect(screen.getByRole('button', { name: '$50+ (0)' })).toBeDisabled();
+
+    rerender(<FacetSidebar facets={facets} category={[]} minPrice={25} maxPrice={49.99} onChange={onChange} />);
+    const active = screen.getByRole('button', { name: '$25 – $50 (3)' });
+    expect(active).toHaveAttribute('aria-pressed', 'true');
+
+    fireEvent.click(active);
+    expect(onChange).toHaveBeenLastCalledWith({ minPrice: undefined, maxPrice: undefined });
+  });
+
+  it('should filter by the slider range once it stops moving', async () => {
+    const onChange = showSidebar();
+
+    const min = screen.getByLabelText('Minimum price');
+    expect(min).toHaveAttribute('min', '14');
+    expect(min).toHaveAttribute('max', '1300');
+
+    fireEvent.change(min, { target: { value: '100' } });
+    fireEvent.change(min, { target: { value: '200' } });
+    expect(screen.getByText('$200 – $1300')).toBeInTheDocument();
+    expect(onChange).not.toHaveBeenCalled();
+
+    await waitFor(() => expect(onChange).toHaveBeenCalledWith({ minPrice: 200, maxPrice: undefined }), { timeout: 1000 });
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should clear every category and price filter', () => {
+    const onChange = showSidebar({ category: ['Furniture'], maxPrice: 300 });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear all' }));
+    expect(onChange).toHaveBeenCalledWith({ category: [], minPrice: undefined, maxPrice: undefined });
+  });
+});
@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter } from 'react-router-dom';
+import InfiniteItemList from '../InfiniteItemList';
+
+global.fetch = jest.fn();
+
+const TOTAL_ITEMS = 45;
+
+// Serve pages of a 45-item catalog
+const pageResponse = (url) => {
+  const params = new URL(url, 'http://localhost').searchParams;
+  const page = Number(params.get('page'));
+  const limit = Number(params.get('limit'));
+  const start = (page - 1) * limit;
+  const items = [];
+  for (let i = start; i < Math.min(start + limit, TOTAL_ITEMS); i++) {
+    items.push({ id: i + 1, name: `Item ${i + 1}`, description: '', price: 1, category: 'Test' });
+  }
+  return {
+    items,
+    pagination: { currentPage: page, totalPages: 3, totalItems: TOTAL_ITEMS, itemsPerPage: limit }
+  };
+};
+
+const requestedPages = () => fetch.mock.calls.map(([url]) =>
+  Number(new URL(url, 'http://localhost').searchParams.get('page'))
+);
+
+describe('InfiniteItemList Component', () => {
+  beforeEach(() => {
+    window.sessionStorage.clear();
+    fetch.mockReset();
+    fetch.mockImplementation((url) =>
+      Promise.resolve({ ok: true, json: () => Promise.resolve(pageResponse(url)) })
+    );
+  });
+
+  it('should size the list to the whole result set and load the first page', async () => {
+    render(<InfiniteItemList query="" />, { wrapper: MemoryRouter });
+
+    await screen.findByText('Item 1');
+    expect(screen.getByText(/Loaded 20 of 45 items/)).toBeInTheDocument();
+    expect(requestedPages()).toEqual([1]);
+  });
+
+  it('should reopen at the remembered scroll position and load the pages around it', async () => {
+    window.sessionStorage.setItem(
+      'items-app:infiniteScroll',
+      JSON.stringify({ query: 'desk', scrollOffset: 2100 })
+    );
+
+    render(<InfiniteItemList query="desk" />, { wrapper: MemoryRouter });
+
+    const viewport = await screen.findByRole('region', { name: 'Item results' });
+    expect(viewport.scrollTop).toBe(2100);
+
+    // Rows 15-19 are in view, so page 2 is prefetched as well
+    await screen.findByText('Item 16');
+    await waitFor(() => expect(requestedPages()).toEqual([1, 2]));
+  });
+
+  it('should start at the top for a different query', async () => {
+    window.sessionStorage.setItem(
+      'items-app:infiniteScroll',
+      JSON.stringify({ query: 'desk', scrollOffset: 2100 })
+    );
+
+    render(<InfiniteItemList query="lamp" />, { wrapper: MemoryRouter });
+
+    const viewport = await screen.findByRole('region', { name: 'Item results' });
+    expect(viewport.scrollTop).toBe(0);
+  });
+
+  it('should remember the scroll position when it goes away', async () => {
+    const { unmount } = render(<InfiniteItemList query="desk" />, { wrapper: MemoryRouter });
+    await screen.findByText('Item 1');
+
+    unmount();
+
+    expect(JSON.parse(window.sessionStorage.getItem('items-app:infiniteScroll')))
+      .toEqual({ query: 'desk', scrollOffset: 0 });
+  });
+});
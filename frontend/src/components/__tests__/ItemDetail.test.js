@@ -0,0 +1,87 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ItemDetail from '../ItemDetail';
+import { clearResponseCache } from '../../utils/api';
+
+global.fetch = jest.fn();
+
+const item = {
+  id: 1,
+  name: 'Desk Lamp',
+  description: 'A lamp for a desk',
+  price: 24.5,
+  category: 'Furniture',
+  version: 3,
+  updatedAt: '2026-10-19T10:00:00.000Z'
+};
+
+const respond = (status, body) => Promise.resolve({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: () => null },
+  json: () => Promise.resolve(body)
+});
+
+const renderAt = (entries) => render(
+  <MemoryRouter initialEntries={entries} initialIndex={entries.length - 1}>
+    <Routes>
+      <Route path="/" element={<div>Item list</div>} />
+      <Route path="/elsewhere" element={<div>Previous page</div>} />
+      <Route path="/items/:id" element={<ItemDetail />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('ItemDetail Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    clearResponseCache();
+  });
+
+  it('should fetch and show the item for the id in the URL', async () => {
+    fetch.mockImplementation(() => respond(200, item));
+
+    renderAt(['/items/1']);
+
+    expect(await screen.findByRole('heading', { name: 'Desk Lamp' })).toBeInTheDocument();
+    expect(fetch.mock.calls[0][0]).toBe('/api/items/1');
+    expect(screen.getByText('$24.50')).toBeInTheDocument();
+    expect(screen.getByText('Furniture')).toBeInTheDocument();
+    expect(screen.getByText('3')).toBeInTheDocument();
+  });
+
+  it('should show a not found page for unknown ids', async () => {
+    fetch.mockImplementation(() => respond(404, { error: 'Item not found' }));
+
+    renderAt(['/items/999']);
+
+    expect(await screen.findByRole('heading', { name: 'Item not found' })).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Browse all items' })).toHaveAttribute('href', '/');
+  });
+
+  it('should offer a retry for other errors', async () => {
+    fetch
+      .mockImplementationOnce(() => respond(500, { error: 'Internal server error' }))
+      .mockImplementation(() => respond(200, item));
+
+    renderAt(['/items/1']);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Retry' }));
+    expect(await screen.findByRole('heading', { name: 'Desk Lamp' })).toBeInTheDocument();
+  });
+
+  it('should go back to where the user came from, or to the list', async () => {
+    fetch.mockImplementation(() => respond(200, item));
+
+    const { unmount } = renderAt(['/elsewhere', '/items/1']);
+    fireEvent.click(await screen.findByRole('button', { name: /Back to items/ }));
+    expect(screen.getByText('Previous page')).toBeInTheDocument();
+    unmount();
+
+    renderAt(['/items/1']);
+    fireEvent.click(await screen.findByRole('button', { name: /Back to items/ }));
+    expect(screen.getByText('Item list')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ItemForm from '../ItemForm';
+
+const item = { id: 1, name: 'Desk Lamp', description: '', price: 24.5, category: 'Furniture', version: 3 };
+
+const fill = (label, value) => {
+  fireEvent.change(screen.getByLabelText(label), { target: { value } });
+};
+
+describe('ItemForm Component', () => {
+  it('should check fields before sending anything', async () => {
+    const onSubmit = jest.fn().mockResolvedValue();
+    const onClose = jest.fn();
+    render(<ItemForm onSubmit={onSubmit} onClose={onClose} />);
+
+    fill('Price', '-5');
+    fireEvent.blur(screen.getByLabelText('Price'));
+    expect(screen.getByText('Price must be at least 0')).toBeInTheDocument();
+    expect(screen.queryByText('Name is required')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add item' }));
+    expect(screen.getByText('Name is required')).toBeInTheDocument();
+    expect(screen.getByLabelText('Name')).toHaveAttribute('aria-invalid', 'true');
+    expect(onSubmit).not.toHaveBeenCalled();
+
+    fill('Name', ' Desk Lamp ');
+    fill('Price', '24.5');
+    fill('Category', 'Furniture');
+    fireEvent.click(screen.getByRole('button', { name: 'Add item' }));
+
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(onSubmit).toHaveBeenCalledWith({ name: 'Desk Lamp', price: 24.5, category: 'Furniture' }, undefined);
+  });
+
+  it('should show the errors the server reports for each field', async () => {
+    const error = Object.assign(new Error('Invalid request body'), {
+      status: 400,
+      details: [{ field: 'name', message: 'must be at most 100 character(s)' }]
+    });
+    const onClose = jest.fn();
+    render(<ItemForm item={item} onSubmit={jest.fn().mockRejectedValue(error)} onClose={onClose} />);
+
+    expect(screen.getByLabelText('Name')).toHaveValue('Desk Lamp');
+    fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+
+    expect(await screen.findByText('Name must be at most 100 character(s)')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Invalid request body');
+    expect(onClose).not.toHaveBeenCalled();
+  });
+
+  it('should keep the edits and move to the current version after a conflict', async () => {
+    const current = { ...item, name: 'Their Lamp', version: 4 };
+    const conflict = Object.assign(new Error('Item has been changed since the version given'), { status: 412, current });
+    const onSubmit = jest.fn()
+      .mockRejectedValueOnce(conflict)
+      .mockResolvedValueOnce();
+    render(<ItemForm item={item} onSubmit={onSubmit} onClose={jest.fn()} />);
+
+    fill('Name', 'My Lamp');
+    fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/Someone else changed this item/);
+    expect(screen.getByLabelText('Name')).toHaveValue('My Lamp');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+    await waitFor(() => expect(onSubmit).toHaveBeenCalledTimes(2));
+    expect(onSubmit.mock.calls[1][1]).toBe(current);
+  });
+
+  it('should close on Escape', () => {
+    const onClose = jest.fn();
+    render(<ItemForm onSubmit={jest.fn()} onClose={onClose} />);
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(onClose).toHaveBeenCalled();
+  });
+});
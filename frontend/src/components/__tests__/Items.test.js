@@ -1,11 +1,49 @@
 import React from 'react';
-import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent, act, within } from '@testing-library/react';
 import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route, useLocation, useNavigate } from 'react-router-dom';
 import Items from '../Items';
 
 // Mock the fetch API
 global.fetch = jest.fn();
 
+// Stand-in for the browser's EventSource, which jsdom lacks
+class MockEventSource {
+  constructor(url) {
+    this.url = url;
+    this.handlers = {};
+    MockEventSource.instances.push(this);
+  }
+
+  addEventListener(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  emit(type, data) {
+    act(() => {
+      this.handlers[type]({ data: JSON.stringify(data) });
+    });
+  }
+}
+MockEventSource.instances = [];
+
+// Shows the current query string, with a button standing in for the browser's back button
+const LocationProbe = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  return (
+    <>
+      <output aria-label="Location">{location.search}</output>
+      <button type="button" onClick={() => navigate(-1)}>Browser back</button>
+    </>
+  );
+};
+
 const mockItemsResponse = {
   items: [
     {
@@ -34,6 +72,7 @@ const mockItemsResponse = {
 describe('Items Component', () => {
   beforeEach(() => {
     fetch.mockClear();
+    window.sessionStorage.clear();
   });
 
   it('should render loading state initially', async () => {
@@ -44,7 +83,7 @@ describe('Items Component', () => {
       })
     );
 
-    render(<Items />);
+    render(<Items />, { wrapper: MemoryRouter });
     
     // Should show loading skeleton
     expect(screen.getByText(/Searching/)).toBeInTheDocument();
@@ -58,7 +97,7 @@ describe('Items Component', () => {
       })
     );
 
-    render(<Items />);
+    render(<Items />, { wrapper: MemoryRouter });
 
     await waitFor(() => {
       expect(screen.getByText('Test Item 1')).toBeInTheDocument();
@@ -93,7 +132,7 @@ describe('Items Component', () => {
         })
       );
 
-    render(<Items />);
+    render(<Items />, { wrapper: MemoryRouter });
 
     await waitFor(() => {
       expect(screen.getByText('Test Item 1')).toBeInTheDocument();
@@ -113,7 +152,7 @@ describe('Items Component', () => {
       Promise.reject(new Error('Network error'))
     );
 
-    render(<Items />);
+    render(<Items />, { wrapper: MemoryRouter });
 
     await waitFor(() => {
       expect(screen.getByText(/Error/)).toBeInTheDocument();
@@ -140,7 +179,7 @@ describe('Items Component', () => {
       })
     );
 
-    render(<Items />);
+    render(<Items />, { wrapper: MemoryRouter });
 
     await waitFor(() => {
       expect(screen.getByText(/Page 1 of 3/)).toBeInTheDocument();
@@ -149,5 +188,659 @@ describe('Items Component', () => {
     const nextButton = screen.getByLabelText(/Next page/);
     expect(nextButton).toBeInTheDocument();
   });
-});
 
+  it('should show "did you mean" suggestions and search for one when clicked', async () => {
+    const noResults = {
+      items: [],
+      pagination: { currentPage: 1, totalPages: 0, totalItems: 0, itemsPerPage: 20 },
+      suggestions: ['laptop']
+    };
+
+    fetch.mockImplementation(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(noResults)
+      })
+    );
+
+    render(<Items />, { wrapper: MemoryRouter });
+
+    const suggestion = await screen.findByRole('button', { name: 'laptop' });
+    expect(screen.getByText(/Did you mean/)).toBeInTheDocument();
+
+    fireEvent.click(suggestion);
+
+    expect(screen.getByPlaceholderText(/Search items/)).toHaveValue('laptop');
+    await waitFor(() => {
+      expect(fetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('q=laptop'),
+        expect.anything()
+      );
+    }, { timeout: 1000 });
+  });
+
+  it('should append the next cursor page in "load more" mode', async () => {
+    const cursorPage = (item, nextCursor) => ({
+      items: [item],
+      pagination: { mode: 'cursor', totalItems: 2, itemsPerPage: 20, hasMore: !!nextCursor, nextCursor }
+    });
+
+    fetch.mockImplementation((url) => {
+      let body = mockItemsResponse;
+      if (url.includes('paging=cursor')) {
+        body = cursorPage(mockItemsResponse.items[0], 'abc');
+      } else if (url.includes('cursor=abc')) {
+        body = cursorPage(mockItemsResponse.items[1], null);
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+    });
+
+    render(<Items />, { wrapper: MemoryRouter });
+    await screen.findByText('Test Item 1');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load more' }));
+    await screen.findByText(/Showing 1 of 2 items/);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load more items' }));
+    await screen.findByText('Test Item 2');
+
+    expect(screen.getByText('Test Item 1')).toBeInTheDocument();
+    expect(screen.getByText(/Showing 2 of 2 items/)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Load more items' })).not.toBeInTheDocument();
+  });
+
+  it('should drop a "load more" page that arrives after the list changed', async () => {
+    const cursorPage = (item, nextCursor) => ({
+      items: [item],
+      pagination: { mode: 'cursor', totalItems: 2, itemsPerPage: 20, hasMore: !!nextCursor, nextCursor }
+    });
+    const sorted = { ...mockItemsResponse.items[1], id: 3, name: 'Sorted Item' };
+    let answerMore;
+
+    fetch.mockImplementation((url) => {
+      if (url.includes('cursor=abc')) {
+        return new Promise(resolve => {
+          answerMore = resolve;
+        });
+      }
+      let body = mockItemsResponse;
+      if (url.includes('sort=price')) {
+        body = cursorPage(sorted, 'def');
+      } else if (url.includes('paging=cursor')) {
+        body = cursorPage(mockItemsResponse.items[0], 'abc');
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+    });
+
+    render(<Items />, { wrapper: MemoryRouter });
+    await screen.findByText('Test Item 1');
+    fireEvent.click(screen.getByRole('button', { name: 'Load more' }));
+    await screen.findByText(/Showing 1 of 2 items/);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load more items' }));
+    await waitFor(() => expect(answerMore).toBeDefined());
+    const [, slow] = fetch.mock.calls[fetch.mock.calls.length - 1];
+
+    fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'price' } });
+    expect(await screen.findByText('Sorted Item')).toBeInTheDocument();
+    expect(slow.signal.aborted).toBe(true);
+
+    await act(async () => {
+      answerMore({ ok: true, json: () => Promise.resolve(cursorPage(mockItemsResponse.items[1], null)) });
+    });
+
+    expect(screen.queryByText('Test Item 2')).not.toBeInTheDocument();
+    expect(screen.getByText(/Showing 1 of 2 items/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Load more items' })).toBeEnabled();
+  });
+
+  it('should switch to infinite scroll and remember the choice', async () => {
+    fetch.mockImplementation(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(mockItemsResponse)
+      })
+    );
+
+    const { unmount } = render(<Items />, { wrapper: MemoryRouter });
+    await screen.findByText('Test Item 1');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Infinite scroll' }));
+
+    expect(await screen.findByText(/Loaded 2 of 2 items/)).toBeInTheDocument();
+    expect(screen.getByRole('region', { name: 'Item results' })).toBeInTheDocument();
+
+    unmount();
+    render(<Items />, { wrapper: MemoryRouter });
+
+    expect(screen.getByRole('button', { name: 'Infinite scroll' })).toHaveAttribute('aria-pressed', 'true');
+    expect(await screen.findByText(/Loaded 2 of 2 items/)).toBeInTheDocument();
+  });
+
+  it('should open an item from its row and come back to the same page', async () => {
+    const paginatedResponse = {
+      ...mockItemsResponse,
+      pagination: { currentPage: 1, totalPages: 3, totalItems: 45, itemsPerPage: 20 }
+    };
+
+    fetch.mockImplementation(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(paginatedResponse)
+      })
+    );
+
+    render(
+      <MemoryRouter>
+        <Routes>
+          <Route path="/" element={<Items />} />
+          <Route path="/items/:id" element={<LocationProbe />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.click(await screen.findByLabelText(/Next page/));
+    expect(await screen.findByText(/Page 2 of 3/)).toBeInTheDocument();
+
+    const row = await screen.findByRole('link', { name: /Test Item 1/ });
+    expect(row).toHaveAttribute('href', '/items/1');
+    fireEvent.click(row);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Browser back' }));
+
+    expect(await screen.findByText(/Page 2 of 3/)).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining('page=2'), expect.anything());
+  });
+
+  describe('URL state', () => {
+    const paginatedResponse = {
+      ...mockItemsResponse,
+      pagination: { currentPage: 1, totalPages: 3, totalItems: 45, itemsPerPage: 20 }
+    };
+
+    const renderAt = (url) => render(
+      <MemoryRouter initialEntries={[url]}>
+        <Items />
+        <LocationProbe />
+      </MemoryRouter>
+    );
+
+    beforeEach(() => {
+      fetch.mockImplementation(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(paginatedResponse)
+        })
+      );
+    });
+
+    it('should open the list the URL describes', async () => {
+      renderAt('/?q=desk&category=Furniture&maxPrice=300&sort=-price&page=2');
+
+      expect(await screen.findByText(/Page 2 of 3/)).toBeInTheDocument();
+      const url = fetch.mock.calls[fetch.mock.calls.length - 1][0];
+      const params = new URLSearchParams(url.split('?')[1]);
+      expect(Object.fromEntries(params)).toMatchObject({
+        page: '2',
+        q: 'desk',
+        category: 'Furniture',
+        maxPrice: '300',
+        sort: '-price'
+      });
+
+      expect(screen.getByPlaceholderText(/Search items/)).toHaveValue('desk');
+      expect(screen.getByLabelText('Sort by')).toHaveValue('-price');
+      expect(screen.getByRole('checkbox', { name: /Furniture/ })).toBeChecked();
+    });
+
+    it('should write changes to the URL and follow back and forward', async () => {
+      renderAt('/');
+      const location = screen.getByLabelText('Location');
+
+      fireEvent.click(await screen.findByLabelText(/Next page/));
+      await waitFor(() => expect(location).toHaveTextContent('?page=2'));
+
+      // A new sort starts from the first page
+      fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'price' } });
+      await waitFor(() => expect(location).toHaveTextContent('?sort=price'));
+      expect(fetch).toHaveBeenLastCalledWith(expect.stringMatching(/page=1&.*sort=price/), expect.anything());
+
+      fireEvent.change(screen.getByPlaceholderText(/Search items/), { target: { value: 'lamp' } });
+      await waitFor(() => expect(location).toHaveTextContent('?q=lamp&sort=price'), { timeout: 1000 });
+
+      fireEvent.click(screen.getByRole('button', { name: 'Browser back' }));
+      await waitFor(() => expect(location).toHaveTextContent('?sort=price'));
+      expect(screen.getByPlaceholderText(/Search items/)).toHaveValue('');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Browser back' }));
+      expect(await screen.findByText(/Page 2 of 3/)).toBeInTheDocument();
+      expect(screen.getByLabelText('Sort by')).toHaveValue('');
+      expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining('page=2'), expect.anything());
+    });
+
+    it('should show the latest list when an earlier request answers last', async () => {
+      const pageOf = (page, name) => ({
+        items: [{ id: page, name, description: '', price: 1, category: 'Test Category' }],
+        pagination: { currentPage: page, totalPages: 3, totalItems: 45, itemsPerPage: 20 }
+      });
+      let answerPage2;
+      fetch.mockImplementation((url) => {
+        if (url.includes('page=2')) {
+          return new Promise(resolve => {
+            answerPage2 = resolve;
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(pageOf(1, 'First Page Item')) });
+      });
+
+      renderAt('/');
+      fireEvent.click(await screen.findByLabelText(/Next page/));
+      await waitFor(() => expect(answerPage2).toBeDefined());
+      const [, slow] = fetch.mock.calls[fetch.mock.calls.length - 1];
+
+      fireEvent.click(screen.getByRole('button', { name: 'Browser back' }));
+      expect(await screen.findByText('First Page Item')).toBeInTheDocument();
+      expect(slow.signal.aborted).toBe(true);
+
+      await act(async () => {
+        answerPage2({ ok: true, json: () => Promise.resolve(pageOf(2, 'Second Page Item')) });
+      });
+
+      expect(screen.queryByText('Second Page Item')).not.toBeInTheDocument();
+      expect(screen.getByText('First Page Item')).toBeInTheDocument();
+      expect(screen.getByText(/Page 1 of 3/)).toBeInTheDocument();
+    });
+
+    it('should clear the category and price filters', async () => {
+      renderAt('/?q=desk&category=Furniture&minPrice=10');
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Clear all' }));
+
+      await waitFor(() => expect(screen.getByLabelText('Location')).toHaveTextContent(/^\?q=desk$/));
+      expect(screen.getByRole('checkbox', { name: /Furniture/ })).not.toBeChecked();
+    });
+  });
+
+  // Facet counts as GET /api/items gives them
+  const facets = (furniture, electronics) => ({
+    category: [
+      { value: 'Electronics', count: electronics },
+      { value: 'Furniture', count: furniture },
+      { value: 'Accessories', count: 0 },
+      { value: 'Office Equipment', count: 0 }
+    ],
+    price: { min: 99.99, max: 149.99, bands: [{ min: 0, max: 100, count: 1 }, { min: 100, max: null, count: 1 }] }
+  });
+
+  it('should narrow the list from the facet sidebar and update the counts with it', async () => {
+    fetch.mockImplementation((url) => {
+      const filtered = url.includes('category=Furniture');
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          ...mockItemsResponse,
+          items: filtered ? [mockItemsResponse.items[1]] : mockItemsResponse.items,
+          pagination: { ...mockItemsResponse.pagination, totalItems: filtered ? 1 : 2 },
+          facets: filtered ? facets(1, 3) : facets(1, 1)
+        })
+      });
+    });
+
+    render(<Items />, { wrapper: MemoryRouter });
+
+    const furniture = await screen.findByRole('checkbox', { name: 'Furniture (1)' });
+    expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining('facets=true'), expect.anything());
+    expect(screen.getByRole('checkbox', { name: 'Accessories (0)' })).toBeDisabled();
+
+    fireEvent.click(furniture);
+
+    expect(await screen.findByRole('checkbox', { name: 'Electronics (3)' })).toBeInTheDocument();
+    expect(screen.getByRole('checkbox', { name: 'Furniture (1)' })).toBeChecked();
+    expect(screen.getByText(/Showing 1 of 1 items/)).toBeInTheDocument();
+    expect(screen.queryByText('Test Item 1')).not.toBeInTheDocument();
+  });
+
+  it('should keep the sidebar and list on the latest facet choice when an earlier one answers last', async () => {
+    const answer = (items, counts) => ({
+      ok: true,
+      json: () => Promise.resolve({
+        ...mockItemsResponse,
+        items,
+        pagination: { ...mockItemsResponse.pagination, totalItems: items.length },
+        facets: counts
+      })
+    });
+    let answerFurniture;
+    fetch.mockImplementation((url) => {
+      if (url.includes('category=Electronics')) {
+        return Promise.resolve(answer(mockItemsResponse.items, facets(4, 5)));
+      }
+      if (url.includes('category=Furniture')) {
+        return new Promise(resolve => {
+          answerFurniture = resolve;
+        });
+      }
+      return Promise.resolve(answer(mockItemsResponse.items, facets(1, 1)));
+    });
+
+    render(<Items />, { wrapper: MemoryRouter });
+
+    fireEvent.click(await screen.findByRole('checkbox', { name: 'Furniture (1)' }));
+    await waitFor(() => expect(answerFurniture).toBeDefined());
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Electronics (1)' }));
+
+    expect(await screen.findByRole('checkbox', { name: 'Electronics (5)' })).toBeChecked();
+
+    await act(async () => {
+      answerFurniture(answer([mockItemsResponse.items[1]], facets(1, 9)));
+    });
+
+    expect(screen.getByRole('checkbox', { name: 'Electronics (5)' })).toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Furniture (4)' })).toBeChecked();
+    expect(screen.getByText(/Showing 2 of 2 items/)).toBeInTheDocument();
+    expect(screen.getByText('Test Item 1')).toBeInTheDocument();
+  });
+
+  describe('editing', () => {
+    const versioned = {
+      ...mockItemsResponse,
+      items: mockItemsResponse.items.map(item => ({ ...item, version: 2 }))
+    };
+
+    const respond = (status, body) => Promise.resolve({
+      status,
+      ok: status >= 200 && status < 300,
+      headers: { get: () => null },
+      json: () => Promise.resolve(body)
+    });
+
+    // Serve the list for reads and hand writes to `write`
+    const serve = (write, list = versioned) => {
+      fetch.mockImplementation((url, options = {}) => (
+        options.method ? write(url, options) : respond(200, list)
+      ));
+    };
+
+    const fill = (label, value) => {
+      fireEvent.change(screen.getByLabelText(label), { target: { value } });
+    };
+
+    it('should show a new item at once and take it back if the save fails', async () => {
+      let answerSave;
+      serve(() => new Promise(resolve => {
+        answerSave = resolve;
+      }));
+
+      render(<Items />, { wrapper: MemoryRouter });
+      await screen.findByText('Test Item 1');
+
+      fireEvent.click(screen.getByRole('button', { name: '+ Add item' }));
+      fill('Name', 'New Lamp');
+      fill('Price', '10');
+      fill('Category', 'Furniture');
+      fireEvent.click(within(screen.getByRole('dialog')).getByRole('button', { name: 'Add item' }));
+
+      expect(await screen.findByText('New Lamp')).toBeInTheDocument();
+      expect(screen.getByText(/Showing 3 of 3 items/)).toBeInTheDocument();
+      const [url, options] = fetch.mock.calls[fetch.mock.calls.length - 1];
+      expect(url).toBe('/api/items');
+      expect(JSON.parse(options.body)).toEqual({ name: 'New Lamp', price: 10, category: 'Furniture' });
+
+      answerSave(respond(400, {
+        error: 'Invalid request body',
+        details: [{ field: 'price', message: 'must be at most 5' }]
+      }));
+
+      expect(await screen.findByText('Price must be at most 5')).toBeInTheDocument();
+      expect(screen.getByText(/Showing 2 of 2 items/)).toBeInTheDocument();
+      expect(screen.queryByText('New Lamp')).not.toBeInTheDocument();
+    });
+
+    it('should save an edit against the version shown', async () => {
+      serve((url, options) => respond(200, { ...JSON.parse(options.body), id: 1, version: 3 }));
+
+      render(<Items />, { wrapper: MemoryRouter });
+      fireEvent.click(await screen.findByRole('button', { name: 'Edit Test Item 1' }));
+      fill('Name', 'Renamed Item');
+      fill('Category', 'Electronics');
+      fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+
+      expect(await screen.findByRole('link', { name: 'Renamed Item' })).toBeInTheDocument();
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      const [url, options] = fetch.mock.calls[fetch.mock.calls.length - 1];
+      expect(url).toBe('/api/items/1');
+      expect(options.method).toBe('PUT');
+      expect(options.headers['If-Match']).toBe('"v2"');
+    });
+
+    it('should write items saved before versioning as version 0', async () => {
+      serve(() => respond(204), mockItemsResponse);
+
+      render(<Items />, { wrapper: MemoryRouter });
+      fireEvent.click(await screen.findByRole('button', { name: 'Delete Test Item 1' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+      expect(await screen.findByText('Deleted "Test Item 1"')).toBeInTheDocument();
+      const [url, options] = fetch.mock.calls[fetch.mock.calls.length - 1];
+      expect(url).toBe('/api/items/1');
+      expect(options.headers['If-Match']).toBe('"v0"');
+    });
+
+    it('should delete after confirmation and undo from the toast', async () => {
+      serve((url, options) => (options.method === 'DELETE'
+        ? respond(204)
+        : respond(200, { ...versioned.items[0], version: 4 })));
+
+      render(<Items />, { wrapper: MemoryRouter });
+      fireEvent.click(await screen.findByRole('button', { name: 'Delete Test Item 1' }));
+
+      expect(screen.getByRole('dialog', { name: 'Delete "Test Item 1"?' })).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+      expect(screen.queryByText('Test Item 1')).not.toBeInTheDocument();
+      expect(await screen.findByText('Deleted "Test Item 1"')).toBeInTheDocument();
+      expect(fetch).toHaveBeenLastCalledWith('/api/items/1', expect.objectContaining({ method: 'DELETE' }));
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+      expect(await screen.findByRole('link', { name: 'Test Item 1' })).toBeInTheDocument();
+      expect(fetch).toHaveBeenLastCalledWith('/api/items/1/restore', expect.objectContaining({ method: 'POST' }));
+      expect(screen.getByText(/Showing 2 of 2 items/)).toBeInTheDocument();
+    });
+
+    it('should edit, delete and undo in infinite scroll mode', async () => {
+      window.sessionStorage.setItem('items-app:pagingMode', JSON.stringify('infinite'));
+      serve((url, options) => {
+        if (options.method === 'PUT') return respond(200, { ...JSON.parse(options.body), id: 1, version: 3 });
+        if (options.method === 'DELETE') return respond(204);
+        return respond(200, { ...versioned.items[1], version: 4 });
+      });
+
+      render(<Items />, { wrapper: MemoryRouter });
+      fireEvent.click(await screen.findByRole('button', { name: 'Edit Test Item 1' }));
+      fill('Name', 'Renamed Item');
+      fill('Category', 'Electronics');
+      fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+
+      expect(await screen.findByRole('link', { name: 'Renamed Item' })).toBeInTheDocument();
+      expect(fetch).toHaveBeenLastCalledWith('/api/items/1', expect.objectContaining({ method: 'PUT' }));
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete Test Item 2' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+      expect(screen.queryByText('Test Item 2')).not.toBeInTheDocument();
+      expect(screen.getByText(/Loaded 1 of 1 items/)).toBeInTheDocument();
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Undo' }));
+
+      expect(await screen.findByRole('link', { name: 'Test Item 2' })).toBeInTheDocument();
+      expect(fetch).toHaveBeenLastCalledWith('/api/items/2/restore', expect.objectContaining({ method: 'POST' }));
+      expect(screen.getByText(/Loaded 2 of 2 items/)).toBeInTheDocument();
+    });
+
+    it('should put a row back when the delete is refused', async () => {
+      serve(() => respond(401, { error: 'Authentication required: requires the editor role' }));
+
+      render(<Items />, { wrapper: MemoryRouter });
+      fireEvent.click(await screen.findByRole('button', { name: 'Delete Test Item 2' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+      expect(await screen.findByText(/Couldn't delete "Test Item 2": Authentication required/)).toBeInTheDocument();
+      expect(screen.getByText('Test Item 2')).toBeInTheDocument();
+    });
+  });
+
+  describe('with live updates', () => {
+    beforeEach(() => {
+      MockEventSource.instances = [];
+      window.EventSource = MockEventSource;
+    });
+
+    afterEach(() => {
+      delete window.EventSource;
+    });
+
+    it('should update rows in place and offer new items', async () => {
+      fetch.mockImplementation(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(mockItemsResponse)
+        })
+      );
+
+      render(<Items />, { wrapper: MemoryRouter });
+      await screen.findByText('Test Item 1');
+
+      const [events] = MockEventSource.instances;
+      expect(events.url).toBe('/api/events');
+      const fetches = fetch.mock.calls.length;
+
+      events.emit('item.updated', { item: { ...mockItemsResponse.items[0], name: 'Renamed Item 1' } });
+      expect(screen.getByText('Renamed Item 1')).toBeInTheDocument();
+
+      events.emit('item.deleted', { id: 2 });
+      expect(screen.queryByText('Test Item 2')).not.toBeInTheDocument();
+
+      events.emit('item.created', { item: { id: 3, name: 'New Item', price: 1, category: 'Test Category' } });
+      events.emit('item.created', { item: { id: 4, name: 'Newer Item', price: 1, category: 'Test Category' } });
+      expect(screen.getByRole('status')).toHaveTextContent('2 new items');
+      expect(fetch).toHaveBeenCalledTimes(fetches);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+
+      await screen.findByText('Test Item 2');
+      expect(fetch).toHaveBeenCalledTimes(fetches + 1);
+      expect(screen.queryByText(/new items/)).not.toBeInTheDocument();
+    });
+
+    it('should do the same in infinite scroll mode', async () => {
+      window.sessionStorage.setItem('items-app:pagingMode', JSON.stringify('infinite'));
+      fetch.mockImplementation(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(mockItemsResponse)
+        })
+      );
+
+      render(<Items />, { wrapper: MemoryRouter });
+      await screen.findByText('Test Item 1');
+
+      const [events] = MockEventSource.instances;
+      const fetches = fetch.mock.calls.length;
+
+      events.emit('item.updated', { item: { ...mockItemsResponse.items[0], name: 'Renamed Item 1' } });
+      expect(screen.getByText('Renamed Item 1')).toBeInTheDocument();
+
+      events.emit('item.deleted', { id: 2 });
+      expect(screen.queryByText('Test Item 2')).not.toBeInTheDocument();
+      expect(screen.getByText(/Loaded 1 of 1 items/)).toBeInTheDocument();
+
+      events.emit('item.created', { item: { id: 3, name: 'New Item', price: 1, category: 'Test Category' } });
+      expect(screen.getByRole('status')).toHaveTextContent('1 new item');
+      expect(fetch).toHaveBeenCalledTimes(fetches);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+
+      await screen.findByText('Test Item 2');
+      expect(fetch).toHaveBeenCalledTimes(fetches + 1);
+      expect(screen.queryByText(/new item/)).not.toBeInTheDocument();
+    });
+
+    it('should drop rows an update takes out of the filters', async () => {
+      fetch.mockImplementation(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(mockItemsResponse)
+        })
+      );
+
+      render(
+        <MemoryRouter initialEntries={['/?category=Electronics&maxPrice=200']}>
+          <Items />
+        </MemoryRouter>
+      );
+      await screen.findByText('Test Item 1');
+
+      const [events] = MockEventSource.instances;
+      const [first, second] = mockItemsResponse.items.map(item => ({ ...item, category: 'Electronics' }));
+
+      events.emit('item.updated', { item: { ...first, category: 'Furniture' } });
+      expect(screen.queryByText('Test Item 1')).not.toBeInTheDocument();
+
+      events.emit('item.updated', { item: { ...second, price: 250 } });
+      expect(screen.queryByText('Test Item 2')).not.toBeInTheDocument();
+      expect(screen.queryByText('The catalog has changed')).not.toBeInTheDocument();
+    });
+
+    it('should drop them in infinite scroll mode too', async () => {
+      window.sessionStorage.setItem('items-app:pagingMode', JSON.stringify('infinite'));
+      fetch.mockImplementation(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(mockItemsResponse)
+        })
+      );
+
+      render(
+        <MemoryRouter initialEntries={['/?minPrice=100']}>
+          <Items />
+        </MemoryRouter>
+      );
+      await screen.findByText('Test Item 2');
+
+      const [events] = MockEventSource.instances;
+      events.emit('item.updated', { item: { ...mockItemsResponse.items[1], price: 50 } });
+      expect(screen.queryByText('Test Item 2')).not.toBeInTheDocument();
+    });
+
+    it('should offer a reload when an update may move a row in the search or sort', async () => {
+      fetch.mockImplementation(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(mockItemsResponse)
+        })
+      );
+
+      render(
+        <MemoryRouter initialEntries={['/?q=test']}>
+          <Items />
+        </MemoryRouter>
+      );
+      await screen.findByText('Test Item 1');
+
+      const [events] = MockEventSource.instances;
+      const fetches = fetch.mock.calls.length;
+
+      events.emit('item.updated', { item: { ...mockItemsResponse.items[0], price: 5 } });
+      expect(screen.queryByText(/The catalog has changed/)).not.toBeInTheDocument();
+
+      events.emit('item.updated', { item: { ...mockItemsResponse.items[0], name: 'Lamp' } });
+      expect(screen.getByText('Lamp')).toBeInTheDocument();
+      expect(screen.getByRole('status')).toHaveTextContent('The catalog has changed');
+      expect(fetch).toHaveBeenCalledTimes(fetches);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+      await waitFor(() => expect(fetch).toHaveBeenCalledTimes(fetches + 1));
+    });
+  });
+});
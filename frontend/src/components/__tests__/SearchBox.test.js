@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SearchBox from '../SearchBox';
+
+global.fetch = jest.fn();
+
+const suggestResponse = {
+  query: 'desk',
+  suggestions: [
+    { type: 'name', value: 'Desk Lamp', id: 7 },
+    { type: 'name', value: 'Desk Mat', id: 17 },
+    { type: 'category', value: 'Furniture', count: 6 }
+  ]
+};
+
+// Controlled wrapper, as Items uses it
+const Harness = ({ onChange = () => {} }) => {
+  const [value, setValue] = useState('');
+  return (
+    <SearchBox
+      value={value}
+      onChange={(text) => {
+        setValue(text);
+        onChange(text);
+      }}
+    />
+  );
+};
+
+describe('SearchBox Component', () => {
+  beforeEach(() => {
+    fetch.mockClear();
+    fetch.mockImplementation(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(suggestResponse)
+      })
+    );
+  });
+
+  it('should show completions as a listbox while typing', async () => {
+    render(<Harness />);
+
+    const input = screen.getByRole('combobox');
+    fireEvent.change(input, { target: { value: 'desk' } });
+
+    const options = await screen.findAllByRole('option');
+    expect(options).toHaveLength(3);
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/items/suggest?q=desk'),
+      expect.anything()
+    );
+  });
+
+  it('should navigate with the arrow keys and pick with Enter', async () => {
+    const onChange = jest.fn();
+    render(<Harness onChange={onChange} />);
+
+    const input = screen.getByRole('combobox');
+    fireEvent.change(input, { target: { value: 'desk' } });
+    await screen.findAllByRole('option');
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(screen.getByRole('option', { name: /Desk Mat/ })).toHaveAttribute('aria-selected', 'true');
+    expect(input).toHaveAttribute('aria-activedescendant', screen.getByRole('option', { name: /Desk Mat/ }).id);
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(onChange).toHaveBeenLastCalledWith('Desk Mat');
+    expect(input).toHaveValue('Desk Mat');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  it('should close the dropdown on Escape', async () => {
+    render(<Harness />);
+
+    const input = screen.getByRole('combobox');
+    fireEvent.change(input, { target: { value: 'desk' } });
+    await screen.findAllByRole('option');
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(screen.queryAllByRole('option')).toHaveLength(0);
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+  });
+});
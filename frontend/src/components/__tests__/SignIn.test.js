@@ -0,0 +1,52 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SignIn from '../SignIn';
+
+global.fetch = jest.fn();
+
+const respond = (status, body) => Promise.resolve({
+  status,
+  ok: status >= 200 && status < 300,
+  json: () => Promise.resolve(body)
+});
+
+describe('SignIn Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    window.sessionStorage.clear();
+  });
+
+  const openAndSubmit = (key) => {
+    fireEvent.click(screen.getByRole('button', { name: 'Sign in to edit' }));
+    fireEvent.change(screen.getByLabelText('API key'), { target: { value: key } });
+    fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  };
+
+  it('should sign in with a key and out again', async () => {
+    fetch.mockImplementation(() => respond(200, {
+      token: 'a.b.c',
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+      actor: { id: 'writer', role: 'editor' }
+    }));
+    render(<SignIn />);
+
+    openAndSubmit('edit-key');
+
+    expect(await screen.findByText(/Signed in as writer \(editor\)/)).toBeInTheDocument();
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sign out' }));
+    expect(screen.getByRole('button', { name: 'Sign in to edit' })).toBeInTheDocument();
+  });
+
+  it('should say so when the key is refused', async () => {
+    fetch.mockImplementation(() => respond(403, { error: 'Requires the editor role' }));
+    render(<SignIn />);
+
+    openAndSubmit('view-key');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('That key can\'t edit items.');
+    expect(screen.getByRole('dialog')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,56 @@
+import { subscribeToEvents } from '../events';
+
+class MockEventSource {
+  constructor(url) {
+    this.url = url;
+    this.handlers = {};
+    MockEventSource.instances.push(this);
+  }
+
+  addEventListener(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+describe('subscribeToEvents', () => {
+  beforeEach(() => {
+    MockEventSource.instances = [];
+    window.EventSource = MockEventSource;
+  });
+
+  afterEach(() => {
+    delete window.EventSource;
+  });
+
+  it('should share one connection and close it when the last listener leaves', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    const unsubscribeFirst = subscribeToEvents(first);
+    const unsubscribeSecond = subscribeToEvents(second);
+    expect(MockEventSource.instances).toHaveLength(1);
+
+    const [source] = MockEventSource.instances;
+    source.handlers['item.deleted']({ data: '{"id":7}' });
+    source.handlers['item.updated']({ data: 'not json' });
+
+    expect(first).toHaveBeenCalledWith({ type: 'item.deleted', data: { id: 7 } });
+    expect(second).toHaveBeenCalledTimes(1);
+
+    unsubscribeFirst();
+    expect(source.closed).toBeUndefined();
+    unsubscribeSecond();
+    expect(source.closed).toBe(true);
+  });
+
+  it('should do nothing without EventSource', () => {
+    delete window.EventSource;
+    const unsubscribe = subscribeToEvents(jest.fn());
+    expect(MockEventSource.instances).toHaveLength(0);
+    unsubscribe();
+  });
+});
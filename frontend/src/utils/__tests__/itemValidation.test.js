@@ -0,0 +1,31 @@
+import { validateItem } from '../itemValidation';
+
+describe('validateItem', () => {
+  it('should trim and convert valid fields', () => {
+    expect(validateItem({ name: '  Desk ', description: ' ', price: '12.50', category: 'Furniture' })).toEqual({
+      value: { name: 'Desk', price: 12.5, category: 'Furniture' },
+      errors: {}
+    });
+  });
+
+  it('should report what the API would reject, with its messages', () => {
+    const { errors } = validateItem({
+      name: 'x'.repeat(101),
+      description: 'y'.repeat(501),
+      price: '-1',
+      category: 'Toys'
+    });
+
+    expect(errors).toEqual({
+      name: 'must be at most 100 character(s)',
+      description: 'must be at most 500 character(s)',
+      price: 'must be at least 0',
+      category: 'must be one of: Electronics, Furniture, Accessories, Office Equipment'
+    });
+    expect(validateItem({ price: 'abc' }).errors).toMatchObject({
+      name: 'is required',
+      price: 'must be a number',
+      category: 'is required'
+    });
+  });
+});
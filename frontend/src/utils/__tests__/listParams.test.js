@@ -0,0 +1,66 @@
+import {
+  parseListParams, filterParams, toSearchParams, matchesFilters, changeUnsettlesList
+} from '../listParams';
+
+describe('listParams', () => {
+  it('should read the list state from a query string', () => {
+    const state = parseListParams(new URLSearchParams(
+      'q=desk&category=Furniture&category=Electronics,Furniture&minPrice=50&maxPrice=300&sort=-price&page=2'
+    ));
+
+    expect(state).toEqual({
+      q: 'desk',
+      page: 2,
+      category: ['Furniture', 'Electronics'],
+      minPrice: 50,
+      maxPrice: 300,
+      sort: '-price'
+    });
+  });
+
+  it('should fall back to defaults for values the API would reject', () => {
+    expect(parseListParams(new URLSearchParams(
+      'category=Toys&minPrice=-5&maxPrice=abc&sort=color&page=0'
+    ))).toEqual({
+      q: '',
+      page: 1,
+      category: [],
+      minPrice: undefined,
+      maxPrice: undefined,
+      sort: ''
+    });
+    expect(parseListParams(new URLSearchParams('minPrice=300&maxPrice=50')))
+      .toMatchObject({ minPrice: 50, maxPrice: 300 });
+  });
+
+  it('should leave defaults out when writing the state back', () => {
+    const state = parseListParams(new URLSearchParams('q=desk&category=Furniture&sort=name&page=3'));
+
+    expect(toSearchParams(state).toString()).toBe('q=desk&category=Furniture&sort=name&page=3');
+    expect(toSearchParams({ ...state, page: 1 }).toString()).toBe('q=desk&category=Furniture&sort=name');
+    expect(filterParams(state).toString()).toBe('q=desk&category=Furniture&sort=name');
+    expect(toSearchParams(parseListParams(new URLSearchParams())).toString()).toBe('');
+  });
+
+  it('should tell whether an item passes the category and price filters', () => {
+    const state = parseListParams(new URLSearchParams('q=desk&category=Furniture&minPrice=50&maxPrice=300'));
+    const desk = { name: 'Desk', price: 120, category: 'Furniture' };
+
+    expect(matchesFilters(desk, state)).toBe(true);
+    expect(matchesFilters({ ...desk, category: 'Electronics' }, state)).toBe(false);
+    expect(matchesFilters({ ...desk, price: 20 }, state)).toBe(false);
+    expect(matchesFilters({ ...desk, price: 320 }, state)).toBe(false);
+    expect(matchesFilters({ ...desk, category: 'Electronics', price: 1 }, parseListParams(new URLSearchParams())))
+      .toBe(true);
+  });
+
+  it('should tell when a change may move an item in a search or sort', () => {
+    const desk = { name: 'Desk', description: 'Oak', price: 120, category: 'Furniture' };
+    const state = parseListParams(new URLSearchParams('q=desk'));
+
+    expect(changeUnsettlesList(desk, { ...desk, price: 90 }, state)).toBe(false);
+    expect(changeUnsettlesList(desk, { ...desk, description: 'Pine' }, state)).toBe(true);
+    expect(changeUnsettlesList(desk, { ...desk, price: 90 }, { ...state, sort: '-price' })).toBe(true);
+    expect(changeUnsettlesList(desk, { ...desk, name: 'Table' }, parseListParams(new URLSearchParams()))).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * JSON fetching with HTTP revalidation
+ * Responses that carry an ETag or Last-Modified are remembered per URL. The
+ * next request for that URL sends them back as If-None-Match /
+ * If-Modified-Since, and a 304 answer reuses the remembered body - the server
+ * skips the work and nothing but headers crosses the wire.
+ */
+
+import { authHeaders, endSession } from './session';
+
+// Remembered responses, least recently used first
+const MAX_ENTRIES = 100;
+const responses = new Map();
+
+const remember = (url, entry) => {
+  responses.delete(url);
+  responses.set(url, entry);
+  if (responses.size > MAX_ENTRIES) {
+    responses.delete(responses.keys().next().value);
+  }
+};
+
+/**
+ * GET a URL and parse the JSON body
+ * @param {string} url - Request URL
+ * @param {Object} options - { signal } to abort the request
+ * @returns {Promise<*>} Parsed body, fresh or revalidated
+ * @throws {Error} With the response `status` when it isn't OK
+ */
+export const fetchJson = async (url, { signal } = {}) => {
+  const cached = responses.get(url);
+  const headers = {};
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  // Revalidation is handled here, so keep the browser cache out of it
+  const response = await fetch(url, { signal, headers, cache: 'no-store' });
+
+  if (response.status === 304 && cached) {
+    remember(url, cached);
+    return cached.data;
+  }
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  const etag = response.headers && response.headers.get('ETag');
+  const lastModified = response.headers && response.headers.get('Last-Modified');
+  if (etag || lastModified) {
+    remember(url, { etag, lastModified, data });
+  } else {
+    responses.delete(url);
+  }
+  return data;
+};
+
+/**
+ * Forget every remembered response
+ */
+export const clearResponseCache = () => {
+  responses.clear();
+};
+
+/**
+ * Send a write request with a JSON body
+ * Writes carry the signed-in editor's token (reads are open to anonymous
+ * viewers, writes need the editor role); a 401 ends the session, as its
+ * token has run out or been refused.
+ * @param {string} url - Request URL
+ * @param {Object} options - { method, body, headers }
+ * @returns {Promise<*>} Parsed response body, or null when there is none
+ * @throws {Error} With the server's error message, the response `status`,
+ *   and `details` (field errors) or `current` (the stored item, on a
+ *   version conflict) when the server sent them
+ */
+export const sendJson = async (url, { method = 'POST', body, headers = {} } = {}) => {
+  const credentials = authHeaders();
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...credentials,
+      ...headers
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+
+  const data = response.status === 204 ? null : await response.json().catch(() => null);
+
+  if (!response.ok) {
+    if (response.status === 401 && credentials.Authorization) endSession();
+    const error = new Error((data && data.error) || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    if (data && data.details) error.details = data.details;
+    if (data && data.current) error.current = data.current;
+    throw error;
+  }
+  return data;
+};
@@ -0,0 +1,25 @@
+import { sendJson } from './api';
+import { startSession, endSession } from './session';
+
+/**
+ * Editor sign-in
+ * The API key the editor types is sent once, to be exchanged for a token
+ * that runs out (see utils/session); only the token is kept.
+ */
+
+/**
+ * Sign in with an API key
+ * @param {string} apiKey - An editor key from the backend's AUTH_API_KEYS
+ * @returns {Promise<Object>} The new session
+ * @throws {Error} With the server's message when the key is refused
+ */
+export const signIn = async (apiKey) => {
+  const session = await sendJson('/api/auth/token', { headers: { 'X-API-Key': apiKey } });
+  startSession(session);
+  return session;
+};
+
+/**
+ * Sign out, forgetting the token
+ */
+export const signOut = () => endSession();
@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Live catalog events from the server's Server-Sent Events stream
+ * One EventSource is shared by every subscriber and closed when the last
+ * one leaves. The browser reconnects on its own after a drop, sending the
+ * last event id so the server can replay what was missed.
+ */
+
+const EVENTS_URL = '/api/events';
+
+// Event types sent by GET /api/events
+export const EVENT_TYPES = ['item.created', 'item.updated', 'item.deleted', 'stats.changed', 'items.reset'];
+
+const listeners = new Set();
+let source = null;
+
+const dispatch = (type) => (message) => {
+  let data;
+  try {
+    data = JSON.parse(message.data);
+  } catch (err) {
+    return;
+  }
+  listeners.forEach(listener => listener({ type, data }));
+};
+
+/**
+ * Listen for catalog events
+ * Does nothing where the browser has no EventSource.
+ * @param {Function} listener - Called with { type, data } for each event
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToEvents = (listener) => {
+  if (typeof window.EventSource === 'undefined') {
+    return () => {};
+  }
+
+  listeners.add(listener);
+  if (!source) {
+    source = new window.EventSource(EVENTS_URL);
+    EVENT_TYPES.forEach(type => source.addEventListener(type, dispatch(type)));
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && source) {
+      source.close();
+      source = null;
+    }
+  };
+};
+
+/**
+ * Subscribe a component to catalog events for as long as it is mounted
+ * @param {Function} onEvent - Called with { type, data }; may change between renders
+ */
+export const useCatalogEvents = (onEvent) => {
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(() => subscribeToEvents(event => onEventRef.current(event)), []);
+};
@@ -0,0 +1,63 @@
+/**
+ * Item field validation, mirroring the API's item schema
+ * (backend/src/validation/itemSchema.js) so forms catch what the server
+ * would reject, with the same messages. Keep the two in step.
+ */
+
+// Categories an item may belong to
+export const CATEGORIES = ['Electronics', 'Furniture', 'Accessories', 'Office Equipment'];
+
+export const LIMITS = {
+  name: { minLength: 1, maxLength: 100 },
+  description: { maxLength: 500 }
+};
+
+/**
+ * Check the fields of an item form
+ * Strings are trimmed, as the server does, and price is read as a number.
+ * @param {Object} fields - { name, description, price, category } as entered
+ * @returns {{ value: Object, errors: Object }} The item to send, and a
+ *   message per invalid field (empty when all are valid)
+ */
+export const validateItem = ({ name = '', description = '', price = '', category = '' }) => {
+  const errors = {};
+  const value = {};
+
+  const trimmedName = String(name).trim();
+  if (!trimmedName) {
+    errors.name = 'is required';
+  } else if (trimmedName.length > LIMITS.name.maxLength) {
+    errors.name = `must be at most ${LIMITS.name.maxLength} character(s)`;
+  } else {
+    value.name = trimmedName;
+  }
+
+  const trimmedDescription = String(description).trim();
+  if (trimmedDescription.length > LIMITS.description.maxLength) {
+    errors.description = `must be at most ${LIMITS.description.maxLength} character(s)`;
+  } else if (trimmedDescription) {
+    value.description = trimmedDescription;
+  }
+
+  const priceText = String(price).trim();
+  const priceNumber = Number(priceText);
+  if (!priceText) {
+    errors.price = 'is required';
+  } else if (!Number.isFinite(priceNumber)) {
+    errors.price = 'must be a number';
+  } else if (priceNumber < 0) {
+    errors.price = 'must be at least 0';
+  } else {
+    value.price = priceNumber;
+  }
+
+  if (!category) {
+    errors.category = 'is required';
+  } else if (!CATEGORIES.includes(category)) {
+    errors.category = `must be one of: ${CATEGORIES.join(', ')}`;
+  } else {
+    value.category = category;
+  }
+
+  return { value, errors };
+};
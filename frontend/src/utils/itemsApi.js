@@ -0,0 +1,46 @@
+import { sendJson } from './api';
+
+/**
+ * Item writes
+ * Changes to an existing item send its version in If-Match, so a write
+ * based on an out-of-date copy fails with 412 and the current item
+ * instead of overwriting someone else's change.
+ */
+
+// Items from before versioning have no version; the API counts them as 0
+const ifMatch = item => ({ 'If-Match': `"v${item.version || 0}"` });
+
+/**
+ * Create an item
+ * @param {Object} fields - Validated item fields
+ * @returns {Promise<Object>} The created item
+ */
+export const createItem = (fields) => sendJson('/api/items', { body: fields });
+
+/**
+ * Replace an item's fields
+ * @param {Object} item - The item as the user last saw it
+ * @param {Object} fields - Validated item fields
+ * @returns {Promise<Object>} The updated item
+ */
+export const updateItem = (item, fields) => sendJson(`/api/items/${item.id}`, {
+  method: 'PUT',
+  body: fields,
+  headers: ifMatch(item)
+});
+
+/**
+ * Delete an item (it goes to the trash, see restoreItem)
+ * @param {Object} item - The item as the user last saw it
+ */
+export const deleteItem = (item) => sendJson(`/api/items/${item.id}`, {
+  method: 'DELETE',
+  headers: ifMatch(item)
+});
+
+/**
+ * Bring a deleted item back out of the trash
+ * @param {number} id - Item id
+ * @returns {Promise<Object>} The restored item
+ */
+export const restoreItem = (id) => sendJson(`/api/items/${id}/restore`, { body: {} });
@@ -0,0 +1,118 @@
+import { CATEGORIES } from './itemValidation';
+
+/**
+ * The list view's state as kept in the URL query string, so a list can be
+ * bookmarked or shared and the browser's back and forward buttons step
+ * through searches and pages:
+ *
+ *   /?q=desk&category=Furniture&category=Office+Equipment&minPrice=50&maxPrice=300&sort=-price&page=2
+ *
+ * Defaults are left out of the URL, and values the API would reject are
+ * ignored when reading it back.
+ */
+
+// Orders the list can be sorted in, as offered by the sort menu. The
+// empty value is the API's default: relevance when searching, id otherwise.
+export const SORT_OPTIONS = [
+  ['', 'Default'],
+  ['name', 'Name (A-Z)'],
+  ['-name', 'Name (Z-A)'],
+  ['price', 'Price (low to high)'],
+  ['-price', 'Price (high to low)']
+];
+
+const SORT_VALUES = SORT_OPTIONS.map(([value]) => value);
+
+/**
+ * A non-negative price from the URL, if there is one
+ */
+const parsePrice = (value) => {
+  if (value === null || value.trim() === '') return undefined;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : undefined;
+};
+
+/**
+ * Read the list state from a URL's query string
+ * @param {URLSearchParams} searchParams - e.g. from useSearchParams()
+ * @returns {Object} { q, page, category, minPrice, maxPrice, sort } with
+ *   defaults filled in; category is a list, prices may be undefined
+ */
+export const parseListParams = (searchParams) => {
+  const page = Number(searchParams.get('page'));
+  const sort = searchParams.get('sort') || '';
+  const category = searchParams.getAll('category')
+    .flatMap(value => value.split(','))
+    .filter((value, i, all) => CATEGORIES.includes(value) && all.indexOf(value) === i);
+
+  let minPrice = parsePrice(searchParams.get('minPrice'));
+  let maxPrice = parsePrice(searchParams.get('maxPrice'));
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    [minPrice, maxPrice] = [maxPrice, minPrice];
+  }
+
+  return {
+    q: searchParams.get('q') || '',
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+    category,
+    minPrice,
+    maxPrice,
+    sort: SORT_VALUES.includes(sort) ? sort : ''
+  };
+};
+
+/**
+ * The search, filter and sort params of a list state, as GET /api/items
+ * takes them - everything but the page
+ * @param {Object} state - As returned by parseListParams
+ * @returns {URLSearchParams}
+ */
+export const filterParams = ({ q, category = [], minPrice, maxPrice, sort }) => {
+  const params = new URLSearchParams();
+  if (q) params.set('q', q);
+  category.forEach(value => params.append('category', value));
+  if (minPrice !== undefined) params.set('minPrice', String(minPrice));
+  if (maxPrice !== undefined) params.set('maxPrice', String(maxPrice));
+  if (sort) params.set('sort', sort);
+  return params;
+};
+
+/**
+ * Whether an item passes a list state's category and price filters
+ * @param {Object} item
+ * @param {Object} state - As returned by parseListParams
+ * @returns {boolean}
+ */
+export const matchesFilters = (item, { category = [], minPrice, maxPrice }) => (
+  (category.length === 0 || category.includes(item.category)) &&
+  (minPrice === undefined || item.price >= minPrice) &&
+  (maxPrice === undefined || item.price <= maxPrice)
+);
+
+// Fields a search looks in
+const SEARCH_FIELDS = ['name', 'description', 'category'];
+
+/**
+ * Whether a change to a listed item may have moved it out of the list or
+ * to another place in it in a way only the server can tell: the search
+ * matches it differently, or the sort puts it elsewhere
+ * @param {Object} before - The item as listed
+ * @param {Object} after - The item now
+ * @param {Object} state - As returned by parseListParams
+ * @returns {boolean}
+ */
+export const changeUnsettlesList = (before, after, { q, sort }) => {
+  const changed = field => before[field] !== after[field];
+  return Boolean(q && SEARCH_FIELDS.some(changed)) || Boolean(sort && changed(sort.replace(/^-/, '')));
+};
+
+/**
+ * Write a list state back to a query string, leaving out defaults
+ * @param {Object} state - As returned by parseListParams
+ * @returns {URLSearchParams}
+ */
+export const toSearchParams = (state) => {
+  const params = filterParams(state);
+  if (state.page > 1) params.set('page', String(state.page));
+  return params;
+};
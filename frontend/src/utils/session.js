@@ -0,0 +1,57 @@
+import { loadSessionState, saveSessionState } from './sessionState';
+
+/**
+ * The signed-in editor's session: a token from POST /api/auth/token, kept
+ * in sessionStorage so it lasts until the tab closes or the token runs out.
+ * The API key it was exchanged for is never stored, and no credentials are
+ * built into the bundle.
+ */
+
+const SESSION_KEY = 'session';
+
+const listeners = new Set();
+
+const notify = (session) => listeners.forEach(listener => listener(session));
+
+/**
+ * The current session, or null when signed out or the token has run out
+ * @returns {Object|null} { token, expiresAt, actor: { id, role } }
+ */
+export const getSession = () => {
+  const session = loadSessionState(SESSION_KEY);
+  return session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+};
+
+/**
+ * Remember a new session
+ * @param {Object} session - As POST /api/auth/token returns it
+ */
+export const startSession = (session) => {
+  saveSessionState(SESSION_KEY, session);
+  notify(session);
+};
+
+/**
+ * Forget the session (signing out, or the server refused its token)
+ */
+export const endSession = () => {
+  saveSessionState(SESSION_KEY, null);
+  notify(null);
+};
+
+/**
+ * Call a listener with the new session (or null) whenever it changes
+ * @returns {Function} Stops listening
+ */
+export const onSessionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Credentials for a request: the session's token, if there is one
+ */
+export const authHeaders = () => {
+  const session = getSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
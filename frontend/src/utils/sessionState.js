@@ -0,0 +1,34 @@
+/**
+ * Small helpers for remembering UI state in sessionStorage
+ * Failures (private mode, quota, bad JSON) fall back silently - losing
+ * remembered view state is never worth an error.
+ */
+
+const PREFIX = 'items-app:';
+
+/**
+ * Read a remembered value
+ * @param {string} key - Storage key (namespaced automatically)
+ * @param {*} fallback - Returned when nothing usable is stored
+ */
+export const loadSessionState = (key, fallback = null) => {
+  try {
+    const raw = window.sessionStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+/**
+ * Remember a value for the rest of the browser session
+ * @param {string} key - Storage key (namespaced automatically)
+ * @param {*} value - Any JSON-serializable value
+ */
+export const saveSessionState = (key, value) => {
+  try {
+    window.sessionStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    // Ignore - see above
+  }
+};